@@ -117,103 +117,381 @@ class SandPhysicsEngine {
 }
 
 // ========================================
-// 日本の祝日データ（2025-2028年）
+// 日本の祝日（holidays.jsで年ごとに計算、内閣府のCSVを読み込んだ年はその一覧）
 // ========================================
-const HOLIDAY_DATA_MIN_YEAR = 2025;
+// 公式の祝日一覧と照合した最後の年。これより後は法改正や春分・秋分の公表で変わることがある
 const HOLIDAY_DATA_MAX_YEAR = 2028;
 
-const holidays = {
-    '2025-01-01': '元日',
-    '2025-01-13': '成人の日',
-    '2025-02-11': '建国記念の日',
-    '2025-02-23': '天皇誕生日',
-    '2025-02-24': '振替休日',
-    '2025-03-20': '春分の日',
-    '2025-04-29': '昭和の日',
-    '2025-05-03': '憲法記念日',
-    '2025-05-04': 'みどりの日',
-    '2025-05-05': 'こどもの日',
-    '2025-05-06': '振替休日',
-    '2025-07-21': '海の日',
-    '2025-08-11': '山の日',
-    '2025-09-15': '敬老の日',
-    '2025-09-23': '秋分の日',
-    '2025-10-13': 'スポーツの日',
-    '2025-11-03': '文化の日',
-    '2025-11-23': '勤労感謝の日',
-    '2025-11-24': '振替休日',
-    '2026-01-01': '元日',
-    '2026-01-12': '成人の日',
-    '2026-02-11': '建国記念の日',
-    '2026-02-23': '天皇誕生日',
-    '2026-03-20': '春分の日',
-    '2026-04-29': '昭和の日',
-    '2026-05-03': '憲法記念日',
-    '2026-05-04': 'みどりの日',
-    '2026-05-05': 'こどもの日',
-    '2026-05-06': '振替休日',
-    '2026-07-20': '海の日',
-    '2026-08-11': '山の日',
-    '2026-09-21': '敬老の日',
-    '2026-09-22': '国民の休日',
-    '2026-09-23': '秋分の日',
-    '2026-10-12': 'スポーツの日',
-    '2026-11-03': '文化の日',
-    '2026-11-23': '勤労感謝の日',
-    '2027-01-01': '元日',
-    '2027-01-11': '成人の日',
-    '2027-02-11': '建国記念の日',
-    '2027-02-23': '天皇誕生日',
-    '2027-03-21': '春分の日',
-    '2027-03-22': '振替休日',
-    '2027-04-29': '昭和の日',
-    '2027-05-03': '憲法記念日',
-    '2027-05-04': 'みどりの日',
-    '2027-05-05': 'こどもの日',
-    '2027-07-19': '海の日',
-    '2027-08-11': '山の日',
-    '2027-09-20': '敬老の日',
-    '2027-09-23': '秋分の日',
-    '2027-10-11': 'スポーツの日',
-    '2027-11-03': '文化の日',
-    '2027-11-23': '勤労感謝の日',
-    '2028-01-01': '元日',
-    '2028-01-10': '成人の日',
-    '2028-02-11': '建国記念の日',
-    '2028-02-23': '天皇誕生日',
-    '2028-03-20': '春分の日',
-    '2028-04-29': '昭和の日',
-    '2028-05-03': '憲法記念日',
-    '2028-05-04': 'みどりの日',
-    '2028-05-05': 'こどもの日',
-    '2028-07-17': '海の日',
-    '2028-08-11': '山の日',
-    '2028-09-18': '敬老の日',
-    '2028-09-22': '秋分の日',
-    '2028-10-09': 'スポーツの日',
-    '2028-11-03': '文化の日',
-    '2028-11-23': '勤労感謝の日'
-};
+// 'YYYY-MM-DD' → 祝日名。表示・計算で使う年の分だけ入れる
+// 優先順位: 手入力の修正 > 読み込んだ祝日一覧（その年の分があれば計算結果の代わりに使う） > 計算
+const holidays = {};
+const holidayYearsLoaded = new Set();
+let holidayOverrides = []; // 手入力の修正 [{ date, name }]（nameが空なら祝日にしない）
+let holidayList = null; // 読み込んだ祝日一覧 { fileName, importedAt, holidays }
+let holidayListYears = new Set(); // 祝日一覧に含まれる年
 
 let holidayWarningShown = false;
 
+function ensureHolidayYear(year) {
+    if (holidayYearsLoaded.has(year)) return;
+    holidayYearsLoaded.add(year);
+
+    if (holidayListYears.has(year)) {
+        Object.entries(holidayList.holidays)
+            .filter(([key]) => key.startsWith(`${year}-`))
+            .forEach(([key, name]) => { holidays[key] = name; });
+    } else {
+        Object.assign(holidays, generateJapaneseHolidays(year));
+    }
+    holidayOverrides
+        .filter(override => override.date.startsWith(`${year}-`))
+        .forEach(override => {
+            if (override.name) {
+                holidays[override.date] = override.name;
+            } else {
+                delete holidays[override.date];
+            }
+        });
+}
+
+// 手入力の修正と祝日一覧を読み込み、計算済みの祝日を作り直す
+function loadHolidaySettings() {
+    holidayOverrides = validateHolidayOverrides(dataStore.getSetting('holiday-overrides', [])).value || [];
+    holidayList = validateHolidayList(dataStore.getSetting('holiday-list', null)).value;
+    holidayListYears = new Set(holidayList ? Object.keys(holidayList.holidays).map(key => Number(key.slice(0, 4))) : []);
+    Object.keys(holidays).forEach(key => delete holidays[key]);
+    holidayYearsLoaded.clear();
+}
+
+function saveHolidayOverrides(overrides) {
+    dataStore.setSetting('holiday-overrides', overrides);
+    loadHolidaySettings();
+}
+
+function saveHolidayList(list) {
+    if (list) {
+        dataStore.setSetting('holiday-list', list);
+    } else {
+        dataStore.removeSetting('holiday-list');
+    }
+    loadHolidaySettings();
+    checkHolidayDataRange();
+}
+
+// 祝日一覧の年を「1955～2027年」のように連続した範囲でまとめる
+function formatHolidayListYears() {
+    const years = [...holidayListYears].sort((a, b) => a - b);
+    const ranges = [];
+    years.forEach(year => {
+        const last = ranges[ranges.length - 1];
+        if (last && last[1] === year - 1) {
+            last[1] = year;
+        } else {
+            ranges.push([year, year]);
+        }
+    });
+    return ranges.map(([from, to]) => from === to ? `${from}年` : `${from}～${to}年`).join('、');
+}
+
+// 内閣府の「syukujitsu.csv」を読み込む
+function importHolidayCSV() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.csv,text/csv';
+
+    input.onchange = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            try {
+                const { holidays: imported, problems } = parseHolidayCSVRows(parseCSV(decodeCSVBuffer(event.target.result)));
+                const count = Object.keys(imported).length;
+                if (count === 0) {
+                    alert(['祝日を読み込めませんでした（「YYYY/M/D,名称」の形式のCSVを選んでください）', ...problems.slice(0, 10)].join('\n'));
+                    return;
+                }
+
+                const years = Object.keys(imported).map(key => Number(key.slice(0, 4)));
+                const message = [
+                    `${Math.min(...years)}～${Math.max(...years)}年の祝日${count}件を読み込みます。`,
+                    '含まれる年は計算した祝日の代わりにこの一覧を使います（以前に読み込んだ一覧は置き換えます）。'
+                ];
+                if (problems.length > 0) {
+                    message.push('', `読み込めない行（${problems.length}件）:`, ...problems.slice(0, 10));
+                    if (problems.length > 10) message.push(`…ほか${problems.length - 10}件`);
+                }
+                if (!confirm(message.join('\n'))) return;
+
+                saveHolidayList({ fileName: file.name, importedAt: new Date().toISOString(), holidays: imported });
+                renderHolidayDependents();
+                openHolidaySettings();
+            } catch (error) {
+                alert('ファイルの読み込みに失敗しました');
+                console.error(error);
+            }
+        };
+
+        reader.readAsArrayBuffer(file);
+    };
+
+    input.click();
+}
+
+function clearHolidayList() {
+    if (!confirm('読み込んだ祝日一覧を削除し、計算した祝日に戻しますか？')) return;
+
+    saveHolidayList(null);
+    renderHolidayDependents();
+    openHolidaySettings();
+}
+
+function openHolidaySettings() {
+    closeEditModal();
+
+    // カレンダーに表示している最初の月の年
+    const today = new Date();
+    const year = new Date(today.getFullYear(), today.getMonth() + calendarStartOffset, 1).getFullYear();
+    ensureHolidayYear(year);
+    const yearHolidays = Object.keys(holidays)
+        .filter(key => key.startsWith(`${year}-`))
+        .sort()
+        .map(key => `${key.slice(5).replace('-', '/')} ${escapeHtml(holidays[key])}`)
+        .join('<br>');
+
+    const modal = document.createElement('div');
+    modal.className = 'edit-modal';
+    modal.innerHTML = `
+        <div class="edit-modal-content schedule-modal-content">
+            <h3>祝日</h3>
+            <div class="edit-form">
+                <div class="restore-task-info">
+                    祝日は法律の規定から計算しています（振替休日・国民の休日を含む）。
+                    内閣府の祝日一覧（CSV）を読み込むと、その一覧に含まれる年は一覧のとおりになります。
+                    法改正や臨時の休日で実際と違う日は、下の修正欄で直してください。名前を空欄にするとその日は祝日になりません。
+                </div>
+                <div class="edit-field">
+                    <label>内閣府の祝日一覧（syukujitsu.csv）</label>
+                    <div class="holiday-list-status">${holidayList
+                        ? `読込済み: ${formatHolidayListYears()}（${[
+                            escapeHtml(holidayList.fileName || 'CSV'),
+                            holidayList.importedAt ? `${formatDateKey(new Date(holidayList.importedAt)).replace(/-/g, '/')}読込` : ''
+                        ].filter(Boolean).join('、')}）`
+                        : '未読込（すべての年を計算で求めます）'}</div>
+                    <div class="holiday-list-buttons">
+                        <button onclick="importHolidayCSV()" class="add-break-btn">CSV読込</button>
+                        ${holidayList ? '<button onclick="clearHolidayList()" class="add-break-btn">一覧を削除</button>' : ''}
+                    </div>
+                </div>
+
+                <div id="holiday-override-rows" class="schedule-rows"></div>
+                <button onclick="addHolidayOverrideRow()" class="add-break-btn">＋ 修正を追加</button>
+
+                <div class="edit-field">
+                    <label>${year}年の祝日</label>
+                    <div class="holiday-list">${yearHolidays || 'なし'}</div>
+                </div>
+
+                <div class="edit-buttons">
+                    <button onclick="saveHolidaySettings()" class="save-btn">保存</button>
+                    <button onclick="closeEditModal()" class="cancel-btn">キャンセル</button>
+                </div>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+    holidayOverrides.forEach(override => addHolidayOverrideRow(override));
+}
+
+function addHolidayOverrideRow(override = null) {
+    const rows = document.getElementById('holiday-override-rows');
+    if (!rows) return;
+
+    const row = document.createElement('div');
+    row.className = 'schedule-row';
+    row.innerHTML = `
+        <input type="date" class="time-input holiday-override-date" value="${override ? override.date : ''}">
+        <input type="text" class="schedule-note holiday-override-name" value="${override ? escapeHtml(override.name) : ''}" placeholder="祝日名（空欄で祝日にしない）">
+        <button class="break-remove-btn" title="削除">✕</button>
+    `;
+    row.querySelector('.break-remove-btn').addEventListener('click', () => row.remove());
+    rows.appendChild(row);
+}
+
+function saveHolidaySettings() {
+    const overrides = [];
+    for (const row of document.querySelectorAll('#holiday-override-rows .schedule-row')) {
+        const date = row.querySelector('.holiday-override-date').value;
+        const name = row.querySelector('.holiday-override-name').value.trim();
+        if (!date) {
+            if (name) {
+                alert('祝日の修正の日付を入力してください');
+                return;
+            }
+            continue;
+        }
+        overrides.push({ date, name });
+    }
+
+    saveHolidayOverrides(validateHolidayOverrides(overrides).value);
+    renderHolidayDependents();
+    closeEditModal();
+}
+
+// 祝日名（休業期間は含まない。祝日でなければundefined）
+function getHolidayName(year, month, day) {
+    ensureHolidayYear(year);
+    return holidays[`${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`];
+}
+
+// 祝日名または休業期間の名前（どちらでもなければundefined）
 function isHoliday(year, month, day) {
-    const dateStr = `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
-    return holidays[dateStr];
+    return getHolidayName(year, month, day) || getClosureName(year, month, day);
 }
 
+// 今年の祝日が公式の一覧と照合済みでなければ警告する（祝日一覧を読み込めば消える）
 function checkHolidayDataRange() {
     const currentYear = new Date().getFullYear();
-    if (currentYear > HOLIDAY_DATA_MAX_YEAR && !holidayWarningShown) {
+    const existing = document.getElementById('holiday-data-warning');
+    if (currentYear <= HOLIDAY_DATA_MAX_YEAR || holidayListYears.has(currentYear)) {
+        if (existing) existing.remove();
+        return;
+    }
+    if (existing) return;
+
+    if (!holidayWarningShown) {
         holidayWarningShown = true;
-        console.warn(`祝日データは${HOLIDAY_DATA_MAX_YEAR}年までです。納品日計算やカレンダーの祝日表示が正確でない可能性があります。`);
-        const calcResult = document.getElementById('calc-results');
-        if (calcResult) {
-            const warning = document.createElement('div');
-            warning.style.cssText = 'color: #d88888; font-size: 11px; margin-top: 4px;';
-            warning.textContent = `⚠ 祝日データは${HOLIDAY_DATA_MAX_YEAR}年まで対応`;
-            calcResult.parentElement.appendChild(warning);
+        console.warn(`${currentYear}年の祝日は法律の規定から計算した推定です。内閣府の祝日一覧（CSV）を「祝日」から読み込むか、違う日を修正してください。`);
+    }
+    const calcResult = document.getElementById('calc-results');
+    if (calcResult) {
+        const warning = document.createElement('div');
+        warning.id = 'holiday-data-warning';
+        warning.style.cssText = 'color: #d88888; font-size: 11px; margin-top: 4px;';
+        warning.textContent = `⚠ ${currentYear}年の祝日は推定（「祝日」から内閣府の一覧を読み込めます）`;
+        calcResult.parentElement.appendChild(warning);
+    }
+}
+
+// ========================================
+// 休業期間（年末年始・お盆・棚卸など）
+// ========================================
+let closurePeriods = []; // [{ id, name, start, end, yearly }]
+
+function loadClosurePeriods() {
+    closurePeriods = validateClosurePeriods(dataStore.getSetting('closure-periods', [])).value || [];
+}
+
+function saveClosurePeriods(periods) {
+    closurePeriods = periods;
+    dataStore.setSetting('closure-periods', periods);
+}
+
+function isInClosurePeriod(period, dateStr) {
+    if (!period.yearly) {
+        return dateStr >= period.start && dateStr <= period.end;
+    }
+    // 毎年: 月日で比べる（年をまたぐ期間は開始の月日が終了より後）
+    const monthDay = dateStr.slice(5);
+    const start = period.start.slice(5);
+    const end = period.end.slice(5);
+    return start <= end
+        ? monthDay >= start && monthDay <= end
+        : monthDay >= start || monthDay <= end;
+}
+
+function getClosureName(year, month, day) {
+    const dateStr = `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    return closurePeriods.find(period => isInClosurePeriod(period, dateStr))?.name;
+}
+
+function openClosureSettings() {
+    closeEditModal();
+
+    const modal = document.createElement('div');
+    modal.className = 'edit-modal';
+    modal.innerHTML = `
+        <div class="edit-modal-content schedule-modal-content">
+            <h3>休業期間</h3>
+            <div class="edit-form">
+                <div class="restore-task-info">
+                    休業期間は祝日と同じように扱います（カレンダー・勤務時間・納期計算）。
+                    「毎年」にチェックを入れると、毎年同じ月日に休業します（12/29～1/3のように年をまたぐ期間も可）。
+                </div>
+                <div id="closure-rows" class="schedule-rows"></div>
+                <button onclick="addClosureRow()" class="add-break-btn">＋ 休業期間を追加</button>
+
+                <div class="edit-buttons">
+                    <button onclick="saveClosureSettings()" class="save-btn">保存</button>
+                    <button onclick="closeEditModal()" class="cancel-btn">キャンセル</button>
+                </div>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+    closurePeriods.forEach(period => addClosureRow(period));
+}
+
+function addClosureRow(period = null, containerId = 'closure-rows') {
+    const rows = document.getElementById(containerId);
+    if (!rows) return;
+
+    const row = document.createElement('div');
+    row.className = 'schedule-row';
+    row.dataset.id = period ? period.id : '';
+    row.innerHTML = `
+        <input type="text" class="schedule-note closure-name" value="${period ? escapeHtml(period.name) : ''}" placeholder="名前（年末年始など）">
+        <input type="date" class="time-input closure-start" value="${period ? period.start : ''}">
+        <span>～</span>
+        <input type="date" class="time-input closure-end" value="${period ? period.end : ''}">
+        <label class="schedule-overnight-label"><input type="checkbox" class="closure-yearly" ${period?.yearly ? 'checked' : ''}>毎年</label>
+        <button class="break-remove-btn" title="削除">✕</button>
+    `;
+    row.querySelector('.break-remove-btn').addEventListener('click', () => row.remove());
+    rows.appendChild(row);
+}
+
+// 休業期間の入力欄を読み取る（入力が足りなければ知らせてnull）
+function readClosureRows(containerId) {
+    const periods = [];
+    for (const row of document.querySelectorAll(`#${containerId} .schedule-row`)) {
+        const name = row.querySelector('.closure-name').value.trim();
+        const start = row.querySelector('.closure-start').value;
+        const end = row.querySelector('.closure-end').value || start;
+        if (!name && !start) continue;
+        if (!name || !start) {
+            alert('休業期間の名前と開始日を入力してください');
+            return null;
         }
+        periods.push({ id: row.dataset.id, name, start, end, yearly: row.querySelector('.closure-yearly').checked });
+    }
+    return periods;
+}
+
+function saveClosureSettings() {
+    const periods = readClosureRows('closure-rows');
+    if (!periods) return;
+
+    const { value, problems } = validateClosurePeriods(periods);
+    if (problems.length > 0) {
+        alert(`休業期間を保存できません:\n${problems.join('\n')}`);
+        return;
+    }
+
+    saveClosurePeriods(value);
+    renderHolidayDependents();
+    closeEditModal();
+}
+
+// 祝日・休業期間の変更を画面に反映（カレンダー・砂時計・納期計算）
+function renderHolidayDependents() {
+    renderSixMonthCalendar();
+    updateWorkTimeDisplay();
+    if (document.getElementById('calc-result-business').textContent !== '-') {
+        calculateDelivery();
     }
 }
 
@@ -232,48 +510,151 @@ function escapeHtml(str) {
 // ========================================
 // 勤務時間管理
 // ========================================
+// 標準の勤務時間（曜日別・日付指定で「標準」の日に使う）
 let WORK_START_HOUR = 8;
 let WORK_START_MINUTE = 30;
 let WORK_END_HOUR = 17;
 let WORK_END_MINUTE = 30;
+let WORK_OVERNIGHT = false; // 終了が翌日（夜勤）
+// 休憩（勤務日の0時からの分。夜勤の0時以降は24時間を足す）。開始順に並び、勤務時間内で重ならない
+let WORK_BREAKS = [{ startMinutes: 12 * 60, endMinutes: 13 * 60 }];
+// 曜日別（0=日曜）: 'standard'（標準）、'off'（休み）、または勤務時間（保存形式）
+let WORK_WEEKLY = [...DEFAULT_WEEKLY_SCHEDULE];
+// 日付指定（早退・特別出勤など）: [{ date: 'YYYY-MM-DD', schedule, note }]
+let WORK_OVERRIDES = [];
+
+// "HH:MM" → 0時からの分
+function parseTimeValue(value) {
+    const [hour, minute] = value.split(':').map(Number);
+    return hour * 60 + minute;
+}
+
+function formatTimeValue(hour, minute) {
+    return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+// 夜勤では開始より前の時刻を翌日とみなして、勤務日の0時からの分にする
+function toShiftMinutes(minutes, startMinutes, overnight) {
+    return overnight && minutes < startMinutes ? minutes + 24 * 60 : minutes;
+}
+
+// 保存形式の勤務時間 → { startMinutes, endMinutes, breaks }（分は勤務日の0時から）
+function shiftToSchedule(shift) {
+    const startMinutes = shift.startHour * 60 + shift.startMinute;
+    const toMinutes = (hour, minute) => toShiftMinutes(hour * 60 + minute, startMinutes, shift.overnight);
+    return {
+        startMinutes,
+        endMinutes: toMinutes(shift.endHour, shift.endMinute),
+        breaks: shift.breaks.map(item => ({
+            startMinutes: toMinutes(item.startHour, item.startMinute),
+            endMinutes: toMinutes(item.endHour, item.endMinute)
+        }))
+    };
+}
+
+// { startMinutes, endMinutes, breaks } → 保存形式の勤務時間
+function scheduleToShift(schedule) {
+    const toTime = (minutes) => ({ hour: Math.floor((minutes % (24 * 60)) / 60), minute: minutes % 60 });
+    const start = toTime(schedule.startMinutes);
+    const end = toTime(schedule.endMinutes);
+    return {
+        startHour: start.hour,
+        startMinute: start.minute,
+        endHour: end.hour,
+        endMinute: end.minute,
+        overnight: schedule.endMinutes >= 24 * 60,
+        breaks: schedule.breaks.map(item => {
+            const breakStart = toTime(item.startMinutes);
+            const breakEnd = toTime(item.endMinutes);
+            return { startHour: breakStart.hour, startMinute: breakStart.minute, endHour: breakEnd.hour, endMinute: breakEnd.minute };
+        })
+    };
+}
+
+function getStandardSchedule() {
+    const startMinutes = WORK_START_HOUR * 60 + WORK_START_MINUTE;
+    return {
+        startMinutes,
+        endMinutes: toShiftMinutes(WORK_END_HOUR * 60 + WORK_END_MINUTE, startMinutes, WORK_OVERNIGHT),
+        breaks: WORK_BREAKS
+    };
+}
+
+// 曜日別・日付指定の値 → 勤務時間（休みはnull）
+function resolveDaySchedule(entry) {
+    if (entry === 'off') return null;
+    if (entry === 'standard') return getStandardSchedule();
+    return shiftToSchedule(entry);
+}
+
+function getScheduleOverride(date) {
+    const key = formatDateKey(date);
+    return WORK_OVERRIDES.find(override => override.date === key) || null;
+}
+
+// 休暇を反映する前の勤務時間（日付指定 → 祝日（休み） → 曜日別 の順に決める）
+function getBaseWorkSchedule(date) {
+    const override = getScheduleOverride(date);
+    if (override) return resolveDaySchedule(override.schedule);
+    if (isHoliday(date.getFullYear(), date.getMonth(), date.getDate())) return null;
+    return resolveDaySchedule(WORK_WEEKLY[date.getDay()]);
+}
+
+/**
+ * その日の勤務時間（分は勤務日の0時から。夜勤の終了は24時間を超える）
+ * 休暇（全休・半休）を反映する
+ * @param {Date} date
+ * @returns {{ startMinutes: number, endMinutes: number, breaks: object[] }|null} 休みはnull
+ */
+function getWorkSchedule(date) {
+    return applyLeaveToSchedule(getBaseWorkSchedule(date), getLeaveEntry(date));
+}
+
+// 現在の勤務日（前日からの夜勤が続いていれば前日）。currentSecondsは勤務日の0時からの秒
+function getActiveWorkDay(now) {
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const secondsOfToday = now.getHours() * 3600 + now.getMinutes() * 60 + now.getSeconds();
+
+    const yesterday = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
+    const previous = getWorkSchedule(yesterday);
+    if (previous && secondsOfToday + 24 * 3600 < previous.endMinutes * 60) {
+        return { date: yesterday, schedule: previous, currentSeconds: secondsOfToday + 24 * 3600 };
+    }
+    return { date: today, schedule: getWorkSchedule(today), currentSeconds: secondsOfToday };
+}
 
 // 勤務時間の保存
 function saveWorkTimeSettings() {
     const settings = {
-        startHour: WORK_START_HOUR,
-        startMinute: WORK_START_MINUTE,
-        endHour: WORK_END_HOUR,
-        endMinute: WORK_END_MINUTE
+        ...scheduleToShift(getStandardSchedule()),
+        weekly: WORK_WEEKLY,
+        overrides: WORK_OVERRIDES
     };
-    localStorage.setItem('work-time-settings', JSON.stringify(settings));
+    dataStore.setSetting('work-time-settings', settings);
 }
 
 // 勤務時間の読み込み
 function loadWorkTimeSettings() {
-    const saved = localStorage.getItem('work-time-settings');
-    if (saved) {
-        let settings;
-        try {
-            settings = JSON.parse(saved);
-        } catch (e) {
-            console.error('勤務時間設定の読み込みに失敗:', e);
-            localStorage.removeItem('work-time-settings');
-            return;
-        }
+    const stored = dataStore.getSetting('work-time-settings');
+    const settings = stored && validateWorkTimeSettings(stored).value;
+    if (settings) {
         WORK_START_HOUR = settings.startHour;
         WORK_START_MINUTE = settings.startMinute;
         WORK_END_HOUR = settings.endHour;
         WORK_END_MINUTE = settings.endMinute;
+        WORK_OVERNIGHT = settings.overnight;
+        WORK_BREAKS = shiftToSchedule(settings).breaks;
+        WORK_WEEKLY = settings.weekly;
+        WORK_OVERRIDES = settings.overrides;
 
         // 入力フィールドに反映
-        document.getElementById('work-start-time').value =
-            `${String(WORK_START_HOUR).padStart(2, '0')}:${String(WORK_START_MINUTE).padStart(2, '0')}`;
-        document.getElementById('work-end-time').value =
-            `${String(WORK_END_HOUR).padStart(2, '0')}:${String(WORK_END_MINUTE).padStart(2, '0')}`;
+        document.getElementById('work-start-time').value = formatTimeValue(WORK_START_HOUR, WORK_START_MINUTE);
+        document.getElementById('work-end-time').value = formatTimeValue(WORK_END_HOUR, WORK_END_MINUTE);
     }
+    updateBreakButton();
 }
 
-// 勤務時間設定の更新
+// 勤務時間設定の更新（標準の勤務時間）
 function updateWorkTimeSettings() {
     const startTime = document.getElementById('work-start-time').value;
     const endTime = document.getElementById('work-end-time').value;
@@ -283,100 +664,407 @@ function updateWorkTimeSettings() {
         return;
     }
 
-    const [startHour, startMinute] = startTime.split(':').map(Number);
-    const [endHour, endMinute] = endTime.split(':').map(Number);
-
-    // 開始時刻が終了時刻より後の場合はエラー
-    const startMinutes = startHour * 60 + startMinute;
-    const endMinutes = endHour * 60 + endMinute;
+    const startMinutes = parseTimeValue(startTime);
+    const endMinutes = parseTimeValue(endTime);
 
+    // 終了が開始より前なら、翌日までの夜勤かを確認する
+    let overnight = false;
     if (startMinutes >= endMinutes) {
-        alert('終了時刻は開始時刻より後に設定してください');
+        if (!confirm(`終了時刻が開始時刻より前です。\n${startTime}-翌${endTime} の夜勤として設定しますか？`)) {
+            return;
+        }
+        overnight = true;
+    }
+    const shiftEnd = toShiftMinutes(endMinutes, startMinutes, overnight);
+
+    // 休憩を新しい勤務時間に合わせて読み替える
+    const breaks = WORK_BREAKS.map(item => ({
+        startMinutes: toShiftMinutes(item.startMinutes % (24 * 60), startMinutes, overnight),
+        endMinutes: toShiftMinutes(item.endMinutes % (24 * 60), startMinutes, overnight)
+    }));
+    const outsideBreaks = breaks.filter(item =>
+        item.startMinutes >= item.endMinutes || item.startMinutes < startMinutes || item.endMinutes > shiftEnd);
+    if (outsideBreaks.length > 0) {
+        alert(`勤務時間外になる休憩があります: ${outsideBreaks.map(formatBreakRange).join('、')}\n先に休憩を変更してください`);
         return;
     }
 
-    WORK_START_HOUR = startHour;
-    WORK_START_MINUTE = startMinute;
-    WORK_END_HOUR = endHour;
-    WORK_END_MINUTE = endMinute;
+    WORK_START_HOUR = Math.floor(startMinutes / 60);
+    WORK_START_MINUTE = startMinutes % 60;
+    WORK_END_HOUR = Math.floor(endMinutes / 60);
+    WORK_END_MINUTE = endMinutes % 60;
+    WORK_OVERNIGHT = overnight;
+    WORK_BREAKS = breaks.sort((a, b) => a.startMinutes - b.startMinutes);
 
     saveWorkTimeSettings();
     updateWorkTimeDisplay();
+    renderSixMonthCalendar();
 
     alert('勤務時間を更新しました');
 }
 
-function updateWorkTimeDisplay() {
-    const now = new Date();
+// ----------------------------------------
+// 休憩
+// ----------------------------------------
+
+// [fromSeconds, toSeconds)のうち休憩を除いた秒数（勤務日の0時からの秒）
+function getWorkingSecondsBetween(schedule, fromSeconds, toSeconds) {
+    const breakSeconds = schedule.breaks.reduce((sum, item) => {
+        const overlap = Math.min(toSeconds, item.endMinutes * 60) - Math.max(fromSeconds, item.startMinutes * 60);
+        return sum + Math.max(0, overlap);
+    }, 0);
+    return Math.max(0, toSeconds - fromSeconds - breakSeconds);
+}
 
-    // デジタル時刻
-    const hours = String(now.getHours()).padStart(2, '0');
-    const minutes = String(now.getMinutes()).padStart(2, '0');
-    const seconds = String(now.getSeconds()).padStart(2, '0');
-    const digitalTime = document.getElementById('digital-time');
-    if (digitalTime) {
-        digitalTime.textContent = `${hours}:${minutes}:${seconds}`;
-    }
+function getCurrentBreak(schedule, currentSeconds) {
+    return schedule.breaks.find(item => currentSeconds >= item.startMinutes * 60 && currentSeconds < item.endMinutes * 60) || null;
+}
 
-    // 日付表示（ヘッダー）
-    const year = now.getFullYear();
-    const month = now.getMonth() + 1;
-    const date = now.getDate();
-    const dayNames = ['日', '月', '火', '水', '木', '金', '土'];
-    const day = dayNames[now.getDay()];
-    const dateElem = document.getElementById('current-date');
-    if (dateElem) {
-        dateElem.textContent = `${year}年${month}月${date}日（${day}）`;
-    }
+function updateBreakButton() {
+    const button = document.getElementById('work-break-btn');
+    if (!button) return;
+    button.title = WORK_BREAKS.length > 0
+        ? `休憩: ${WORK_BREAKS.map(formatBreakRange).join('、')}`
+        : '休憩なし';
+}
 
-    // 日付表示（時計セクション）
-    const dateDisplay = document.getElementById('current-date-display');
-    if (dateDisplay) {
-        dateDisplay.textContent = `${year}年${month}月${date}日（${day}）`;
-    }
+function openBreakSettings() {
+    closeEditModal();
 
-    // 勤務時間の計算（秒単位で計算）
-    const currentSeconds = now.getHours() * 3600 + now.getMinutes() * 60 + now.getSeconds();
-    const workStartSeconds = WORK_START_HOUR * 3600 + WORK_START_MINUTE * 60;
-    const workEndSeconds = WORK_END_HOUR * 3600 + WORK_END_MINUTE * 60;
-    const totalWorkSeconds = workEndSeconds - workStartSeconds;
+    const standard = getStandardSchedule();
+    const modal = document.createElement('div');
+    modal.className = 'edit-modal';
+    modal.innerHTML = `
+        <div class="edit-modal-content">
+            <h3>休憩時間</h3>
+            <div class="edit-form">
+                <div class="restore-task-info">
+                    標準の勤務時間 ${formatShiftMinutes(standard.startMinutes)}-${formatShiftMinutes(standard.endMinutes)} のうち、休憩の時間は砂時計の経過・残り時間に数えません。
+                    曜日別・日付指定で時間を指定した日の休憩は「詳細」で設定します。
+                </div>
+                <div id="break-rows" class="break-rows"></div>
+                <button onclick="addBreakRow()" class="add-break-btn">＋ 休憩を追加</button>
 
-    let elapsedSeconds = 0;
-    let remainingSeconds = totalWorkSeconds;
-    let progressPercent = 0;
+                <div class="edit-buttons">
+                    <button onclick="saveBreakSettings()" class="save-btn">保存</button>
+                    <button onclick="closeEditModal()" class="cancel-btn">キャンセル</button>
+                </div>
+            </div>
+        </div>
+    `;
 
-    if (currentSeconds < workStartSeconds) {
-        // 勤務開始前
-        elapsedSeconds = 0;
-        remainingSeconds = totalWorkSeconds;
-        progressPercent = 0;
-    } else if (currentSeconds > workEndSeconds) {
-        // 勤務終了後
-        elapsedSeconds = totalWorkSeconds;
-        remainingSeconds = 0;
-        progressPercent = 100;
-    } else {
-        // 勤務時間中
-        elapsedSeconds = currentSeconds - workStartSeconds;
-        remainingSeconds = workEndSeconds - currentSeconds;
-        progressPercent = (elapsedSeconds / totalWorkSeconds) * 100;
-    }
+    document.body.appendChild(modal);
+    WORK_BREAKS.forEach(item => addBreakRow(item));
+}
 
-    // プログレスバー更新
-    const progressFill = document.getElementById('progress-bar-fill');
-    const progressMarker = document.getElementById('progress-current-marker');
-    if (progressFill) {
-        progressFill.style.width = `${progressPercent}%`;
-    }
-    if (progressMarker) {
-        progressMarker.style.left = `${progressPercent}%`;
-    }
+function addBreakRow(item = null) {
+    const rows = document.getElementById('break-rows');
+    if (!rows) return;
+
+    const row = document.createElement('div');
+    row.className = 'break-row';
+    row.innerHTML = `
+        <input type="time" class="time-input break-start" value="${item ? formatMinutesOfDay(item.startMinutes % (24 * 60)) : ''}">
+        <span>-</span>
+        <input type="time" class="time-input break-end" value="${item ? formatMinutesOfDay(item.endMinutes % (24 * 60)) : ''}">
+        <button class="break-remove-btn" title="削除">✕</button>
+    `;
+    row.querySelector('.break-remove-btn').addEventListener('click', () => row.remove());
+    rows.appendChild(row);
+}
 
-    // 経過時間・残り時間表示（秒単位）
-    const elapsedHours = Math.floor(elapsedSeconds / 3600);
-    const elapsedMins = Math.floor((elapsedSeconds % 3600) / 60);
-    const remainingHours = Math.floor(remainingSeconds / 3600);
-    const remainingMins = Math.floor((remainingSeconds % 3600) / 60);
+function saveBreakSettings() {
+    const standard = getStandardSchedule();
+    const toMinutes = (value) => toShiftMinutes(parseTimeValue(value), standard.startMinutes, WORK_OVERNIGHT);
+
+    const breaks = [];
+    const rows = document.querySelectorAll('#break-rows .break-row');
+    for (const row of rows) {
+        const startValue = row.querySelector('.break-start').value;
+        const endValue = row.querySelector('.break-end').value;
+        if (!startValue && !endValue) continue;
+        if (!startValue || !endValue) {
+            alert('休憩の開始時刻と終了時刻を入力してください');
+            return;
+        }
+
+        const item = { startMinutes: toMinutes(startValue), endMinutes: toMinutes(endValue) };
+        if (item.startMinutes >= item.endMinutes) {
+            alert(`休憩 ${startValue}-${endValue}: 終了時刻は開始時刻より後に設定してください`);
+            return;
+        }
+        if (item.startMinutes < standard.startMinutes || item.endMinutes > standard.endMinutes) {
+            alert(`休憩 ${startValue}-${endValue}: 勤務時間内に設定してください`);
+            return;
+        }
+        if (breaks.some(other => item.startMinutes < other.endMinutes && other.startMinutes < item.endMinutes)) {
+            alert(`休憩 ${startValue}-${endValue}: ほかの休憩と重なっています`);
+            return;
+        }
+        breaks.push(item);
+    }
+
+    WORK_BREAKS = breaks.sort((a, b) => a.startMinutes - b.startMinutes);
+    saveWorkTimeSettings();
+    updateBreakButton();
+    updateWorkTimeDisplay();
+    closeEditModal();
+}
+
+// ----------------------------------------
+// 曜日別・日付指定の勤務時間
+// ----------------------------------------
+
+// 勤務の種類（標準・休み・時間指定）と時間指定の入力欄
+function renderDayScheduleFields(schedule) {
+    const type = schedule === 'standard' || schedule === 'off' ? schedule : 'custom';
+    const shift = type === 'custom' ? schedule : scheduleToShift(getStandardSchedule());
+    const breaksText = shift.breaks
+        .map(item => `${formatTimeValue(item.startHour, item.startMinute)}-${formatTimeValue(item.endHour, item.endMinute)}`)
+        .join(', ');
+
+    return `
+        <select class="schedule-type">
+            <option value="standard" ${type === 'standard' ? 'selected' : ''}>標準</option>
+            <option value="off" ${type === 'off' ? 'selected' : ''}>休み</option>
+            <option value="custom" ${type === 'custom' ? 'selected' : ''}>時間指定</option>
+        </select>
+        <span class="schedule-custom" ${type === 'custom' ? '' : 'hidden'}>
+            <input type="time" class="time-input schedule-start" value="${formatTimeValue(shift.startHour, shift.startMinute)}">
+            <span>-</span>
+            <label class="schedule-overnight-label" title="終了が翌日（夜勤）">
+                <input type="checkbox" class="schedule-overnight" ${shift.overnight ? 'checked' : ''}>翌
+            </label>
+            <input type="time" class="time-input schedule-end" value="${formatTimeValue(shift.endHour, shift.endMinute)}">
+            <input type="text" class="schedule-breaks" value="${breaksText}" placeholder="休憩 12:00-13:00" title="休憩（複数はカンマ区切り）">
+        </span>
+    `;
+}
+
+function bindDayScheduleFields(row) {
+    const select = row.querySelector('.schedule-type');
+    select.addEventListener('change', () => {
+        row.querySelector('.schedule-custom').hidden = select.value !== 'custom';
+    });
+}
+
+// 入力欄 → { value }（'standard' | 'off' | 保存形式の勤務時間）または { error }
+function readDayScheduleFields(row, label) {
+    const type = row.querySelector('.schedule-type').value;
+    if (type !== 'custom') return { value: type };
+
+    const startValue = row.querySelector('.schedule-start').value;
+    const endValue = row.querySelector('.schedule-end').value;
+    if (!startValue || !endValue) {
+        return { error: `${label}: 開始時刻と終了時刻を入力してください` };
+    }
+
+    const breaks = [];
+    const breakParts = row.querySelector('.schedule-breaks').value.split(/[,、\s]+/).filter(Boolean);
+    for (const part of breakParts) {
+        const match = part.match(/^(\d{1,2}):(\d{2})[-~～](\d{1,2}):(\d{2})$/);
+        if (!match) {
+            return { error: `${label}: 休憩「${part}」は「12:00-13:00」の形式で入力してください` };
+        }
+        const [, startHour, startMinute, endHour, endMinute] = match.map(Number);
+        breaks.push({ startHour, startMinute, endHour, endMinute });
+    }
+
+    const start = parseTimeValue(startValue);
+    const end = parseTimeValue(endValue);
+    return {
+        value: {
+            startHour: Math.floor(start / 60),
+            startMinute: start % 60,
+            endHour: Math.floor(end / 60),
+            endMinute: end % 60,
+            overnight: row.querySelector('.schedule-overnight').checked,
+            breaks
+        }
+    };
+}
+
+function openScheduleSettings() {
+    closeEditModal();
+
+    const weeklyRows = WORK_WEEKLY.map((schedule, weekday) => `
+        <div class="schedule-row" data-weekday="${weekday}">
+            <span class="schedule-day">${WEEKDAY_LABELS[weekday]}</span>
+            ${renderDayScheduleFields(schedule)}
+        </div>
+    `).join('');
+
+    const modal = document.createElement('div');
+    modal.className = 'edit-modal';
+    modal.innerHTML = `
+        <div class="edit-modal-content schedule-modal-content">
+            <h3>曜日別・日付指定の勤務時間</h3>
+            <div class="edit-form">
+                <div class="restore-task-info">
+                    「標準」は砂時計の上で設定した勤務時間（${escapeHtml(formatDaySchedule(getStandardSchedule()))}）です。
+                    終了が翌日になる夜勤は「翌」にチェックを入れます。祝日は日付指定がなければ休みです。
+                </div>
+
+                <label>曜日別:</label>
+                <div id="weekly-schedule-rows" class="schedule-rows">${weeklyRows}</div>
+
+                <label>日付指定（早退・特別出勤など）:</label>
+                <div id="override-schedule-rows" class="schedule-rows"></div>
+                <button onclick="addScheduleOverrideRow()" class="add-break-btn">＋ 日付を追加</button>
+
+                <div class="edit-buttons">
+                    <button onclick="saveScheduleSettings()" class="save-btn">保存</button>
+                    <button onclick="closeEditModal()" class="cancel-btn">キャンセル</button>
+                </div>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+    modal.querySelectorAll('#weekly-schedule-rows .schedule-row').forEach(bindDayScheduleFields);
+    WORK_OVERRIDES.forEach(override => addScheduleOverrideRow(override));
+}
+
+function addScheduleOverrideRow(override = null) {
+    const rows = document.getElementById('override-schedule-rows');
+    if (!rows) return;
+
+    const row = document.createElement('div');
+    row.className = 'schedule-row';
+    row.innerHTML = `
+        <input type="date" class="time-input schedule-date" value="${override ? override.date : formatDateKey(new Date())}">
+        ${renderDayScheduleFields(override ? override.schedule : scheduleToShift(getStandardSchedule()))}
+        <input type="text" class="schedule-note" value="${override ? escapeHtml(override.note) : ''}" placeholder="メモ（早退など）">
+        <button class="break-remove-btn" title="削除">✕</button>
+    `;
+    bindDayScheduleFields(row);
+    row.querySelector('.break-remove-btn').addEventListener('click', () => row.remove());
+    rows.appendChild(row);
+}
+
+function saveScheduleSettings() {
+    const weekly = [];
+    for (const row of document.querySelectorAll('#weekly-schedule-rows .schedule-row')) {
+        const weekday = Number(row.dataset.weekday);
+        const result = readDayScheduleFields(row, WEEKDAY_LABELS[weekday]);
+        if (result.error) {
+            alert(result.error);
+            return;
+        }
+        weekly[weekday] = result.value;
+    }
+
+    const overrides = [];
+    for (const row of document.querySelectorAll('#override-schedule-rows .schedule-row')) {
+        const date = row.querySelector('.schedule-date').value;
+        if (!date) {
+            alert('日付指定の日付を入力してください');
+            return;
+        }
+        const result = readDayScheduleFields(row, date);
+        if (result.error) {
+            alert(result.error);
+            return;
+        }
+        overrides.push({ date, schedule: result.value, note: row.querySelector('.schedule-note').value.trim() });
+    }
+
+    // 保存前に読み込み時と同じ検証を通し、直せる問題も含めて入力し直してもらう
+    const { value, problems } = validateWorkTimeSettings({ ...scheduleToShift(getStandardSchedule()), weekly, overrides });
+    if (!value || problems.length > 0) {
+        alert(`勤務時間を保存できません:\n${problems.join('\n')}`);
+        return;
+    }
+
+    WORK_WEEKLY = value.weekly;
+    WORK_OVERRIDES = value.overrides;
+    saveWorkTimeSettings();
+    updateWorkTimeDisplay();
+    renderSixMonthCalendar();
+    closeEditModal();
+}
+
+function updateWorkTimeDisplay() {
+    const now = new Date();
+
+    // デジタル時刻
+    const hours = String(now.getHours()).padStart(2, '0');
+    const minutes = String(now.getMinutes()).padStart(2, '0');
+    const seconds = String(now.getSeconds()).padStart(2, '0');
+    const digitalTime = document.getElementById('digital-time');
+    if (digitalTime) {
+        digitalTime.textContent = `${hours}:${minutes}:${seconds}`;
+    }
+
+    // 日付表示（ヘッダー）
+    const year = now.getFullYear();
+    const month = now.getMonth() + 1;
+    const date = now.getDate();
+    const dayNames = ['日', '月', '火', '水', '木', '金', '土'];
+    const day = dayNames[now.getDay()];
+    const dateElem = document.getElementById('current-date');
+    if (dateElem) {
+        dateElem.textContent = `${year}年${month}月${date}日（${day}）`;
+    }
+
+    // 日付表示（時計セクション）
+    const dateDisplay = document.getElementById('current-date-display');
+    if (dateDisplay) {
+        dateDisplay.textContent = `${year}年${month}月${date}日（${day}）`;
+    }
+
+    // 勤務時間の計算（その日の勤務時間で、秒単位で計算、休憩は除く）
+    // 夜勤は0時を過ぎても前日の勤務として続ける
+    const activeDay = getActiveWorkDay(now);
+    const { schedule, currentSeconds } = activeDay;
+    updateTodaySchedule(activeDay);
+
+    const workStartSeconds = schedule ? schedule.startMinutes * 60 : 0;
+    const workEndSeconds = schedule ? schedule.endMinutes * 60 : 0;
+    const totalWorkSeconds = schedule ? getWorkingSecondsBetween(schedule, workStartSeconds, workEndSeconds) : 0;
+    const currentBreak = schedule ? getCurrentBreak(schedule, currentSeconds) : null;
+
+    let elapsedSeconds = 0;
+    let remainingSeconds = totalWorkSeconds;
+    let progressPercent = 0;
+
+    if (!schedule) {
+        // 休みの日
+        elapsedSeconds = 0;
+        remainingSeconds = 0;
+        progressPercent = 0;
+    } else if (currentSeconds < workStartSeconds) {
+        // 勤務開始前
+        elapsedSeconds = 0;
+        remainingSeconds = totalWorkSeconds;
+        progressPercent = 0;
+    } else if (currentSeconds > workEndSeconds) {
+        // 勤務終了後
+        elapsedSeconds = totalWorkSeconds;
+        remainingSeconds = 0;
+        progressPercent = 100;
+    } else {
+        // 勤務時間中（休憩中は休憩開始時点のまま止まる）
+        elapsedSeconds = getWorkingSecondsBetween(schedule, workStartSeconds, currentSeconds);
+        remainingSeconds = totalWorkSeconds - elapsedSeconds;
+        progressPercent = totalWorkSeconds > 0 ? (elapsedSeconds / totalWorkSeconds) * 100 : 100;
+    }
+
+    // プログレスバー更新
+    const progressFill = document.getElementById('progress-bar-fill');
+    const progressMarker = document.getElementById('progress-current-marker');
+    if (progressFill) {
+        progressFill.style.width = `${progressPercent}%`;
+    }
+    if (progressMarker) {
+        progressMarker.style.left = `${progressPercent}%`;
+    }
+
+    // 経過時間・残り時間表示（秒単位）
+    const elapsedHours = Math.floor(elapsedSeconds / 3600);
+    const elapsedMins = Math.floor((elapsedSeconds % 3600) / 60);
+    const remainingHours = Math.floor(remainingSeconds / 3600);
+    const remainingMins = Math.floor((remainingSeconds % 3600) / 60);
 
     const elapsedElem = document.getElementById('elapsed-time');
     const remainingElem = document.getElementById('remaining-time');
@@ -384,7 +1072,13 @@ function updateWorkTimeDisplay() {
         elapsedElem.textContent = `経過: ${elapsedHours}:${String(elapsedMins).padStart(2, '0')}`;
     }
     if (remainingElem) {
-        remainingElem.textContent = `残り: ${remainingHours}:${String(remainingMins).padStart(2, '0')}`;
+        if (!schedule) {
+            remainingElem.textContent = '休み';
+        } else if (currentBreak) {
+            remainingElem.textContent = `休憩中 ～${formatMinutesOfDay(currentBreak.endMinutes % (24 * 60))}`;
+        } else {
+            remainingElem.textContent = `残り: ${remainingHours}:${String(remainingMins).padStart(2, '0')}`;
+        }
     }
 
     // 砂時計アニメーション（勤務時間内のみ）
@@ -404,10 +1098,10 @@ function updateWorkTimeDisplay() {
             sandTop.style.height = `${result.upperHeight * 100}%`;
             sandBottom.style.height = `${result.lowerHeight * 100}%`;
 
-            // 落下パーティクルの表示制御（上部に砂がある時のみ）
+            // 落下パーティクルの表示制御（上部に砂がある時のみ、休憩中は止める）
             const fallingParticles = hourglassContainer.querySelector('.falling-particles');
             if (fallingParticles) {
-                if (result.upperHeight > 0.01) {
+                if (result.upperHeight > 0.01 && schedule && !currentBreak) {
                     fallingParticles.style.opacity = '1';
                 } else {
                     fallingParticles.style.opacity = '0';
@@ -433,8 +1127,8 @@ function updateWorkTimeDisplay() {
             sandBottom.style.height = `${bottomHeightRatio * 100}%`;
         }
 
-        // 勤務時間外はアニメーション停止
-        if (currentSeconds < workStartSeconds || currentSeconds > workEndSeconds) {
+        // 休みの日・勤務時間外・休憩中はアニメーション停止
+        if (!schedule || currentSeconds < workStartSeconds || currentSeconds > workEndSeconds || currentBreak) {
             hourglassContainer.classList.add('paused');
         } else {
             hourglassContainer.classList.remove('paused');
@@ -442,6 +1136,18 @@ function updateWorkTimeDisplay() {
     }
 }
 
+// 砂時計の上に、今の勤務日の勤務時間を表示
+function updateTodaySchedule({ date, schedule }) {
+    const label = document.getElementById('today-schedule');
+    if (!label) return;
+
+    const isToday = date.toDateString() === new Date().toDateString();
+    const note = getDayNote(date);
+    let text = `${isToday ? '本日' : '前日から'} ${schedule ? formatDaySchedule(schedule) : '休み'}`;
+    if (note) text += `（${note}）`;
+    if (label.textContent !== text) label.textContent = text;
+}
+
 function updateClock() {
     updateWorkTimeDisplay();
 }
@@ -451,24 +1157,15 @@ function updateClock() {
 // ========================================
 let calendarStartOffset = 0; // 表示開始月のオフセット
 
-// 指定日に業務記録があるかチェック
-function checkDateHasWork(year, month, day) {
-    const data = localStorage.getItem('task-records');
-    if (!data) return false;
-
-    const records = JSON.parse(data);
-    const targetDate = new Date(year, month, day);
-    const targetDateStr = targetDate.toDateString();
-
-    return records.some(record => {
-        const recordDate = new Date(record.startTime);
-        return recordDate.toDateString() === targetDateStr;
-    });
+// 業務記録がある日の一覧（Date.toDateString()形式）
+function getWorkDateSet() {
+    return new Set(getDisplayRecords().map(record => new Date(record.startTime).toDateString()));
 }
 
 function renderSixMonthCalendar() {
     const container = document.getElementById('calendar-container');
     const today = new Date();
+    const workDates = getWorkDateSet();
     let html = '';
 
     // calendarStartOffsetから6ヶ月分
@@ -479,7 +1176,7 @@ function renderSixMonthCalendar() {
         const adjustedYear = adjustedDate.getFullYear();
         const adjustedMonth = adjustedDate.getMonth();
 
-        html += renderSingleMonth(adjustedYear, adjustedMonth);
+        html += renderSingleMonth(adjustedYear, adjustedMonth, workDates);
     }
 
     container.innerHTML = html;
@@ -503,7 +1200,7 @@ function resetToCurrentMonth() {
     renderSixMonthCalendar();
 }
 
-function renderSingleMonth(year, month) {
+function renderSingleMonth(year, month, workDates) {
     const firstDay = new Date(year, month, 1);
     const lastDay = new Date(year, month + 1, 0);
     const prevLastDay = new Date(year, month, 0);
@@ -543,12 +1240,15 @@ function renderSingleMonth(year, month) {
                        today.getMonth() === month &&
                        today.getDate() === day;
         const holidayName = isHoliday(year, month, day);
+        const closureName = getClosureName(year, month, day);
 
         let className = 'calendar-day';
 
-        // 曜日による色分け
-        if (holidayName) {
+        // 曜日による色分け（休業期間は祝日と分けて表示）
+        if (holidayName && holidayName !== closureName) {
             className += ' holiday';
+        } else if (closureName) {
+            className += ' closure';
         } else if (dayOfWeek === 0) {
             className += ' sunday';
         } else if (dayOfWeek === 6) {
@@ -559,8 +1259,21 @@ function renderSingleMonth(year, month) {
 
         if (isToday) className += ' today';
 
+        // 勤務時間（曜日別・日付指定・休暇）
+        const schedule = getWorkSchedule(currentDate);
+        const override = getScheduleOverride(currentDate);
+        const leave = getLeaveEntry(currentDate);
+        const isRegularOffDay = holidayName || dayOfWeek === 0 || dayOfWeek === 6;
+        if (leave) {
+            className += ` leave leave-${leave.type}`;
+        } else if (schedule && isRegularOffDay) {
+            className += ' special-workday';
+        } else if (!schedule && !isRegularOffDay) {
+            className += ' off-day';
+        }
+
         // 業務記録チェック
-        const hasWork = checkDateHasWork(year, month, day);
+        const hasWork = workDates.has(currentDate.toDateString());
 
         // データがある場合のクラス
         if (hasWork) {
@@ -572,10 +1285,38 @@ function renderSingleMonth(year, month) {
         if (hasWork) {
             dataIndicators += `<div class="calendar-work-indicator" title="業務記録あり"></div>`;
         }
+        if (override) {
+            dataIndicators += `<div class="calendar-schedule-indicator"></div>`;
+        }
+        if (leave) {
+            dataIndicators += `<div class="calendar-leave-label">${LEAVE_TYPES[leave.type].short}</div>`;
+        }
+
+        // ICS出力の期間選択中は、すべての日付をクリックで選べるようにする
+        if (calendarRangeSelection?.start) {
+            const { start, end } = calendarRangeSelection;
+            if (currentDate >= start && currentDate <= (end || start)) className += ' range-selected';
+        }
 
-        const title = holidayName ? `title="${holidayName}"` : '';
-        const onclick = hasWork ? `onclick="openWorkDetailModal(${year}, ${month}, ${day})"` : '';
-        const cursor = hasWork ? 'cursor: pointer;' : '';
+        // 祝日名と、標準と違う勤務時間を表示
+        const titleParts = [];
+        if (holidayName) titleParts.push(holidayName);
+        if (closureName && closureName !== holidayName) titleParts.push(closureName);
+        if (schedule) {
+            const scheduleText = formatDaySchedule(schedule);
+            if (isRegularOffDay || scheduleText !== formatDaySchedule(getStandardSchedule())) {
+                titleParts.push(`勤務 ${scheduleText}`);
+            }
+        } else if (!isRegularOffDay && !leave) {
+            titleParts.push('休み');
+        }
+        if (leave) titleParts.push(leave.note ? `${LEAVE_TYPES[leave.type].label}（${leave.note}）` : LEAVE_TYPES[leave.type].label);
+        if (override?.note) titleParts.push(override.note);
+        const title = titleParts.length > 0 ? `title="${escapeHtml(titleParts.join(' / '))}"` : '';
+        const onclick = calendarRangeSelection
+            ? `onclick="selectCalendarRangeDate(${year}, ${month}, ${day})"`
+            : `onclick="openWorkDetailModal(${year}, ${month}, ${day})"`;
+        const cursor = 'cursor: pointer;';
 
         html += `<div class="${className}" ${title} ${onclick} style="${cursor}">
             <div class="calendar-day-number">${day}</div>
@@ -600,6 +1341,8 @@ function renderSingleMonth(year, month) {
 let currentTask = null;
 let taskStartTime = null;
 let taskTimerInterval = null;
+let taskSegments = []; // 一時停止までに確定した作業区間 [{start, end}]（ISO文字列）
+let segmentStartTime = null; // 進行中の作業区間の開始時刻（一時停止中はnull）
 
 // デフォルトのクイック業務ボタン
 const defaultQuickTasks = [
@@ -633,6 +1376,9 @@ function startTaskWithName(taskName) {
 
     currentTask = taskName;
     taskStartTime = new Date();
+    taskSegments = [];
+    segmentStartTime = taskStartTime;
+    saveActiveTask();
 
     renderCurrentTask();
     renderQuickTaskButtons();
@@ -641,337 +1387,472 @@ function startTaskWithName(taskName) {
     taskTimerInterval = setInterval(updateTaskTimer, 1000);
 }
 
-function stopTask() {
+// endTime省略時は現在時刻で終了（復元時は最終確認時刻を渡す）
+function stopTask(endTime = new Date()) {
     if (!currentTask) return;
 
-    const endTime = new Date();
-    const duration = Math.floor((endTime - taskStartTime) / 1000); // 秒単位
+    // 進行中の区間を閉じる（一時停止中なら最後の区間の終了時刻が記録の終了時刻）
+    const segments = [...taskSegments];
+    if (segmentStartTime) {
+        const segmentEnd = endTime < segmentStartTime ? segmentStartTime : endTime;
+        segments.push({ start: segmentStartTime.toISOString(), end: segmentEnd.toISOString() });
+    }
 
-    // 記録を保存
-    const records = getTaskRecords();
-    records.unshift({
-        task: currentTask,
-        startTime: taskStartTime.toISOString(),
-        endTime: endTime.toISOString(),
-        duration: duration
-    });
-    saveTaskRecords(records);
+    // 記録を保存（他のタブで既に終了されていれば二重に記録しない）
+    const storedTask = getActiveTask();
+    const isStillActive = storedTask && storedTask.startTime === taskStartTime.toISOString();
+    if (segments.length > 0 && isStillActive) {
+        updateTaskRecords(records => {
+            records.unshift(buildTaskRecord(currentTask, segments));
+        });
+    }
 
     // リセット
-    currentTask = null;
-    taskStartTime = null;
-    clearInterval(taskTimerInterval);
-    taskTimerInterval = null;
+    resetTaskState();
+    clearActiveTask();
 
     renderCurrentTask();
     renderTaskRecords();
     renderQuickTaskButtons();
 }
 
-// クイックタスクボタンの管理
-function getQuickTasks() {
-    const saved = localStorage.getItem('quick-tasks');
-    if (saved) {
-        try {
-            return JSON.parse(saved);
-        } catch (e) {
-            console.error('クイックタスクの読み込みに失敗:', e);
-            localStorage.removeItem('quick-tasks');
-        }
-    }
-    return defaultQuickTasks;
+// 記録中タスクの状態を画面上だけ破棄する（記録は保存しない）
+function resetTaskState() {
+    currentTask = null;
+    taskStartTime = null;
+    taskSegments = [];
+    segmentStartTime = null;
+    clearInterval(taskTimerInterval);
+    taskTimerInterval = null;
 }
 
-function saveQuickTasks(tasks) {
-    localStorage.setItem('quick-tasks', JSON.stringify(tasks));
+// 記録中のタスクを一時停止（休憩・電話対応など）
+function pauseTask() {
+    if (!currentTask || !segmentStartTime) return;
+
+    taskSegments.push({ start: segmentStartTime.toISOString(), end: new Date().toISOString() });
+    segmentStartTime = null;
+    saveActiveTask();
+
+    renderCurrentTask();
 }
 
-function addQuickTaskButton() {
-    const input = document.getElementById('new-task-button-name');
-    const taskName = input.value.trim();
+// 一時停止中のタスクを再開（新しい作業区間を開始）
+function resumeTask() {
+    if (!currentTask || segmentStartTime) return;
 
-    if (!taskName) {
-        alert('業務名を入力してください');
-        return;
-    }
+    segmentStartTime = new Date();
+    saveActiveTask();
 
-    const tasks = getQuickTasks();
-    if (tasks.includes(taskName)) {
-        alert('既に同じ業務名が存在します');
-        return;
-    }
+    renderCurrentTask();
+}
 
-    tasks.push(taskName);
-    saveQuickTasks(tasks);
-    input.value = '';
-    renderQuickTaskButtons();
+// 記録中タスクの正味作業時間（秒）
+function getCurrentTaskNetSeconds(now = new Date()) {
+    let total = sumSegmentSeconds(taskSegments);
+    if (segmentStartTime) {
+        total += Math.floor((now - segmentStartTime) / 1000);
+    }
+    return total;
 }
 
-function deleteQuickTaskButton(taskName, event) {
-    event.stopPropagation();
+// ========================================
+// 作業区間（セグメント）
+// ========================================
 
-    if (!confirm(`「${taskName}」を削除しますか？`)) {
-        return;
+// 作業区間から記録を作成（durationは休憩を除いた正味時間）
+// 区間が1つだけの記録はsegmentsを持たない従来形式で保存する
+function buildTaskRecord(task, segments, id = generateRecordId()) {
+    const record = {
+        id: id,
+        task: task,
+        startTime: segments[0].start,
+        endTime: segments[segments.length - 1].end,
+        duration: sumSegmentSeconds(segments)
+    };
+    if (segments.length > 1) {
+        record.segments = segments;
     }
+    return record;
+}
 
-    const tasks = getQuickTasks();
-    const index = tasks.indexOf(taskName);
-    if (index > -1) {
-        tasks.splice(index, 1);
-        saveQuickTasks(tasks);
-        renderQuickTaskButtons();
+// 記録の作業区間を取得（segmentsを持たない記録は開始～終了の1区間として扱う）
+function getRecordSegments(record) {
+    if (Array.isArray(record.segments) && record.segments.length > 0) {
+        return record.segments;
     }
+    return [{ start: record.startTime, end: record.endTime }];
 }
 
-function renderQuickTaskButtons() {
-    const container = document.getElementById('quick-task-buttons');
-    const tasks = getQuickTasks();
+function sumSegmentSeconds(segments) {
+    return segments.reduce((sum, segment) => {
+        return sum + Math.floor((new Date(segment.end) - new Date(segment.start)) / 1000);
+    }, 0);
+}
 
-    let html = '';
-    tasks.forEach(task => {
-        const isActive = currentTask === task ? 'active' : '';
-        html += `
-            <button class="quick-task-btn ${isActive}" onclick="quickStartTask('${escapeHtml(task)}')">
-                ${escapeHtml(task)}
-                <span class="delete-btn" onclick="deleteQuickTaskButton('${escapeHtml(task)}', event)">×</span>
-            </button>
-        `;
-    });
+// 開始～終了のうち作業区間に含まれない時間（秒）
+function getRecordBreakSeconds(record) {
+    const span = Math.floor((new Date(record.endTime) - new Date(record.startTime)) / 1000);
+    return Math.max(0, span - record.duration);
+}
 
-    container.innerHTML = html;
+// 作業区間を「09:00-10:30 / 11:00-12:00」形式で表示
+function formatSegmentRanges(segments) {
+    return segments
+        .map(segment => `${formatTime(new Date(segment.start))}-${formatTime(new Date(segment.end))}`)
+        .join(' / ');
 }
 
-function updateTaskTimer() {
-    if (!taskStartTime) return;
+// ========================================
+// 記録中タスクの永続化（リロード・クラッシュ対策）
+// ========================================
 
-    const now = new Date();
-    const elapsed = Math.floor((now - taskStartTime) / 1000);
-    const hours = Math.floor(elapsed / 3600);
-    const minutes = Math.floor((elapsed % 3600) / 60);
-    const seconds = elapsed % 60;
+// 記録中のタスクを保存（lastSeenは最後にページが生きていた時刻）
+function saveActiveTask() {
+    if (!currentTask) return;
 
-    const timerElem = document.querySelector('.current-task-timer');
-    if (timerElem) {
-        timerElem.textContent = `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
-    }
+    const activeTask = {
+        task: currentTask,
+        startTime: taskStartTime.toISOString(),
+        segments: taskSegments,
+        segmentStart: segmentStartTime ? segmentStartTime.toISOString() : null,
+        lastSeen: new Date().toISOString()
+    };
+    localStorage.setItem('active-task', JSON.stringify(activeTask));
 }
 
-function renderCurrentTask() {
-    const container = document.getElementById('current-task');
-
-    if (currentTask) {
-        container.innerHTML = `
-            <div class="current-task-compact">
-                <span class="current-task-label">記録中:</span>
-                <span class="current-task-name">${escapeHtml(currentTask)}</span>
-                <span class="current-task-timer">00:00:00</span>
-                <button onclick="editCurrentTask()" class="edit-current-btn" title="編集">✎</button>
-                <button onclick="stopTask()" class="stop-task-btn">終了</button>
-            </div>
-        `;
-        updateTaskTimer();
-    } else {
-        container.innerHTML = '';
+function getActiveTask() {
+    const saved = localStorage.getItem('active-task');
+    if (saved) {
+        try {
+            const activeTask = JSON.parse(saved);
+            if (activeTask && activeTask.task && !isNaN(new Date(activeTask.startTime))) {
+                return activeTask;
+            }
+        } catch (e) {
+            console.error('記録中タスクの読み込みに失敗:', e);
+        }
+        localStorage.removeItem('active-task');
     }
+    return null;
 }
 
-function renderTaskRecords() {
-    const container = document.getElementById('record-list');
-    const records = getTaskRecords();
+function clearActiveTask() {
+    localStorage.removeItem('active-task');
+}
 
-    if (records.length === 0) {
-        container.innerHTML = '<div style="color: #606060; padding: 10px;">記録なし</div>';
+// 前回終了時に記録中だったタスクがあれば復元方法を確認
+// 他のタブで記録中の場合は確認せずにそのタスクを引き継ぐ
+function restoreActiveTask() {
+    if (!getActiveTask()) return;
+
+    if (!tabChannel) {
+        openRestorePrompt(getActiveTask());
         return;
     }
 
-    // 今日の合計時間を計算
-    const today = new Date().toDateString();
-    const todayRecords = records.filter(record => {
-        const recordDate = new Date(record.startTime);
-        return recordDate.toDateString() === today;
-    });
+    otherTabRecording = false;
+    tabChannel.postMessage({ type: 'ping' });
+    setTimeout(() => {
+        const activeTask = getActiveTask();
+        if (!activeTask) return;
 
-    const todayTotal = todayRecords.reduce((sum, record) => sum + record.duration, 0);
-    const todayHours = Math.floor(todayTotal / 3600);
-    const todayMinutes = Math.floor((todayTotal % 3600) / 60);
+        if (otherTabRecording) {
+            applyActiveTask(activeTask);
+            renderCurrentTask();
+            renderQuickTaskButtons();
+        } else {
+            openRestorePrompt(activeTask);
+        }
+    }, TAB_PING_TIMEOUT_MS);
+}
 
-    let html = `
-        <div class="record-summary">
-            本日の合計: ${todayHours}時間${todayMinutes}分 (${todayRecords.length}件)
+function openRestorePrompt(activeTask) {
+    closeEditModal();
+    const start = new Date(activeTask.startTime);
+    const lastSeen = new Date(activeTask.lastSeen || activeTask.startTime);
+
+    const modal = document.createElement('div');
+    modal.className = 'edit-modal';
+    modal.innerHTML = `
+        <div class="edit-modal-content">
+            <h3>記録中の業務が残っています</h3>
+            <div class="edit-form">
+                <div class="restore-task-info">
+                    <div><span class="restore-task-label">業務名:</span>${escapeHtml(activeTask.task)}</div>
+                    <div><span class="restore-task-label">開始:</span>${formatDate(start)} ${formatTime(start)}${activeTask.segmentStart === null ? '（一時停止中）' : ''}</div>
+                    <div><span class="restore-task-label">最終確認:</span>${formatDate(lastSeen)} ${formatTime(lastSeen)}</div>
+                </div>
+
+                <div class="edit-buttons">
+                    <button onclick="resumeActiveTask()" class="save-btn">記録を継続</button>
+                    <button onclick="stopActiveTaskAtLastSeen()" class="cancel-btn">最終確認時刻で終了</button>
+                    <button onclick="discardActiveTask()" class="discard-btn">破棄</button>
+                </div>
+            </div>
         </div>
     `;
 
-    records.slice(0, 20).forEach((record, index) => { // 最新20件
-        const start = new Date(record.startTime);
-        const end = new Date(record.endTime);
-        const duration = formatDuration(record.duration);
-        const dateStr = formatDate(start);
+    document.body.appendChild(modal);
+}
 
-        html += `
-            <div class="record-item-compact">
-                <span class="record-task-name">${escapeHtml(record.task)}</span>
-                <span class="record-date">${dateStr}</span>
-                <span class="record-time-range">${formatTime(start)}-${formatTime(end)}</span>
-                <span class="record-duration-text">${duration}</span>
-                <button onclick="editRecord(${index})" class="record-edit-btn" title="編集">✎</button>
-                <button onclick="deleteRecord(${index})" class="record-delete-btn" title="削除">×</button>
-            </div>
-        `;
-    });
+// 保存済みの記録中タスクを画面の状態に戻す
+function applyActiveTask(activeTask) {
+    if (taskTimerInterval) {
+        clearInterval(taskTimerInterval);
+    }
 
-    container.innerHTML = html;
+    currentTask = activeTask.task;
+    taskStartTime = new Date(activeTask.startTime);
+    taskSegments = Array.isArray(activeTask.segments) ? activeTask.segments : [];
+    const segmentStart = getStoredSegmentStart(activeTask);
+    segmentStartTime = segmentStart ? new Date(segmentStart) : null;
+    taskTimerInterval = setInterval(updateTaskTimer, 1000);
 }
 
-function formatTime(date) {
-    const hours = String(date.getHours()).padStart(2, '0');
-    const minutes = String(date.getMinutes()).padStart(2, '0');
-    return `${hours}:${minutes}`;
+// 保存データの進行中区間の開始時刻（一時停止中はnull）
+// 区間情報を持たない保存データは開始時刻から記録中として扱う
+function getStoredSegmentStart(activeTask) {
+    return activeTask.segmentStart === undefined ? activeTask.startTime : activeTask.segmentStart;
 }
 
-function formatDate(date) {
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    return `${month}/${day}`;
+function resumeActiveTask() {
+    const activeTask = getActiveTask();
+    closeEditModal();
+    if (!activeTask) return;
+
+    applyActiveTask(activeTask);
+    saveActiveTask();
+    renderCurrentTask();
+    renderQuickTaskButtons();
 }
 
-function formatDuration(seconds) {
-    const hours = Math.floor(seconds / 3600);
-    const minutes = Math.floor((seconds % 3600) / 60);
-    const secs = seconds % 60;
+function stopActiveTaskAtLastSeen() {
+    const activeTask = getActiveTask();
+    closeEditModal();
+    if (!activeTask) return;
 
-    if (hours > 0) {
-        return `${hours}時間${minutes}分`;
-    } else if (minutes > 0) {
-        return `${minutes}分${secs}秒`;
-    } else {
-        return `${secs}秒`;
-    }
+    applyActiveTask(activeTask);
+    stopTask(new Date(activeTask.lastSeen || activeTask.startTime));
+    renderSixMonthCalendar();
 }
 
-function getTaskRecords() {
-    const data = localStorage.getItem('task-records');
-    if (data) {
-        try {
-            return JSON.parse(data);
-        } catch (e) {
-            console.error('業務記録の読み込みに失敗:', e);
-            localStorage.removeItem('task-records');
-        }
+function discardActiveTask() {
+    if (!confirm('記録中だった業務を破棄しますか？\n※この操作は取り消せません')) {
+        return;
     }
-    return [];
+
+    clearActiveTask();
+    closeEditModal();
 }
 
-function saveTaskRecords(records) {
-    localStorage.setItem('task-records', JSON.stringify(records));
+// ========================================
+// タブ間同期（storageイベント＋BroadcastChannel）
+// ========================================
+// 記録中タスクの変更はstorageイベント、記録・設定の変更はデータストアの通知で他のタブに伝わる。
+// BroadcastChannelは新しく開いたタブが「記録中のタブがあるか」を確認するためにも使う。
+const TAB_PING_TIMEOUT_MS = 300;
+const tabChannel = 'BroadcastChannel' in window ? new BroadcastChannel('maedatimetool-tabs') : null;
+let otherTabRecording = false;
+
+if (tabChannel) {
+    tabChannel.onmessage = function(e) {
+        if (e.data.type === 'ping' && currentTask) {
+            tabChannel.postMessage({ type: 'pong' });
+        } else if (e.data.type === 'pong') {
+            otherTabRecording = true;
+        }
+    };
 }
 
-// 記録の削除
-function deleteRecord(index) {
-    if (!confirm('この記録を削除しますか？')) {
-        return;
+// 他のタブで開始・終了・一時停止された記録中タスクを反映
+function syncActiveTaskFromStorage() {
+    const activeTask = getActiveTask();
+
+    if (!activeTask) {
+        if (!currentTask) return;
+        resetTaskState();
+        pendingIdlePeriod = null;
+    } else {
+        const sameState = currentTask === activeTask.task &&
+            taskStartTime && taskStartTime.toISOString() === activeTask.startTime &&
+            (segmentStartTime ? segmentStartTime.toISOString() : null) === getStoredSegmentStart(activeTask) &&
+            taskSegments.length === (activeTask.segments || []).length;
+        // lastSeenの更新だけなら何もしない
+        if (sameState) return;
+        applyActiveTask(activeTask);
     }
 
-    const records = getTaskRecords();
-    records.splice(index, 1);
-    saveTaskRecords(records);
-    renderTaskRecords();
+    renderCurrentTask();
+    renderQuickTaskButtons();
 }
 
-// 現在記録中のタスクを編集
-function editCurrentTask() {
-    closeEditModal();
-    const startTime = new Date(taskStartTime);
-    const startTimeStr = `${String(startTime.getHours()).padStart(2, '0')}:${String(startTime.getMinutes()).padStart(2, '0')}`;
+// 記録中タスクはlocalStorageのstorageイベントで反映
+window.addEventListener('storage', function(e) {
+    // e.keyがnullなのはlocalStorage.clear()など全体が変わった場合
+    if (e.key === 'active-task' || e.key === null) {
+        syncActiveTaskFromStorage();
+    }
+});
 
-    // モーダルを作成
-    const modal = document.createElement('div');
-    modal.className = 'edit-modal';
-    modal.innerHTML = `
-        <div class="edit-modal-content">
-            <h3>記録中の業務を編集</h3>
-            <div class="edit-form">
-                <label>業務名:</label>
-                <input type="text" id="edit-current-task" value="${escapeHtml(currentTask)}" class="edit-input">
+// 記録・設定はデータストアの変更通知で反映
+dataStore.onChange(function(change) {
+    if (change.type === 'records') {
+        renderTaskRecords();
+        renderSixMonthCalendar();
+        return;
+    }
 
-                <label>開始時刻:</label>
-                <input type="time" id="edit-current-start" value="${startTimeStr}" class="edit-input">
+    switch (change.key) {
+        case 'quick-tasks':
+            renderQuickTaskButtons();
+            break;
+        case 'template-settings':
+            renderTemplateList();
+            break;
+        case 'order-list':
+            renderOrderList();
+            break;
+        case 'inventory-memo':
+            loadInventoryMemo();
+            break;
+        case 'work-time-settings':
+            loadWorkTimeSettings();
+            updateWorkTimeDisplay();
+            renderSixMonthCalendar();
+            break;
+        case 'idle-settings':
+            loadIdleSettings();
+            break;
+        case 'planned-entries':
+            renderPlannedEntries();
+            break;
+        case 'leave-entries':
+            loadLeaveEntries();
+            renderLeaveDependents();
+            break;
+        case 'leave-settings':
+            renderLeaveCounter();
+            break;
+        case 'closure-periods':
+            loadClosurePeriods();
+            renderHolidayDependents();
+            break;
+        case 'holiday-overrides':
+            loadHolidaySettings();
+            renderHolidayDependents();
+            break;
+        case 'holiday-list':
+            loadHolidaySettings();
+            checkHolidayDataRange();
+            renderHolidayDependents();
+            break;
+        case 'supplier-profiles':
+            renderSupplierOptions();
+            break;
+    }
+});
 
-                <div class="edit-buttons">
-                    <button onclick="saveEditedCurrentTask()" class="save-btn">保存</button>
-                    <button onclick="closeEditModal()" class="cancel-btn">キャンセル</button>
-                </div>
-            </div>
-        </div>
-    `;
+// ========================================
+// 離席検出（入力なし＋ページ非表示が閾値を超えたら確認）
+// ========================================
+let IDLE_THRESHOLD_MINUTES = 15; // 0で無効
+let lastInputTime = Date.now();
+let pageHiddenAt = null;
+let pendingIdlePeriod = null; // 確認中の離席期間 { start, end }
+const SHARED_INPUT_INTERVAL_MS = 30000; // 他タブへ入力時刻を共有する間隔
+
+function loadIdleSettings() {
+    const settings = dataStore.getSetting('idle-settings');
+    if (settings && Number.isFinite(settings.thresholdMinutes) && settings.thresholdMinutes >= 0) {
+        IDLE_THRESHOLD_MINUTES = settings.thresholdMinutes;
+    }
 
-    document.body.appendChild(modal);
+    const input = document.getElementById('idle-threshold');
+    if (input) {
+        input.value = IDLE_THRESHOLD_MINUTES;
+    }
 }
 
-function saveEditedCurrentTask() {
-    const newTask = document.getElementById('edit-current-task').value.trim();
-    const newStartStr = document.getElementById('edit-current-start').value;
+function updateIdleSettings() {
+    const input = document.getElementById('idle-threshold');
+    const minutes = parseInt(input.value);
 
-    if (!newTask) {
-        alert('業務名を入力してください');
+    if (isNaN(minutes) || minutes < 0) {
+        alert('離席検出の時間は0分以上で入力してください（0で無効）');
+        input.value = IDLE_THRESHOLD_MINUTES;
         return;
     }
 
-    // 時刻をパース
-    const [startHour, startMin] = newStartStr.split(':').map(Number);
+    IDLE_THRESHOLD_MINUTES = minutes;
+    dataStore.setSetting('idle-settings', { thresholdMinutes: minutes });
+}
 
-    if (isNaN(startHour) || isNaN(startMin)) {
-        alert('無効な時刻形式です');
-        return;
+// 入力時刻は他のタブとも共有する（別タブで作業していた時間を離席と誤検出しない）
+function recordUserInput() {
+    const now = Date.now();
+    if (now - lastInputTime > SHARED_INPUT_INTERVAL_MS) {
+        localStorage.setItem('last-input-at', String(now));
     }
+    lastInputTime = now;
+}
 
-    // 新しい開始時刻を作成
-    const newStartTime = new Date(taskStartTime);
-    newStartTime.setHours(startHour, startMin, 0, 0);
+function getLastInputTime() {
+    const sharedInputTime = Number(localStorage.getItem('last-input-at')) || 0;
+    return Math.max(lastInputTime, sharedInputTime);
+}
+
+// ページに戻ったときに離席していたかを判定
+function checkIdleOnReturn() {
+    if (!currentTask || !segmentStartTime || !pageHiddenAt || IDLE_THRESHOLD_MINUTES <= 0) return;
+    if (pendingIdlePeriod) return;
 
-    // 未来の時刻は許可しない
     const now = new Date();
-    if (newStartTime > now) {
-        alert('開始時刻を未来の時刻に設定することはできません');
-        return;
-    }
+    // 最後の入力が進行中の区間より前なら区間開始から離席していたとみなす
+    const idleStart = new Date(Math.max(getLastInputTime(), segmentStartTime.getTime()));
+    const idleMinutes = Math.floor((now - idleStart) / 60000);
 
-    // 更新
-    currentTask = newTask;
-    taskStartTime = newStartTime;
+    if (idleMinutes < IDLE_THRESHOLD_MINUTES) return;
 
-    renderCurrentTask();
-    closeEditModal();
+    pendingIdlePeriod = { start: idleStart, end: now };
+    openIdlePrompt();
 }
 
-// 記録の編集
-function editRecord(index) {
+function openIdlePrompt() {
     closeEditModal();
-    const records = getTaskRecords();
-    const record = records[index];
+    const { start, end } = pendingIdlePeriod;
+    const idleMinutes = Math.floor((end - start) / 60000);
 
-    const start = new Date(record.startTime);
-    const end = new Date(record.endTime);
+    const taskOptions = getQuickTasks()
+        .filter(task => task !== currentTask)
+        .map(task => `<option value="${escapeHtml(task)}">${escapeHtml(task)}</option>`)
+        .join('');
 
-    // モーダルを作成
     const modal = document.createElement('div');
     modal.className = 'edit-modal';
     modal.innerHTML = `
         <div class="edit-modal-content">
-            <h3>記録の編集</h3>
+            <h3>離席を検出しました</h3>
             <div class="edit-form">
-                <label>業務名:</label>
-                <input type="text" id="edit-task" value="${escapeHtml(record.task)}" class="edit-input">
-
-                <label>開始時刻:</label>
-                <input type="time" id="edit-start" value="${formatTime(start)}" class="edit-input">
-
-                <label>終了時刻:</label>
-                <input type="time" id="edit-end" value="${formatTime(end)}" class="edit-input">
+                <div class="restore-task-info">
+                    <div><span class="restore-task-label">記録中:</span>${escapeHtml(currentTask)}</div>
+                    <div><span class="restore-task-label">離席:</span>${formatTime(start)} - ${formatTime(end)}（${idleMinutes}分）</div>
+                </div>
 
                 <div class="edit-buttons">
-                    <button onclick="saveEditedRecord(${index})" class="save-btn">保存</button>
-                    <button onclick="closeEditModal()" class="cancel-btn">キャンセル</button>
+                    <button onclick="resolveIdlePeriod('keep')" class="save-btn">離席時間も含める</button>
+                    <button onclick="resolveIdlePeriod('split')" class="cancel-btn">離席時間を除いて継続</button>
                 </div>
+                <div class="edit-buttons">
+                    <button onclick="resolveIdlePeriod('trim')" class="cancel-btn">離席開始時刻で終了</button>
+                </div>
+
+                ${taskOptions ? `
+                <label>離席時間を別の業務に振り替え:</label>
+                <div class="idle-reassign-row">
+                    <select id="idle-reassign-task" class="edit-input">${taskOptions}</select>
+                    <button onclick="resolveIdlePeriod('reassign')" class="cancel-btn">振り替え</button>
+                </div>` : ''}
             </div>
         </div>
     `;
@@ -979,610 +1860,3175 @@ function editRecord(index) {
     document.body.appendChild(modal);
 }
 
-function saveEditedRecord(index) {
-    const records = getTaskRecords();
-    const record = records[index];
-
-    const newTask = document.getElementById('edit-task').value.trim();
-    const newStartStr = document.getElementById('edit-start').value;
-    const newEndStr = document.getElementById('edit-end').value;
-
-    if (!newTask) {
-        alert('業務名を入力してください');
+// 離席期間の扱いを確定
+// keep: そのまま / split: 休憩として除外 / trim: 離席開始で終了 / reassign: 別業務の記録にする
+function resolveIdlePeriod(action) {
+    const idlePeriod = pendingIdlePeriod;
+    const reassignTask = document.getElementById('idle-reassign-task')?.value;
+    // 振り替え先がなければ離席期間を残したまま選び直してもらう
+    if (action === 'reassign' && !reassignTask) {
+        alert('振り替え先の業務を選択してください');
         return;
     }
+    pendingIdlePeriod = null;
+    closeEditModal();
 
-    // 時刻をパース
-    const [startHour, startMin] = newStartStr.split(':').map(Number);
-    const [endHour, endMin] = newEndStr.split(':').map(Number);
+    if (!idlePeriod || !currentTask || !segmentStartTime) return;
 
-    if (isNaN(startHour) || isNaN(startMin) || isNaN(endHour) || isNaN(endMin)) {
-        alert('無効な時刻形式です');
+    if (action === 'trim') {
+        stopTask(idlePeriod.start);
         return;
     }
 
-    // 新しい日時を作成
-    const start = new Date(record.startTime);
-    const newStart = new Date(start);
-    newStart.setHours(startHour, startMin, 0, 0);
-
-    const end = new Date(record.endTime);
-    const newEnd = new Date(end);
-    newEnd.setHours(endHour, endMin, 0, 0);
-
-    if (newEnd <= newStart) {
-        alert('終了時刻は開始時刻より後にしてください');
-        return;
+    if (action === 'reassign') {
+        updateTaskRecords(records => {
+            records.unshift(buildTaskRecord(reassignTask, [
+                { start: idlePeriod.start.toISOString(), end: idlePeriod.end.toISOString() }
+            ]));
+        });
     }
 
-    // 記録を更新
-    const duration = Math.floor((newEnd - newStart) / 1000);
-    records[index] = {
-        task: newTask,
-        startTime: newStart.toISOString(),
-        endTime: newEnd.toISOString(),
-        duration: duration
-    };
+    if (action === 'split' || action === 'reassign') {
+        excludeIdlePeriod(idlePeriod.start, idlePeriod.end);
+    }
 
-    saveTaskRecords(records);
+    renderCurrentTask();
     renderTaskRecords();
-    closeEditModal();
 }
 
-function closeEditModal() {
-    document.querySelectorAll('.edit-modal').forEach(modal => modal.remove());
+// 進行中の区間を離席開始で閉じ、復帰時刻から新しい区間を始める
+function excludeIdlePeriod(idleStart, idleEnd) {
+    if (idleStart > segmentStartTime) {
+        taskSegments.push({ start: segmentStartTime.toISOString(), end: idleStart.toISOString() });
+    } else if (taskSegments.length === 0) {
+        // 開始直後から離席していた場合は開始時刻を復帰時刻にずらす
+        taskStartTime = idleEnd;
+    }
+    segmentStartTime = idleEnd;
+    saveActiveTask();
 }
 
-// ========================================
-// データエクスポート・インポート機能
-// ========================================
+['mousemove', 'mousedown', 'keydown', 'wheel', 'touchstart'].forEach(eventName => {
+    document.addEventListener(eventName, recordUserInput, { passive: true });
+});
 
-// 業務項目のみエクスポート（定型文設定も含む）
-function exportTasksOnly() {
-    const data = {
-        quickTasks: getQuickTasks(),
-        templateSettings: getTemplateSettings(),
-        exportDate: new Date().toISOString()
-    };
+document.addEventListener('visibilitychange', function() {
+    if (document.visibilityState === 'hidden') {
+        pageHiddenAt = Date.now();
+    } else {
+        checkIdleOnReturn();
+        pageHiddenAt = null;
+    }
+});
 
-    const json = JSON.stringify(data, null, 2);
-    const blob = new Blob([json], { type: 'application/json' });
-    const link = document.createElement('a');
-    const url = URL.createObjectURL(blob);
-    const today = new Date();
-    const filename = `業務項目_${today.getFullYear()}${String(today.getMonth()+1).padStart(2,'0')}${String(today.getDate()).padStart(2,'0')}.json`;
+// クイックタスクボタンの管理
+// 保存値が壊れている場合は修復した値（修復できなければ初期値）を返す
+function getQuickTasks() {
+    const stored = dataStore.getSetting('quick-tasks');
+    return (stored !== undefined && validateQuickTasks(stored).value) || [...defaultQuickTasks];
+}
 
-    link.setAttribute('href', url);
-    link.setAttribute('download', filename);
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
+function saveQuickTasks(tasks) {
+    dataStore.setSetting('quick-tasks', tasks);
 }
 
-// 業務項目のみインポート（定型文設定も含む）
-function importTasksOnly() {
-    if (!confirm('業務項目と定型文設定をインポートすると既存の設定が上書きされます。\n続行しますか？')) return;
-
-    const input = document.createElement('input');
-    input.type = 'file';
-    input.accept = '.json';
-
-    input.onchange = (e) => {
-        const file = e.target.files[0];
-        if (!file) return;
-
-        const reader = new FileReader();
-        reader.onload = (event) => {
-            try {
-                const data = JSON.parse(event.target.result);
-
-                let loaded = false;
-
-                if (data.quickTasks) {
-                    saveQuickTasks(data.quickTasks);
-                    renderQuickTaskButtons();
-                    loaded = true;
-                }
-
-                if (data.templateSettings) {
-                    saveTemplateSettings(data.templateSettings);
-                    renderTemplateList();
-                    loaded = true;
-                }
+function addQuickTaskButton() {
+    const input = document.getElementById('new-task-button-name');
+    const taskName = input.value.trim();
 
-                if (loaded) {
-                    alert('業務項目と定型文設定を読み込みました');
-                } else {
-                    alert('有効なデータが見つかりません');
-                }
-            } catch (error) {
-                alert('ファイルの読み込みに失敗しました');
-            }
-        };
+    if (!taskName) {
+        alert('業務名を入力してください');
+        return;
+    }
 
-        reader.readAsText(file);
-    };
+    const tasks = getQuickTasks();
+    if (tasks.includes(taskName)) {
+        alert('既に同じ業務名が存在します');
+        return;
+    }
 
-    input.click();
+    tasks.push(taskName);
+    saveQuickTasks(tasks);
+    input.value = '';
+    renderQuickTaskButtons();
 }
 
-// CSV出力（UTF-8 BOM付き、Excel対応）
-function exportRecordsCSV() {
-    const records = getTaskRecords();
+function deleteQuickTaskButton(taskName, event) {
+    event.stopPropagation();
 
-    if (records.length === 0) {
-        alert('記録がありません');
+    if (!confirm(`「${taskName}」を削除しますか？`)) {
         return;
     }
 
-    // CSVヘッダー
-    let csv = '業務内容,開始時刻,終了時刻,所要時間\n';
+    const tasks = getQuickTasks();
+    const index = tasks.indexOf(taskName);
+    if (index > -1) {
+        tasks.splice(index, 1);
+        saveQuickTasks(tasks);
+        renderQuickTaskButtons();
+    }
+}
 
-    // データ行
-    records.forEach(record => {
-        const start = new Date(record.startTime);
-        const end = new Date(record.endTime);
-        const startStr = `${start.getFullYear()}/${String(start.getMonth()+1).padStart(2,'0')}/${String(start.getDate()).padStart(2,'0')} ${formatTime(start)}`;
-        const endStr = `${end.getFullYear()}/${String(end.getMonth()+1).padStart(2,'0')}/${String(end.getDate()).padStart(2,'0')} ${formatTime(end)}`;
-        const duration = formatDuration(record.duration);
+function renderQuickTaskButtons() {
+    const container = document.getElementById('quick-task-buttons');
+    const tasks = getQuickTasks();
 
-        csv += `"${record.task}","${startStr}","${endStr}","${duration}"\n`;
+    let html = '';
+    tasks.forEach(task => {
+        const isActive = currentTask === task ? 'active' : '';
+        html += `
+            <button class="quick-task-btn ${isActive}" onclick="quickStartTask('${escapeHtml(task)}')">
+                ${escapeHtml(task)}
+                <span class="delete-btn" onclick="deleteQuickTaskButton('${escapeHtml(task)}', event)">×</span>
+            </button>
+        `;
     });
 
-    // UTF-8 BOM付きで出力（Excel対応）
-    const bom = new Uint8Array([0xEF, 0xBB, 0xBF]);
-    const blob = new Blob([bom, csv], { type: 'text/csv;charset=utf-8;' });
+    container.innerHTML = html;
+}
 
-    const link = document.createElement('a');
-    const url = URL.createObjectURL(blob);
-    const today = new Date();
-    const filename = `業務記録_${today.getFullYear()}${String(today.getMonth()+1).padStart(2,'0')}${String(today.getDate()).padStart(2,'0')}.csv`;
+function updateTaskTimer() {
+    if (!taskStartTime) return;
 
-    link.setAttribute('href', url);
-    link.setAttribute('download', filename);
-    link.style.visibility = 'hidden';
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
+    const elapsed = getCurrentTaskNetSeconds();
+    const hours = Math.floor(elapsed / 3600);
+    const minutes = Math.floor((elapsed % 3600) / 60);
+    const seconds = elapsed % 60;
+
+    const timerElem = document.querySelector('.current-task-timer');
+    if (timerElem) {
+        timerElem.textContent = `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+    }
+
+    // 最終確認時刻を更新（クラッシュ時はこの時刻で終了できる）
+    saveActiveTask();
 }
 
-// JSON形式でデータ保存（業務項目+記録+定型文設定）
-function exportRecordsJSON() {
-    const data = {
-        quickTasks: getQuickTasks(),
-        records: getTaskRecords(),
-        templateSettings: getTemplateSettings(),
-        exportDate: new Date().toISOString()
-    };
+function renderCurrentTask() {
+    const container = document.getElementById('current-task');
 
-    const json = JSON.stringify(data, null, 2);
-    const blob = new Blob([json], { type: 'application/json' });
-    const link = document.createElement('a');
-    const url = URL.createObjectURL(blob);
-    const today = new Date();
-    const filename = `業務データ_${today.getFullYear()}${String(today.getMonth()+1).padStart(2,'0')}${String(today.getDate()).padStart(2,'0')}.json`;
+    if (currentTask) {
+        const isPaused = !segmentStartTime;
+        const pauseButton = isPaused
+            ? '<button onclick="resumeTask()" class="pause-task-btn" title="作業を再開">再開</button>'
+            : '<button onclick="pauseTask()" class="pause-task-btn" title="休憩などで一時停止">一時停止</button>';
 
-    link.setAttribute('href', url);
-    link.setAttribute('download', filename);
-    link.style.visibility = 'hidden';
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
+        container.innerHTML = `
+            <div class="current-task-compact ${isPaused ? 'paused' : ''}">
+                <span class="current-task-label">${isPaused ? '休憩中:' : '記録中:'}</span>
+                <span class="current-task-name">${escapeHtml(currentTask)}</span>
+                <span class="current-task-timer">00:00:00</span>
+                <button onclick="editCurrentTask()" class="edit-current-btn" title="編集">✎</button>
+                ${pauseButton}
+                <button onclick="stopTask()" class="stop-task-btn">終了</button>
+            </div>
+        `;
+        updateTaskTimer();
+    } else {
+        container.innerHTML = '';
+    }
 }
 
-// JSON形式でデータ読込（定型文設定も含む）
-function importRecordsJSON() {
-    const existingRecords = getTaskRecords();
-    const warning = existingRecords.length > 0
-        ? `現在${existingRecords.length}件の業務記録があります。インポートすると既存データが上書きされます。\n続行しますか？`
-        : 'データをインポートしますか？';
-
-    if (!confirm(warning)) return;
+function renderTaskRecords() {
+    const container = document.getElementById('record-list');
+    const records = getDisplayRecords();
 
-    const input = document.createElement('input');
-    input.type = 'file';
-    input.accept = '.json';
+    if (records.length === 0) {
+        container.innerHTML = '<div style="color: #606060; padding: 10px;">記録なし</div>';
+        return;
+    }
 
-    input.onchange = (e) => {
-        const file = e.target.files[0];
-        if (!file) return;
+    // 今日の合計時間を計算
+    const today = new Date().toDateString();
+    const todayRecords = records.filter(record => {
+        const recordDate = new Date(record.startTime);
+        return recordDate.toDateString() === today;
+    });
 
-        const reader = new FileReader();
-        reader.onload = (event) => {
-            try {
-                const data = JSON.parse(event.target.result);
+    const todayTotal = todayRecords.reduce((sum, record) => sum + record.duration, 0);
+    const todayHours = Math.floor(todayTotal / 3600);
+    const todayMinutes = Math.floor((todayTotal % 3600) / 60);
 
-                // 記録中のタスクがあれば停止
-                if (currentTask) {
-                    stopTask();
-                }
+    let html = `
+        <div class="record-summary">
+            本日の合計: ${todayHours}時間${todayMinutes}分 (${todayRecords.length}件)
+        </div>
+    `;
 
-                if (data.quickTasks) {
-                    saveQuickTasks(data.quickTasks);
-                    renderQuickTaskButtons();
-                }
+    records.slice(0, 20).forEach(record => { // 最新20件
+        const start = new Date(record.startTime);
+        const end = new Date(record.endTime);
+        const duration = formatDuration(record.duration);
+        const dateStr = formatDate(start);
+        const breakSeconds = getRecordBreakSeconds(record);
+        const breakText = breakSeconds >= 60
+            ? `<span class="record-break-text" title="${formatSegmentRanges(getRecordSegments(record))}">休${Math.floor(breakSeconds / 60)}分</span>`
+            : '';
 
-                if (data.records) {
-                    saveTaskRecords(data.records);
-                    renderTaskRecords();
-                }
+        html += `
+            <div class="record-item-compact">
+                <span class="record-task-name">${escapeHtml(record.task)}</span>
+                <span class="record-date">${dateStr}</span>
+                <span class="record-time-range">${formatTime(start)}-${formatTime(end)}</span>
+                ${breakText}
+                <span class="record-duration-text">${duration}</span>
+                <button onclick="editRecord('${record.id}')" class="record-edit-btn" title="編集">✎</button>
+                <button onclick="deleteRecord('${record.id}')" class="record-delete-btn" title="削除">×</button>
+            </div>
+        `;
+    });
 
-                if (data.templateSettings) {
-                    saveTemplateSettings(data.templateSettings);
-                    renderTemplateList();
-                }
+    container.innerHTML = html;
+}
 
-                alert('データを読み込みました');
-            } catch (error) {
-                alert('ファイルの読み込みに失敗しました');
-                console.error(error);
-            }
-        };
+function formatTime(date) {
+    const hours = String(date.getHours()).padStart(2, '0');
+    const minutes = String(date.getMinutes()).padStart(2, '0');
+    return `${hours}:${minutes}`;
+}
 
-        reader.readAsText(file);
-    };
+function formatDate(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${month}/${day}`;
+}
 
-    input.click();
+// 日付指定などの保存に使う日付（YYYY-MM-DD、ローカル時刻）
+function formatDateKey(date) {
+    return `${date.getFullYear()}-${formatDate(date).replace('/', '-')}`;
 }
 
-// 記録のリセット
-function clearRecords() {
-    if (!confirm('全ての業務記録を削除しますか？\n※この操作は取り消せません')) {
-        return;
-    }
+function formatDuration(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const secs = seconds % 60;
 
-    // 実行中のタスクを停止
-    if (currentTask) {
-        stopTask();
+    if (hours > 0) {
+        return `${hours}時間${minutes}分`;
+    } else if (minutes > 0) {
+        return `${minutes}分${secs}秒`;
+    } else {
+        return `${secs}秒`;
     }
+}
 
-    // 記録をクリア
-    localStorage.removeItem('task-records');
-    renderTaskRecords();
+function getTaskRecords() {
+    return dataStore.getRecords();
+}
 
-    alert('業務記録をリセットしました');
+// 表示・集計用の記録（壊れた記録は修復した形で返し、修復できないものは除く）
+// 保存データ自体の修復は「データ点検」で行う
+function getDisplayRecords(records = getTaskRecords()) {
+    return records.map(record => validateRecord(record).value).filter(Boolean);
 }
 
-// 記録の検索・フィルタ
-function filterRecords(taskName) {
-    const records = getTaskRecords();
-    return records.filter(record => record.task === taskName);
+// IDを持たない記録（インポートなど）は保存時にIDが振られる
+function saveTaskRecords(records) {
+    dataStore.saveRecords(records);
 }
 
-// 日別集計
-function getDailySummary(dateStr) {
+// 保存直前の最新の記録に変更を適用して保存する
+// 別タブの書き込みを上書きしないよう、古い配列を保持したまま保存しないこと
+function updateTaskRecords(mutator) {
     const records = getTaskRecords();
-    const targetDate = new Date(dateStr);
+    mutator(records);
+    saveTaskRecords(records);
+    return records;
+}
 
-    const dayRecords = records.filter(record => {
-        const recordDate = new Date(record.startTime);
-        return recordDate.toDateString() === targetDate.toDateString();
-    });
+function findRecordIndex(records, id) {
+    return records.findIndex(record => record.id === id);
+}
 
-    // 業務ごとに集計
-    const summary = {};
-    dayRecords.forEach(record => {
-        if (!summary[record.task]) {
-            summary[record.task] = 0;
+// 記録の削除
+function deleteRecord(id) {
+    if (!confirm('この記録を削除しますか？')) {
+        return;
+    }
+
+    updateTaskRecords(records => {
+        const index = findRecordIndex(records, id);
+        if (index > -1) {
+            records.splice(index, 1);
         }
-        summary[record.task] += record.duration;
     });
+    renderTaskRecords();
+    renderSixMonthCalendar();
+}
 
-    return summary;
+// 現在記録中のタスクを編集
+function editCurrentTask() {
+    closeEditModal();
+    const startTime = new Date(taskStartTime);
+    const startTimeStr = `${String(startTime.getHours()).padStart(2, '0')}:${String(startTime.getMinutes()).padStart(2, '0')}`;
+
+    // モーダルを作成
+    const modal = document.createElement('div');
+    modal.className = 'edit-modal';
+    modal.innerHTML = `
+        <div class="edit-modal-content">
+            <h3>記録中の業務を編集</h3>
+            <div class="edit-form">
+                <label>業務名:</label>
+                <input type="text" id="edit-current-task" value="${escapeHtml(currentTask)}" class="edit-input">
+
+                <label>開始時刻:</label>
+                <input type="time" id="edit-current-start" value="${startTimeStr}" class="edit-input">
+
+                <div class="edit-buttons">
+                    <button onclick="saveEditedCurrentTask()" class="save-btn">保存</button>
+                    <button onclick="closeEditModal()" class="cancel-btn">キャンセル</button>
+                </div>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
 }
 
-// 週別集計
-function getWeeklySummary() {
-    const records = getTaskRecords();
+function saveEditedCurrentTask() {
+    const newTask = document.getElementById('edit-current-task').value.trim();
+    const newStartStr = document.getElementById('edit-current-start').value;
+
+    if (!newTask) {
+        alert('業務名を入力してください');
+        return;
+    }
+
+    // 時刻をパース
+    const [startHour, startMin] = newStartStr.split(':').map(Number);
+
+    if (isNaN(startHour) || isNaN(startMin)) {
+        alert('無効な時刻形式です');
+        return;
+    }
+
+    // 新しい開始時刻を作成
+    const newStartTime = new Date(taskStartTime);
+    newStartTime.setHours(startHour, startMin, 0, 0);
+
+    // 未来の時刻は許可しない
     const now = new Date();
-    const weekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+    if (newStartTime > now) {
+        alert('開始時刻を未来の時刻に設定することはできません');
+        return;
+    }
 
-    const weekRecords = records.filter(record => {
-        const recordDate = new Date(record.startTime);
-        return recordDate >= weekAgo && recordDate <= now;
-    });
+    // 一時停止済みの区間がある場合、最初の区間の終了より後にはできない
+    if (taskSegments.length > 0 && newStartTime >= new Date(taskSegments[0].end)) {
+        alert('開始時刻は最初の作業区間の終了時刻より前にしてください');
+        return;
+    }
 
-    const summary = {};
-    weekRecords.forEach(record => {
-        if (!summary[record.task]) {
-            summary[record.task] = 0;
+    // 更新（開始時刻は最初の作業区間の開始時刻でもある）
+    currentTask = newTask;
+    taskStartTime = newStartTime;
+    if (taskSegments.length > 0) {
+        taskSegments[0] = { start: newStartTime.toISOString(), end: taskSegments[0].end };
+    } else if (segmentStartTime) {
+        segmentStartTime = newStartTime;
+    }
+    saveActiveTask();
+
+    renderCurrentTask();
+    closeEditModal();
+}
+
+// 記録の編集
+function editRecord(id) {
+    closeEditModal();
+    const records = getTaskRecords();
+    const record = records[findRecordIndex(records, id)];
+    if (!record) return;
+    const segments = getRecordSegments(record);
+
+    // 作業区間ごとの時刻入力（区間が1つなら従来どおり開始・終了のみ）
+    let segmentInputs = '';
+    if (segments.length === 1) {
+        segmentInputs = `
+                <label>開始時刻:</label>
+                <input type="time" id="edit-seg-start-0" value="${formatTime(new Date(segments[0].start))}" class="edit-input">
+
+                <label>終了時刻:</label>
+                <input type="time" id="edit-seg-end-0" value="${formatTime(new Date(segments[0].end))}" class="edit-input">
+        `;
+    } else {
+        segmentInputs = '<label>作業区間（区間の間は休憩として除外されます）:</label>';
+        segments.forEach((segment, i) => {
+            segmentInputs += `
+                <div class="edit-segment-row">
+                    <span class="edit-segment-label">区間${i + 1}</span>
+                    <input type="time" id="edit-seg-start-${i}" value="${formatTime(new Date(segment.start))}" class="edit-input">
+                    <span>-</span>
+                    <input type="time" id="edit-seg-end-${i}" value="${formatTime(new Date(segment.end))}" class="edit-input">
+                </div>
+            `;
+        });
+    }
+
+    // モーダルを作成
+    const modal = document.createElement('div');
+    modal.className = 'edit-modal';
+    modal.innerHTML = `
+        <div class="edit-modal-content">
+            <h3>記録の編集</h3>
+            <div class="edit-form">
+                <label>業務名:</label>
+                <input type="text" id="edit-task" value="${escapeHtml(record.task)}" class="edit-input">
+                ${segmentInputs}
+                <div class="edit-buttons">
+                    <button onclick="saveEditedRecord('${record.id}')" class="save-btn">保存</button>
+                    <button onclick="closeEditModal()" class="cancel-btn">キャンセル</button>
+                </div>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+}
+
+function saveEditedRecord(id) {
+    const records = getTaskRecords();
+    const record = records[findRecordIndex(records, id)];
+    if (!record) {
+        alert('この記録は他のタブで削除されました');
+        closeEditModal();
+        renderTaskRecords();
+        return;
+    }
+    const segments = getRecordSegments(record);
+
+    const times = segments.map((segment, i) => ({
+        start: document.getElementById(`edit-seg-start-${i}`).value,
+        end: document.getElementById(`edit-seg-end-${i}`).value
+    }));
+    const result = validateRecordEdit(segments, document.getElementById('edit-task').value, times);
+    if (!result.value) {
+        alert(result.problems[0]);
+        return;
+    }
+
+    // 記録を更新（所要時間は区間の合計）
+    const updatedRecord = buildTaskRecord(result.value.task, result.value.segments, record.id);
+    updateTaskRecords(latestRecords => {
+        const index = findRecordIndex(latestRecords, id);
+        if (index > -1) {
+            latestRecords[index] = updatedRecord;
         }
-        summary[record.task] += record.duration;
     });
 
-    return summary;
+    renderTaskRecords();
+    renderSixMonthCalendar();
+    closeEditModal();
+}
+
+function closeEditModal() {
+    document.querySelectorAll('.edit-modal').forEach(modal => modal.remove());
 }
 
 // ========================================
-// 業界・調達情報取得
+// データエクスポート・インポート機能
 // ========================================
-let currentGovSource = 'generator';
 
-function loadGovNews(source) {
-    currentGovSource = source;
-    const container = document.getElementById('gov-news');
+// 業務項目のみエクスポート（定型文設定も含む）
+function exportTasksOnly() {
+    const data = {
+        quickTasks: getQuickTasks(),
+        templateSettings: getTemplateSettings(),
+        exportDate: new Date().toISOString()
+    };
 
-    let newsData = [];
+    const json = JSON.stringify(data, null, 2);
+    const blob = new Blob([json], { type: 'application/json' });
+    const link = document.createElement('a');
+    const url = URL.createObjectURL(blob);
+    const today = new Date();
+    const filename = `業務項目_${today.getFullYear()}${String(today.getMonth()+1).padStart(2,'0')}${String(today.getDate()).padStart(2,'0')}.json`;
 
-    switch(source) {
-        case 'generator':
-            newsData = [
-                {
-                    title: '総務省消防庁 - 予防行政',
-                    description: '非常用発電設備の点検・整備基準、消防法令の最新情報',
-                    link: 'https://www.fdma.go.jp/mission/prevention/index.html',
-                    time: '消防庁'
-                },
-                {
-                    title: '非常用発電設備の点検基準',
-                    description: '負荷運転・内部観察等の点検実施要領',
-                    link: 'https://www.fdma.go.jp/mission/prevention/suisin/items/h30_kaitei.pdf',
-                    time: 'PDF資料'
-                },
-                {
-                    title: '日本内燃力発電設備協会',
-                    description: '非常用発電設備の技術基準・メンテナンス情報',
-                    link: 'https://www.nega.or.jp/',
-                    time: '業界団体'
-                },
-                {
-                    title: '電気設備技術基準・解釈',
-                    description: '自家用発電設備に関する技術基準',
-                    link: 'https://www.meti.go.jp/policy/safety_security/industrial_safety/sangyo/electric/detail/denki_sekkei.html',
-                    time: '経産省'
-                },
-                {
-                    title: 'JIS規格検索（発電設備関連）',
-                    description: 'ディーゼル発電設備等のJIS規格確認',
-                    link: 'https://www.jisc.go.jp/',
-                    time: 'JISC'
+    link.setAttribute('href', url);
+    link.setAttribute('download', filename);
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+// 業務項目のみインポート（定型文設定も含む）
+function importTasksOnly() {
+    if (!confirm('業務項目と定型文設定をインポートすると既存の設定が上書きされます。\n続行しますか？')) return;
+
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json';
+
+    input.onchange = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            try {
+                const data = JSON.parse(event.target.result);
+
+                let loaded = false;
+
+                if (data.quickTasks) {
+                    saveQuickTasks(data.quickTasks);
+                    renderQuickTaskButtons();
+                    loaded = true;
                 }
-            ];
-            break;
-        case 'procurement':
-            newsData = [
-                {
-                    title: '経済産業省 - サプライチェーン強靱化',
-                    description: '半導体・部素材のサプライチェーン対策',
-                    link: 'https://www.meti.go.jp/policy/external_economy/toshi/supply_chain/index.html',
-                    time: '経産省'
-                },
-                {
-                    title: '中小企業基盤整備機構 - 調達情報',
-                    description: '官公需・入札情報、調達支援策',
-                    link: 'https://www.smrj.go.jp/',
-                    time: '中小機構'
-                },
-                {
-                    title: '国土交通省 - 物流施策',
-                    description: 'トラック運送業の2024年問題、物流DX',
-                    link: 'https://www.mlit.go.jp/seisakutokatsu/freight/index.html',
-                    time: '国交省'
-                },
-                {
-                    title: 'ジェトロ - 貿易・投資相談',
-                    description: '海外調達、輸出入規制、関税情報',
-                    link: 'https://www.jetro.go.jp/services/advice.html',
-                    time: 'JETRO'
-                },
-                {
-                    title: '調達価格指数（企業物価指数）',
-                    description: '原材料・部品の価格動向（日本銀行）',
-                    link: 'https://www.boj.or.jp/statistics/pi/index.htm',
-                    time: '日銀'
+
+                if (data.templateSettings) {
+                    saveTemplateSettings(data.templateSettings);
+                    renderTemplateList();
+                    loaded = true;
                 }
-            ];
-            break;
-        case 'regulation':
-            newsData = [
-                {
-                    title: '消防法令改正情報',
-                    description: '消防用設備等の技術基準改正・通知',
-                    link: 'https://www.fdma.go.jp/laws/tutatsu/items/tutatsu_main.html',
-                    time: '総務省消防庁'
-                },
-                {
-                    title: '電気事業法関連（自家用電気工作物）',
-                    description: '保安規程、定期点検、主任技術者選任',
-                    link: 'https://www.meti.go.jp/policy/safety_security/industrial_safety/sangyo/electric/index.html',
-                    time: '経産省'
-                },
-                {
-                    title: '建築基準法（非常用の照明装置・予備電源）',
-                    description: '建築設備の定期検査制度',
-                    link: 'https://www.mlit.go.jp/jutakukentiku/build/jutakukentiku_house_tk_000080.html',
-                    time: '国交省'
-                },
-                {
-                    title: '高圧ガス保安法',
-                    description: '圧縮天然ガス、LPガス発電設備の保安基準',
-                    link: 'https://www.khk.or.jp/',
-                    time: '高圧ガス保安協会'
-                },
-                {
-                    title: 'RoHS指令・REACH規則（EU規制）',
-                    description: '電気電子機器の有害物質規制情報',
-                    link: 'https://www.jetro.go.jp/world/europe/eu/business/regulations.html',
-                    time: 'JETRO'
+
+                if (loaded) {
+                    alert('業務項目と定型文設定を読み込みました');
+                } else {
+                    alert('有効なデータが見つかりません');
                 }
-            ];
-            break;
+            } catch (error) {
+                alert('ファイルの読み込みに失敗しました');
+            }
+        };
+
+        reader.readAsText(file);
+    };
+
+    input.click();
+}
+
+// CSV出力（UTF-8 BOM付き、Excel対応）
+function exportRecordsCSV() {
+    const records = getTaskRecords();
+
+    if (records.length === 0) {
+        alert('記録がありません');
+        return;
     }
 
-    displayNews(container, newsData);
+    // CSVヘッダー（所要時間は休憩を除いた正味時間）
+    let csv = '業務内容,開始時刻,終了時刻,所要時間,休憩時間,作業区間\n';
+
+    // データ行
+    records.forEach(record => {
+        const start = new Date(record.startTime);
+        const end = new Date(record.endTime);
+        const startStr = `${start.getFullYear()}/${String(start.getMonth()+1).padStart(2,'0')}/${String(start.getDate()).padStart(2,'0')} ${formatTime(start)}`;
+        const endStr = `${end.getFullYear()}/${String(end.getMonth()+1).padStart(2,'0')}/${String(end.getDate()).padStart(2,'0')} ${formatTime(end)}`;
+        const duration = formatDuration(record.duration);
+        const breakDuration = formatDuration(getRecordBreakSeconds(record));
+        const segmentRanges = formatSegmentRanges(getRecordSegments(record));
+
+        // ダブルクォートは""にエスケープ（CSV読込で元に戻せるように）
+        const task = record.task.replace(/"/g, '""');
+
+        csv += `"${task}","${startStr}","${endStr}","${duration}","${breakDuration}","${segmentRanges}"\n`;
+    });
+
+    // UTF-8 BOM付きで出力（Excel対応）
+    const bom = new Uint8Array([0xEF, 0xBB, 0xBF]);
+    const blob = new Blob([bom, csv], { type: 'text/csv;charset=utf-8;' });
+
+    const link = document.createElement('a');
+    const url = URL.createObjectURL(blob);
+    const today = new Date();
+    const filename = `業務記録_${today.getFullYear()}${String(today.getMonth()+1).padStart(2,'0')}${String(today.getDate()).padStart(2,'0')}.csv`;
+
+    link.setAttribute('href', url);
+    link.setAttribute('download', filename);
+    link.style.visibility = 'hidden';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
 }
 
-function displayNews(container, newsArray) {
-    let html = '';
-    newsArray.forEach(news => {
-        html += `
-            <div class="news-item">
-                <h3>${news.title}</h3>
-                <p>${news.description}</p>
-                <a href="${news.link}" target="_blank">続きを読む</a>
-                <p class="news-time">${news.time}</p>
+// ========================================
+// CSV読込（CSV出力の形式、Excelで編集・再保存したファイル）
+// ========================================
+let pendingCSVImport = null; // 列の対応づけ中のCSV { rows }
+
+// 読み込む項目と、見出しから自動で対応づけるための列名
+const CSV_IMPORT_FIELDS = [
+    { key: 'task', label: '業務内容', required: true, headers: ['業務内容', '業務名'] },
+    { key: 'start', label: '開始時刻', required: true, headers: ['開始時刻', '開始'] },
+    { key: 'end', label: '終了時刻', required: true, headers: ['終了時刻', '終了'] },
+    { key: 'segments', label: '作業区間', required: false, headers: ['作業区間'] }
+];
+
+function importRecordsCSV() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.csv,text/csv';
+
+    input.onchange = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            try {
+                const rows = parseCSV(decodeCSVBuffer(event.target.result))
+                    .filter(row => row.fields.some(field => field.trim() !== ''));
+
+                if (rows.length === 0) {
+                    alert('CSVにデータがありません');
+                    return;
+                }
+
+                openCSVMappingModal(rows);
+            } catch (error) {
+                alert('ファイルの読み込みに失敗しました');
+                console.error(error);
+            }
+        };
+
+        reader.readAsArrayBuffer(file);
+    };
+
+    input.click();
+}
+
+// 文字コードを判定して文字列にする
+// BOM付き・BOMなしのUTF-8を優先し、UTF-8として不正ならShift_JIS（Excelで再保存したCSV）とみなす
+function decodeCSVBuffer(buffer) {
+    const bytes = new Uint8Array(buffer);
+    if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+        return new TextDecoder('utf-8').decode(bytes.subarray(3));
+    }
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch (e) {
+        return new TextDecoder('shift_jis').decode(bytes);
+    }
+}
+
+// CSVを行ごとに分割する（ダブルクォート内のカンマ・改行、""のエスケープに対応）
+// ダブルクォートはフィールドの先頭にあるときだけ囲みとして扱い、途中のものは文字として読む
+// 閉じていない囲みは文字として読み直し、その行にproblemを付ける
+// 戻り値: [{ line: ファイル上の行番号, fields: [...], problem?: string }]
+function parseCSV(text, literalQuotes = new Set()) {
+    const rows = [];
+    let fields = [];
+    let field = '';
+    let fieldStart = true;
+    let inQuotes = false;
+    let quoteIndex = -1;
+    let problem = '';
+    let line = 1;
+    let rowLine = 1;
+
+    const pushRow = () => {
+        rows.push(problem ? { line: rowLine, fields, problem } : { line: rowLine, fields });
+        fields = [];
+        problem = '';
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+                if (text[i + 1] !== undefined && !',\r\n'.includes(text[i + 1])) {
+                    problem = '「"」で囲んだ値の後に文字があります（囲みが正しいか確認してください）';
+                }
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"' && fieldStart && !literalQuotes.has(i)) {
+            inQuotes = true;
+            quoteIndex = i;
+            fieldStart = false;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+            fieldStart = true;
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            fields.push(field);
+            pushRow();
+            field = '';
+            fieldStart = true;
+            line++;
+            rowLine = line;
+        } else {
+            if (literalQuotes.has(i)) problem = '「"」が閉じられていません（「"」を文字として読み込みます）';
+            field += char;
+            fieldStart = false;
+        }
+    }
+
+    if (inQuotes) {
+        return parseCSV(text, new Set([...literalQuotes, quoteIndex]));
+    }
+
+    if (field !== '' || fields.length > 0) {
+        fields.push(field);
+        pushRow();
+    }
+
+    return rows;
+}
+
+// 見出し行から列の対応を推定（見出しがなければCSV出力と同じ列順）
+function detectCSVMapping(headerFields) {
+    const normalized = headerFields.map(field => field.trim());
+    const mapping = {};
+    let hasHeader = false;
+
+    CSV_IMPORT_FIELDS.forEach(field => {
+        const index = normalized.findIndex(name => field.headers.includes(name));
+        if (index !== -1) {
+            mapping[field.key] = index;
+            hasHeader = true;
+        }
+    });
+
+    if (!hasHeader) {
+        return { hasHeader: false, mapping: { task: 0, start: 1, end: 2, segments: -1 } };
+    }
+
+    CSV_IMPORT_FIELDS.forEach(field => {
+        if (mapping[field.key] === undefined) mapping[field.key] = -1;
+    });
+    return { hasHeader: true, mapping };
+}
+
+function openCSVMappingModal(rows) {
+    closeEditModal();
+    pendingCSVImport = { rows };
+
+    const { hasHeader, mapping } = detectCSVMapping(rows[0].fields);
+    const columnCount = Math.max(...rows.slice(0, 20).map(row => row.fields.length));
+    const sampleRow = rows[hasHeader ? 1 : 0] || rows[0];
+
+    const columnLabel = (index) => {
+        const header = hasHeader ? rows[0].fields[index]?.trim() : '';
+        const sample = sampleRow.fields[index]?.trim() || '';
+        return `列${index + 1}${header ? `「${header}」` : ''}${sample ? `: ${sample.slice(0, 20)}` : ''}`;
+    };
+
+    const selects = CSV_IMPORT_FIELDS.map(field => {
+        let options = field.required ? '' : '<option value="-1">（使わない）</option>';
+        for (let i = 0; i < columnCount; i++) {
+            const selected = mapping[field.key] === i ? 'selected' : '';
+            options += `<option value="${i}" ${selected}>${escapeHtml(columnLabel(i))}</option>`;
+        }
+        return `
+                <label>${field.label}${field.required ? '' : '（任意）'}:</label>
+                <select id="csv-column-${field.key}" class="edit-input">${options}</select>`;
+    }).join('');
+
+    const modal = document.createElement('div');
+    modal.className = 'edit-modal';
+    modal.innerHTML = `
+        <div class="edit-modal-content">
+            <h3>CSVの読み込み（${hasHeader ? rows.length - 1 : rows.length}行）</h3>
+            <div class="edit-form">
+                <label class="import-settings-option">
+                    <input type="checkbox" id="csv-has-header" ${hasHeader ? 'checked' : ''}>
+                    1行目は見出し
+                </label>
+                ${selects}
+                <div class="restore-task-info">
+                    <div>開始・終了時刻は「2025/01/31 09:00」の形式で読み込みます。</div>
+                    <div>所要時間は開始～終了（作業区間があれば区間の合計）から計算し直します。</div>
+                </div>
+                <div class="edit-buttons">
+                    <button onclick="applyCSVMapping()" class="save-btn">次へ</button>
+                    <button onclick="cancelCSVImport()" class="cancel-btn">キャンセル</button>
+                </div>
             </div>
-        `;
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+}
+
+function cancelCSVImport() {
+    pendingCSVImport = null;
+    closeEditModal();
+}
+
+// 「YYYY/MM/DD HH:MM」形式（秒、ハイフン区切り、ゼロ埋めなしも可）を解釈
+function parseCSVDateTime(text) {
+    const match = text.trim().match(/^(\d{4})[\/-](\d{1,2})[\/-](\d{1,2})[ T]+(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+    if (!match) return null;
+
+    const [, year, month, day, hours, minutes, seconds] = match.map(Number);
+    const date = new Date(year, month - 1, day, hours, minutes, seconds || 0);
+    // 2/30のような存在しない日付は繰り上がるため除外
+    if (date.getMonth() !== month - 1 || date.getDate() !== day || hours > 23 || minutes > 59) return null;
+    return date;
+}
+
+// 作業区間「09:00-12:00 / 13:00-17:30」を開始日時を基準に日時へ戻す
+// 前の時刻より早い時刻は翌日とみなす（日をまたぐ記録）
+function parseCSVSegments(text, startDate) {
+    const ranges = text.split('/').map(range => range.trim()).filter(Boolean);
+    const segments = [];
+    let previous = new Date(startDate);
+    previous.setSeconds(0, 0);
+
+    const toDate = (time) => {
+        const match = time.trim().match(/^(\d{1,2}):(\d{2})$/);
+        if (!match) return null;
+        const date = new Date(previous);
+        date.setHours(Number(match[1]), Number(match[2]), 0, 0);
+        if (date < previous) date.setDate(date.getDate() + 1);
+        previous = date;
+        return date;
+    };
+
+    for (const range of ranges) {
+        const [startText, endText] = range.split('-');
+        if (endText === undefined) return null;
+        const start = toDate(startText);
+        const end = toDate(endText);
+        if (!start || !end) return null;
+        segments.push({ start: start.toISOString(), end: end.toISOString() });
+    }
+
+    return segments.length > 0 ? segments : null;
+}
+
+// 指定した列の対応でCSVを記録に変換し、インポートウィザードへ渡す
+function applyCSVMapping() {
+    if (!pendingCSVImport) return;
+
+    const mapping = {};
+    CSV_IMPORT_FIELDS.forEach(field => {
+        mapping[field.key] = Number(document.getElementById(`csv-column-${field.key}`).value);
     });
-    container.innerHTML = html;
+    const hasHeader = document.getElementById('csv-has-header').checked;
+
+    const requiredColumns = CSV_IMPORT_FIELDS.filter(field => field.required).map(field => mapping[field.key]);
+    if (new Set(requiredColumns).size !== requiredColumns.length) {
+        alert('業務内容・開始時刻・終了時刻には別々の列を指定してください');
+        return;
+    }
+
+    const rows = hasHeader ? pendingCSVImport.rows.slice(1) : pendingCSVImport.rows;
+    pendingCSVImport = null;
+
+    const records = [];
+    const recordLabels = [];
+    const problems = [];
+
+    rows.forEach(({ line, fields, problem }) => {
+        const cell = (key) => mapping[key] >= 0 ? (fields[mapping[key]] || '').trim() : '';
+        const task = cell('task');
+        const label = task ? `${line}行目「${task}」` : `${line}行目`;
+        if (problem) problems.push(`${label}: ${problem}`);
+
+        const start = parseCSVDateTime(cell('start'));
+        if (!start) {
+            problems.push(`${label}: 開始時刻「${cell('start')}」を解釈できません（この行は除外されます）`);
+            return;
+        }
+        const end = parseCSVDateTime(cell('end'));
+        if (!end) {
+            problems.push(`${label}: 終了時刻「${cell('end')}」を解釈できません（この行は除外されます）`);
+            return;
+        }
+
+        let segments = [{ start: start.toISOString(), end: end.toISOString() }];
+        const segmentText = cell('segments');
+        if (segmentText) {
+            const parsed = parseCSVSegments(segmentText, start);
+            if (parsed) {
+                segments = parsed;
+            } else {
+                problems.push(`${label}: 作業区間「${segmentText}」を解釈できません（開始～終了を1区間とします）`);
+            }
+        }
+
+        // 開始・終了はCSVの値を優先し、所要時間は作業区間から計算し直す
+        const record = buildTaskRecord(task, segments);
+        record.startTime = start.toISOString();
+        record.endTime = end.toISOString();
+        delete record.id;
+        records.push(record);
+        recordLabels.push(`${line}行目`);
+    });
+
+    openImportWizard({ records, settings: {}, recordLabels, problems, precision: 'minute' });
 }
 
-// ========================================
-// 資材課ツール: 在庫メモ
-// ========================================
-function saveInventoryMemo() {
-    const memo = document.getElementById('inventory-memo').value;
-    localStorage.setItem('inventory-memo', memo);
-    alert('在庫メモを保存しました！');
+// ========================================
+// iCalendar（.ics）出力・読込
+// ========================================
+let calendarRangeSelection = null; // カレンダーで選択中の出力期間 { start: Date|null, end: Date|null }
+let pendingICSImport = null; // 期間・読み込み先を選択中のiCalendar（parseICSの結果）
+
+function openICSExportMenu() {
+    closeEditModal();
+
+    const modal = document.createElement('div');
+    modal.className = 'edit-modal';
+    modal.innerHTML = `
+        <div class="edit-modal-content">
+            <h3>iCalendar（.ics）出力</h3>
+            <div class="edit-form">
+                <div class="restore-task-info">
+                    <div>業務記録をOutlook・Googleカレンダーなどに取り込める形式で出力します。</div>
+                </div>
+                <div class="edit-buttons">
+                    <button onclick="closeEditModal(); exportRecordsICS()" class="save-btn">すべての記録</button>
+                    <button onclick="startCalendarRangeSelection()" class="cancel-btn">カレンダーで期間を選択</button>
+                </div>
+                <div class="edit-buttons">
+                    <button onclick="closeEditModal()" class="cancel-btn">キャンセル</button>
+                </div>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+}
+
+// 記録をVEVENTとして出力（期間を指定した場合は開始日がその期間内の記録のみ）
+function exportRecordsICS(rangeStart = null, rangeEnd = null) {
+    const records = getDisplayRecords().filter(record => {
+        const start = new Date(record.startTime);
+        return (!rangeStart || start >= rangeStart) && (!rangeEnd || start < rangeEnd);
+    });
+
+    if (records.length === 0) {
+        alert('記録がありません');
+        return;
+    }
+
+    const events = records.map(record => {
+        const breakSeconds = getRecordBreakSeconds(record);
+        const description = [`所要時間: ${formatDuration(record.duration)}`];
+        if (breakSeconds > 0) {
+            description.push(`休憩: ${formatDuration(breakSeconds)}`);
+            description.push(`作業区間: ${formatSegmentRanges(getRecordSegments(record))}`);
+        }
+        return {
+            uid: `${record.id}@maedatimetool`,
+            summary: record.task,
+            start: new Date(record.startTime),
+            end: new Date(record.endTime),
+            description: description.join('\n'),
+            segments: getRecordSegments(record).map(segment => ({ start: new Date(segment.start), end: new Date(segment.end) }))
+        };
+    });
+
+    const formatFileDate = (date) => `${date.getFullYear()}${String(date.getMonth()+1).padStart(2,'0')}${String(date.getDate()).padStart(2,'0')}`;
+    const filename = rangeStart && rangeEnd
+        ? `業務記録_${formatFileDate(rangeStart)}-${formatFileDate(new Date(rangeEnd.getTime() - 1))}.ics`
+        : `業務記録_${formatFileDate(new Date())}.ics`;
+
+    const blob = new Blob([buildICS(events)], { type: 'text/calendar;charset=utf-8;' });
+    const link = document.createElement('a');
+    const url = URL.createObjectURL(blob);
+
+    link.setAttribute('href', url);
+    link.setAttribute('download', filename);
+    link.style.visibility = 'hidden';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+}
+
+// カレンダーの日付クリックで出力期間を選ぶモード
+function startCalendarRangeSelection() {
+    closeEditModal();
+    calendarRangeSelection = { start: null, end: null };
+    renderCalendarRangeBar();
+    renderSixMonthCalendar();
+}
+
+function cancelCalendarRangeSelection() {
+    calendarRangeSelection = null;
+    renderCalendarRangeBar();
+    renderSixMonthCalendar();
+}
+
+// 1回目のクリックで開始日、2回目で終了日（開始日より前なら入れ替え）
+function selectCalendarRangeDate(year, month, day) {
+    if (!calendarRangeSelection) return;
+    const date = new Date(year, month, day);
+    const selection = calendarRangeSelection;
+
+    if (!selection.start || selection.end) {
+        selection.start = date;
+        selection.end = null;
+    } else if (date < selection.start) {
+        selection.end = selection.start;
+        selection.start = date;
+    } else {
+        selection.end = date;
+    }
+
+    renderCalendarRangeBar();
+    renderSixMonthCalendar();
+}
+
+// 選択した期間（終了日の翌日0時まで）
+function getCalendarRangeBounds() {
+    const { start, end } = calendarRangeSelection;
+    return { rangeStart: start, rangeEnd: new Date(end.getFullYear(), end.getMonth(), end.getDate() + 1) };
+}
+
+function exportSelectedRangeICS() {
+    if (!calendarRangeSelection?.end) return;
+    const { rangeStart, rangeEnd } = getCalendarRangeBounds();
+    exportRecordsICS(rangeStart, rangeEnd);
+    cancelCalendarRangeSelection();
+}
+
+function renderCalendarRangeBar() {
+    const bar = document.getElementById('calendar-range-bar');
+    if (!bar) return;
+
+    if (!calendarRangeSelection) {
+        bar.style.display = 'none';
+        bar.innerHTML = '';
+        return;
+    }
+
+    const { start, end } = calendarRangeSelection;
+    const formatFullDate = (date) => `${date.getFullYear()}/${formatDate(date)}`;
+    let text;
+    let exportButton = '';
+
+    if (!start) {
+        text = 'ICSに出力する期間の開始日をクリックしてください';
+    } else if (!end) {
+        text = `${formatFullDate(start)} 〜 終了日をクリックしてください`;
+    } else {
+        const { rangeStart, rangeEnd } = getCalendarRangeBounds();
+        const count = getDisplayRecords().filter(record => {
+            const recordStart = new Date(record.startTime);
+            return recordStart >= rangeStart && recordStart < rangeEnd;
+        }).length;
+        text = `${formatFullDate(start)} 〜 ${formatFullDate(end)}（記録 ${count}件）`;
+        exportButton = '<button onclick="exportSelectedRangeICS()" class="nav-btn">ICS出力</button>';
+    }
+
+    bar.style.display = 'flex';
+    bar.innerHTML = `
+        <span>${text}</span>
+        ${exportButton}
+        <button onclick="cancelCalendarRangeSelection()" class="nav-btn">キャンセル</button>
+    `;
+}
+
+function importICS() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.ics,text/calendar';
+
+    input.onchange = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            try {
+                const calendar = parseICS(event.target.result);
+                if (calendar.events.length === 0) {
+                    alert('予定（VEVENT）が見つかりません');
+                    return;
+                }
+                openICSImportModal(calendar);
+            } catch (error) {
+                alert('ファイルの読み込みに失敗しました');
+                console.error(error);
+            }
+        };
+
+        reader.readAsText(file);
+    };
+
+    input.click();
+}
+
+// 期間（繰り返しの予定を展開する範囲）と読み込み先を選ぶ
+function openICSImportModal(calendar) {
+    closeEditModal();
+    pendingICSImport = calendar;
+
+    const today = new Date();
+    const toInputValue = (date) => `${date.getFullYear()}-${String(date.getMonth()+1).padStart(2,'0')}-${String(date.getDate()).padStart(2,'0')}`;
+    const defaultFrom = new Date(today.getFullYear(), today.getMonth(), 1);
+    const defaultTo = new Date(today.getFullYear(), today.getMonth() + 2, 0);
+    const recurringCount = calendar.events.filter(event => event.rrule).length;
+
+    const modal = document.createElement('div');
+    modal.className = 'edit-modal';
+    modal.innerHTML = `
+        <div class="edit-modal-content">
+            <h3>iCalendar（.ics）読込</h3>
+            <div class="edit-form">
+                <div class="restore-task-info">
+                    <div><span class="restore-task-label">予定:</span>${calendar.events.length}件（繰り返し ${recurringCount}件）</div>
+                </div>
+
+                <label>読み込む期間:</label>
+                <div class="edit-segment-row">
+                    <input type="date" id="ics-range-from" value="${toInputValue(defaultFrom)}" class="edit-input">
+                    〜
+                    <input type="date" id="ics-range-to" value="${toInputValue(defaultTo)}" class="edit-input">
+                </div>
+
+                <label>読み込み先:</label>
+                <div class="import-mode-options">
+                    <label class="import-mode-option">
+                        <input type="radio" name="ics-target" value="planned" checked>
+                        予定として追加（あとで開始・記録に変換）
+                    </label>
+                    <label class="import-mode-option">
+                        <input type="radio" name="ics-target" value="records">
+                        業務記録として読み込む
+                    </label>
+                </div>
+
+                <div class="edit-buttons">
+                    <button onclick="applyICSImport()" class="save-btn">次へ</button>
+                    <button onclick="cancelICSImport()" class="cancel-btn">キャンセル</button>
+                </div>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+}
+
+function cancelICSImport() {
+    pendingICSImport = null;
+    closeEditModal();
+}
+
+function applyICSImport() {
+    if (!pendingICSImport) return;
+
+    const fromValue = document.getElementById('ics-range-from').value;
+    const toValue = document.getElementById('ics-range-to').value;
+    const target = document.querySelector('input[name="ics-target"]:checked').value;
+
+    if (!fromValue || !toValue) {
+        alert('読み込む期間を入力してください');
+        return;
+    }
+
+    const [fromYear, fromMonth, fromDay] = fromValue.split('-').map(Number);
+    const [toYear, toMonth, toDay] = toValue.split('-').map(Number);
+    const rangeStart = new Date(fromYear, fromMonth - 1, fromDay);
+    const rangeEnd = new Date(toYear, toMonth - 1, toDay + 1);
+
+    if (rangeEnd <= rangeStart) {
+        alert('期間の終了日は開始日以降にしてください');
+        return;
+    }
+
+    const { occurrences, problems } = expandICSEvents(pendingICSImport, rangeStart, rangeEnd);
+    pendingICSImport = null;
+    closeEditModal();
+
+    const labelFor = (occurrence) => `${occurrence.start.getFullYear()}/${formatDate(occurrence.start)} ${formatTime(occurrence.start)}の予定`;
+
+    if (target === 'records') {
+        const records = occurrences.map(occurrence => {
+            const segments = (occurrence.segments || [{ start: occurrence.start, end: occurrence.end }])
+                .map(segment => ({ start: segment.start.toISOString(), end: segment.end.toISOString() }));
+            const record = buildTaskRecord(occurrence.summary, segments);
+            delete record.id;
+            return record;
+        });
+        openImportWizard({ records, settings: {}, recordLabels: occurrences.map(labelFor), problems });
+        return;
+    }
+
+    const result = addPlannedEntries(occurrences);
+    const details = problems.length > 0 ? `\n\n${problems.slice(0, 10).join('\n')}` : '';
+    alert(`予定を${result.added}件追加しました（登録済み ${result.skipped}件）${details}`);
+}
+
+// ========================================
+// 予定（iCalendarから読み込んだ予定）
+// ========================================
+const PLANNED_DISPLAY_DAYS = 7; // 今日から何日先までの予定を表示するか
+
+function getPlannedEntries() {
+    return validatePlannedEntries(dataStore.getSetting('planned-entries', [])).value || [];
+}
+
+function savePlannedEntries(entries) {
+    dataStore.setSetting('planned-entries', entries);
+}
+
+// 予定を追加（同じ予定＝UIDまたは件名と開始時刻が同じものは追加しない）
+function addPlannedEntries(occurrences) {
+    const entries = getPlannedEntries();
+    const keys = new Set(entries.map(entry => `${entry.uid || entry.task}\u0000${new Date(entry.startTime).getTime()}`));
+    let added = 0;
+
+    occurrences.forEach(occurrence => {
+        const key = `${occurrence.uid || occurrence.summary}\u0000${occurrence.start.getTime()}`;
+        if (!occurrence.summary || keys.has(key)) return;
+        keys.add(key);
+        entries.push({
+            id: generateRecordId(),
+            uid: occurrence.uid,
+            task: occurrence.summary,
+            startTime: occurrence.start.toISOString(),
+            endTime: occurrence.end.toISOString()
+        });
+        added++;
+    });
+
+    entries.sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+    savePlannedEntries(entries);
+    renderPlannedEntries();
+    return { added, skipped: occurrences.length - added };
+}
+
+function renderPlannedEntries() {
+    const container = document.getElementById('planned-entries');
+    if (!container) return;
+
+    const now = new Date();
+    const todayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const displayEnd = new Date(now.getFullYear(), now.getMonth(), now.getDate() + PLANNED_DISPLAY_DAYS);
+    const entries = getPlannedEntries().filter(entry =>
+        new Date(entry.endTime) >= todayStart && new Date(entry.startTime) < displayEnd
+    );
+
+    if (entries.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+
+    let html = `<div class="record-summary">予定（${PLANNED_DISPLAY_DAYS}日間）: ${entries.length}件</div>`;
+    entries.forEach(entry => {
+        const start = new Date(entry.startTime);
+        const end = new Date(entry.endTime);
+        html += `
+            <div class="record-item-compact planned-item">
+                <span class="record-task-name">${escapeHtml(entry.task)}</span>
+                <span class="record-date">${formatDate(start)}</span>
+                <span class="record-time-range">${formatTime(start)}-${formatTime(end)}</span>
+                <button onclick="startPlannedEntry('${entry.id}')" class="record-edit-btn" title="この業務を今から開始">▶</button>
+                <button onclick="recordPlannedEntry('${entry.id}')" class="record-edit-btn" title="予定の時刻で業務記録にする">✓</button>
+                <button onclick="deletePlannedEntry('${entry.id}')" class="record-delete-btn" title="予定を削除">×</button>
+            </div>
+        `;
+    });
+
+    container.innerHTML = html;
+}
+
+function findPlannedEntry(id) {
+    const entry = getPlannedEntries().find(plannedEntry => plannedEntry.id === id);
+    if (!entry) {
+        alert('この予定は他のタブで削除されました');
+        renderPlannedEntries();
+    }
+    return entry;
+}
+
+function removePlannedEntry(id) {
+    savePlannedEntries(getPlannedEntries().filter(entry => entry.id !== id));
+    renderPlannedEntries();
+}
+
+// 予定の業務を今から記録開始（予定は一覧から外す）
+function startPlannedEntry(id) {
+    const entry = findPlannedEntry(id);
+    if (!entry) return;
+    if (currentTask !== entry.task) {
+        quickStartTask(entry.task);
+    }
+    removePlannedEntry(id);
+}
+
+// 予定の時刻のまま業務記録にする
+function recordPlannedEntry(id) {
+    const entry = findPlannedEntry(id);
+    if (!entry) return;
+
+    updateTaskRecords(records => {
+        records.unshift(buildTaskRecord(entry.task, [{ start: entry.startTime, end: entry.endTime }]));
+        records.sort((a, b) => new Date(b.startTime) - new Date(a.startTime));
+    });
+    removePlannedEntry(id);
+    renderTaskRecords();
+    renderSixMonthCalendar();
+}
+
+function deletePlannedEntry(id) {
+    removePlannedEntry(id);
+}
+
+// ========================================
+// 勤務表（月次）のExcel出力
+// ========================================
+
+function openTimesheetExport() {
+    closeEditModal();
+
+    const today = new Date();
+    const monthValue = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}`;
+
+    const modal = document.createElement('div');
+    modal.className = 'edit-modal';
+    modal.innerHTML = `
+        <div class="edit-modal-content">
+            <h3>勤務表出力（Excel）</h3>
+            <div class="edit-form">
+                <label>対象月:</label>
+                <input type="month" id="timesheet-month" value="${monthValue}" class="edit-input">
+
+                <div class="restore-task-info">
+                    <div>1枚目: 日ごとの出勤・退勤・作業時間・休憩・時間外（その日の勤務時間の外）・休日労働</div>
+                    <div>2枚目: 業務別の作業時間</div>
+                </div>
+
+                <div class="edit-buttons">
+                    <button onclick="exportMonthlyTimesheet()" class="save-btn">出力</button>
+                    <button onclick="closeEditModal()" class="cancel-btn">キャンセル</button>
+                </div>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+}
+
+function exportMonthlyTimesheet() {
+    const monthValue = document.getElementById('timesheet-month').value;
+    if (!monthValue) {
+        alert('対象月を選択してください');
+        return;
+    }
+
+    if (typeof XLSX === 'undefined') {
+        alert('Excel出力用のライブラリ（SheetJS）を読み込めませんでした。\nネットワーク接続を確認してページを再読み込みしてください。');
+        return;
+    }
+
+    const [year, monthNumber] = monthValue.split('-').map(Number);
+    const month = monthNumber - 1;
+    closeEditModal();
+
+    const timesheet = buildTimesheet(getDisplayRecords(), year, month, {
+        getSchedule: getWorkSchedule,
+        getHolidayName: date => isHoliday(date.getFullYear(), date.getMonth(), date.getDate()),
+        getNote: getDayNote
+    });
+
+    if (timesheet.days.every(day => day.workSeconds === 0)) {
+        if (!confirm(`${year}年${monthNumber}月の業務記録がありません。\n空の勤務表を出力しますか？`)) return;
+    }
+
+    const workbook = buildTimesheetWorkbook(timesheet, {
+        year,
+        month,
+        name: getTemplateSettings().name,
+        scheduleText: `標準 ${formatDaySchedule(getStandardSchedule())}`
+    });
+
+    XLSX.writeFile(workbook, `勤務表_${year}${String(monthNumber).padStart(2, '0')}.xlsx`);
+}
+
+// JSON形式でデータ保存（業務項目+記録+定型文設定）
+function exportRecordsJSON() {
+    const data = {
+        quickTasks: getQuickTasks(),
+        records: getTaskRecords(),
+        templateSettings: getTemplateSettings(),
+        exportDate: new Date().toISOString()
+    };
+
+    const json = JSON.stringify(data, null, 2);
+    const blob = new Blob([json], { type: 'application/json' });
+    const link = document.createElement('a');
+    const url = URL.createObjectURL(blob);
+    const today = new Date();
+    const filename = `業務データ_${today.getFullYear()}${String(today.getMonth()+1).padStart(2,'0')}${String(today.getDate()).padStart(2,'0')}.json`;
+
+    link.setAttribute('href', url);
+    link.setAttribute('download', filename);
+    link.style.visibility = 'hidden';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+}
+
+// JSON形式でデータ読込（定型文設定も含む）
+// 読み込み方法（置き換え・統合・追加）はインポートウィザードで選ぶ
+function importRecordsJSON() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json';
+
+    input.onchange = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            try {
+                const data = JSON.parse(event.target.result);
+
+                openImportWizard({
+                    records: data.records,
+                    settings: {
+                        quickTasks: data.quickTasks,
+                        templateSettings: data.templateSettings
+                    }
+                });
+            } catch (error) {
+                alert('ファイルの読み込みに失敗しました');
+                console.error(error);
+            }
+        };
+
+        reader.readAsText(file);
+    };
+
+    input.click();
+}
+
+// ========================================
+// インポートウィザード（置き換え・統合・追加）
+// ========================================
+let pendingImport = null; // 確認中のインポートデータ（検証済み） { records, settings, problems, precision }
+
+// 照合時の時刻の精度（分単位のCSVは秒を切り捨てて比較する）
+function truncateTimeForMatch(time, precision) {
+    const ms = new Date(time).getTime();
+    return precision === 'minute' ? Math.floor(ms / 60000) * 60000 : ms;
+}
+
+// 重複判定のキー（業務名＋開始時刻）
+function getRecordKey(record, precision) {
+    return `${record.task}\u0000${truncateTimeForMatch(record.startTime, precision)}`;
+}
+
+// 業務名・開始時刻が同じ記録の中身（終了時刻・所要時間・作業区間・メモ）が一致するか
+// 分単位の場合、所要時間は区間から再計算されるため作業区間の表示が一致すればよい
+function isSameRecordContent(a, b, precision) {
+    const sameSegments = formatSegmentRanges(getRecordSegments(a)) === formatSegmentRanges(getRecordSegments(b));
+    const sameNote = (a.note || '') === (b.note || '');
+    if (precision === 'minute') {
+        return truncateTimeForMatch(a.endTime, precision) === truncateTimeForMatch(b.endTime, precision) &&
+               sameSegments &&
+               sameNote;
+    }
+    return new Date(a.endTime).getTime() === new Date(b.endTime).getTime() &&
+           a.duration === b.duration &&
+           sameSegments &&
+           sameNote;
+}
+
+// 読み込む記録を既存の記録と照合する
+// added: 新規 / duplicates: 同一内容の重複 / conflicts: 業務名・開始時刻が同じで内容が異なる
+// 読み込むデータ内で同じキーの記録が複数ある場合、2件目以降は最初の1件と同じ内容なら重複とし、
+// 内容が異なれば（既存の記録とも異なる限り）別の記録として追加する
+function analyzeImportRecords(existingRecords, incomingRecords, precision) {
+    const existingByKey = new Map(existingRecords.map(record => [getRecordKey(record, precision), record]));
+    const firstIncomingByKey = new Map();
+    const result = { added: [], duplicates: [], conflicts: [] };
+
+    incomingRecords.forEach(record => {
+        const key = getRecordKey(record, precision);
+        const existing = existingByKey.get(key);
+        const firstIncoming = firstIncomingByKey.get(key);
+        if (firstIncoming) {
+            if (isSameRecordContent(firstIncoming, record, precision) ||
+                (existing && isSameRecordContent(existing, record, precision))) {
+                result.duplicates.push(record);
+            } else {
+                result.added.push(record);
+            }
+            return;
+        }
+        firstIncomingByKey.set(key, record);
+
+        if (!existing) {
+            result.added.push(record);
+        } else if (isSameRecordContent(existing, record, precision)) {
+            result.duplicates.push(record);
+        } else {
+            result.conflicts.push({ existing, incoming: record });
+        }
+    });
+
+    return result;
+}
+
+// 既存の記録とIDが重なる場合は新しいIDを振る
+function withUniqueRecordId(record, usedIds) {
+    const copy = { ...record };
+    if (!copy.id || usedIds.has(copy.id)) {
+        copy.id = generateRecordId();
+    }
+    usedIds.add(copy.id);
+    return copy;
+}
+
+// 読み込んだデータを検証してからウィザードを開く
+// rawImportData: { records, settings, recordLabels?, problems?, precision? }
+// precisionが'minute'の場合、重複・競合の判定を分単位で行う（CSVなど秒を持たない形式）
+function openImportWizard(rawImportData) {
+    closeEditModal();
+    const importData = { ...validateImportData(rawImportData), precision: rawImportData.precision };
+
+    const settingNames = SETTING_VALIDATORS
+        .filter(({ exportKey }) => importData.settings[exportKey] !== undefined)
+        .map(({ label }) => label);
+
+    if (importData.records.length === 0 && settingNames.length === 0) {
+        const details = importData.problems.length > 0 ? `\n\n${importData.problems.slice(0, 10).join('\n')}` : '';
+        alert(`有効なデータが見つかりません${details}`);
+        return;
+    }
+
+    pendingImport = importData;
+
+    const problemList = importData.problems.length > 0 ? `
+                <label>読み込めない・修正したデータ（${importData.problems.length}件）:</label>
+                <div class="import-problem-list">
+                    ${importData.problems.map(problem => `<div>${escapeHtml(problem)}</div>`).join('')}
+                </div>` : '';
+
+    const settingsOption = settingNames.length > 0 ? `
+                <label class="import-settings-option">
+                    <input type="checkbox" id="import-overwrite-settings" checked>
+                    設定も読み込む（${settingNames.join('・')}）
+                </label>` : '';
+
+    const modal = document.createElement('div');
+    modal.className = 'edit-modal';
+    modal.innerHTML = `
+        <div class="edit-modal-content">
+            <h3>データのインポート</h3>
+            <div class="edit-form">
+                <label>読み込み方法:</label>
+                <div class="import-mode-options" onchange="updateImportPreview()">
+                    <label class="import-mode-option">
+                        <input type="radio" name="import-mode" value="merge" checked>
+                        統合（重複を除いて追加）
+                    </label>
+                    <label class="import-mode-option">
+                        <input type="radio" name="import-mode" value="append">
+                        追加（重複を確認せずすべて追加）
+                    </label>
+                    <label class="import-mode-option">
+                        <input type="radio" name="import-mode" value="replace">
+                        置き換え（既存の記録を削除）
+                    </label>
+                </div>
+
+                <label>競合した記録（業務名・開始時刻が同じで内容が異なる）:</label>
+                <select id="import-conflict-policy" class="edit-input" onchange="updateImportPreview()">
+                    <option value="keep">既存の記録を残す</option>
+                    <option value="overwrite">読み込んだ内容で上書き</option>
+                </select>
+                ${settingsOption}
+                ${problemList}
+
+                <div id="import-preview" class="restore-task-info"></div>
+
+                <div class="edit-buttons">
+                    <button onclick="applyImport()" class="save-btn">インポート</button>
+                    <button onclick="cancelImport()" class="cancel-btn">キャンセル</button>
+                </div>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+    updateImportPreview();
+}
+
+function getImportOptions() {
+    return {
+        mode: document.querySelector('input[name="import-mode"]:checked')?.value || 'merge',
+        conflictPolicy: document.getElementById('import-conflict-policy')?.value || 'keep',
+        overwriteSettings: document.getElementById('import-overwrite-settings')?.checked || false
+    };
+}
+
+// 選択中の読み込み方法での結果をプレビュー表示
+function updateImportPreview() {
+    const preview = document.getElementById('import-preview');
+    if (!preview || !pendingImport) return;
+
+    const { mode, conflictPolicy } = getImportOptions();
+    const existingRecords = getTaskRecords();
+    const incomingRecords = pendingImport.records;
+    const analysis = analyzeImportRecords(existingRecords, incomingRecords, pendingImport.precision);
+
+    document.getElementById('import-conflict-policy').disabled = mode !== 'merge';
+
+    let resultText;
+    if (mode === 'replace') {
+        resultText = `現在の${existingRecords.length}件を削除し、読み込んだ${incomingRecords.length}件に置き換えます`;
+    } else if (mode === 'append') {
+        resultText = `読み込んだ${incomingRecords.length}件をすべて追加します`;
+        if (analysis.duplicates.length + analysis.conflicts.length > 0) {
+            resultText += `（重複・競合の${analysis.duplicates.length + analysis.conflicts.length}件は二重に登録されます）`;
+        }
+    } else {
+        resultText = `新規${analysis.added.length}件を追加し、重複${analysis.duplicates.length}件はスキップします`;
+        if (analysis.conflicts.length > 0) {
+            resultText += conflictPolicy === 'overwrite'
+                ? `。競合${analysis.conflicts.length}件は読み込んだ内容で上書きします`
+                : `。競合${analysis.conflicts.length}件は既存の記録を残します`;
+        }
+    }
+
+    const conflictLines = analysis.conflicts.slice(0, 5).map(({ existing, incoming }) => {
+        const start = new Date(incoming.startTime);
+        return `<div>・${escapeHtml(incoming.task)} ${start.getMonth() + 1}/${start.getDate()} ${formatTime(start)}
+            （既存 ${formatDuration(existing.duration)} / 読込 ${formatDuration(incoming.duration)}）</div>`;
+    }).join('');
+    const moreConflicts = analysis.conflicts.length > 5
+        ? `<div>ほか${analysis.conflicts.length - 5}件</div>`
+        : '';
+
+    preview.innerHTML = `
+        <div><span class="restore-task-label">読み込み:</span>${incomingRecords.length}件（既存 ${existingRecords.length}件）</div>
+        <div><span class="restore-task-label">照合結果:</span>新規 ${analysis.added.length}件 / 重複 ${analysis.duplicates.length}件 / 競合 ${analysis.conflicts.length}件</div>
+        ${conflictLines}${moreConflicts}
+        <div class="import-preview-result">${resultText}</div>
+    `;
+}
+
+function cancelImport() {
+    pendingImport = null;
+    closeEditModal();
+}
+
+// 選択した方法でインポートを実行
+function applyImport() {
+    const importData = pendingImport;
+    const options = getImportOptions();
+    pendingImport = null;
+    closeEditModal();
+
+    if (!importData) return;
+
+    // 置き換えの場合、記録中のタスクがあれば先に停止
+    if (options.mode === 'replace' && currentTask) {
+        stopTask();
+    }
+
+    let summary;
+    updateTaskRecords(records => {
+        // 照合は保存直前の最新の記録に対して行う
+        const analysis = analyzeImportRecords(records, importData.records, importData.precision);
+        const usedIds = new Set(records.map(record => record.id));
+
+        if (options.mode === 'replace') {
+            // 読み込んだデータ内でIDが重なる記録にも新しいIDを振る
+            const replaceIds = new Set();
+            records.splice(0, records.length, ...importData.records.map(record => withUniqueRecordId(record, replaceIds)));
+            summary = `${importData.records.length}件の記録に置き換えました`;
+            return;
+        }
+
+        const toAdd = options.mode === 'append' ? importData.records : analysis.added;
+        toAdd.forEach(record => records.push(withUniqueRecordId(record, usedIds)));
+
+        let overwritten = 0;
+        if (options.mode === 'merge' && options.conflictPolicy === 'overwrite') {
+            analysis.conflicts.forEach(({ existing, incoming }) => {
+                const index = records.indexOf(existing);
+                if (index !== -1) {
+                    records[index] = { ...incoming, id: existing.id };
+                    overwritten++;
+                }
+            });
+        }
+
+        records.sort((a, b) => new Date(b.startTime) - new Date(a.startTime));
+        summary = `${toAdd.length}件の記録を追加しました`;
+        if (options.mode === 'merge') {
+            summary += `（重複 ${analysis.duplicates.length}件をスキップ`;
+            summary += overwritten > 0 ? `、競合 ${overwritten}件を上書き）` : '）';
+        }
+    });
+
+    if (options.overwriteSettings) {
+        applyImportedSettings(importData.settings, options.mode);
+    }
+
+    renderTaskRecords();
+    renderSixMonthCalendar();
+    alert(summary);
+}
+
+// 記録以外の設定を反映
+// 業務項目は置き換え以外では既存の項目に追加する
+function applyImportedSettings(settings, mode) {
+    if (Array.isArray(settings.quickTasks)) {
+        const quickTasks = mode === 'replace'
+            ? settings.quickTasks
+            : [...new Set([...getQuickTasks(), ...settings.quickTasks])];
+        saveQuickTasks(quickTasks);
+        renderQuickTaskButtons();
+    }
+
+    if (settings.templateSettings) {
+        saveTemplateSettings(settings.templateSettings);
+        renderTemplateList();
+    }
+
+    if (settings.workTimeSettings) {
+        dataStore.setSetting('work-time-settings', settings.workTimeSettings);
+        loadWorkTimeSettings();
+    }
+
+    if (settings.idleSettings) {
+        dataStore.setSetting('idle-settings', settings.idleSettings);
+        loadIdleSettings();
+    }
+
+    if (settings.inventoryMemo !== undefined) {
+        dataStore.setSetting('inventory-memo', settings.inventoryMemo);
+    }
+
+    if (settings.orderList) {
+        saveOrderList(settings.orderList);
+    }
+
+    if (settings.plannedEntries) {
+        savePlannedEntries(settings.plannedEntries);
+        renderPlannedEntries();
+    }
+
+    if (settings.leaveEntries) {
+        // 統合・追加では同じ日の休暇を読み込んだ内容で置き換える
+        const importedDates = new Set(settings.leaveEntries.map(entry => entry.date));
+        const entries = mode === 'replace'
+            ? settings.leaveEntries
+            : [...getLeaveEntries().filter(entry => !importedDates.has(entry.date)), ...settings.leaveEntries]
+                .sort((a, b) => a.date.localeCompare(b.date));
+        saveLeaveEntries(entries);
+    }
+
+    if (settings.leaveSettings) {
+        dataStore.setSetting('leave-settings', settings.leaveSettings);
+    }
+
+    if (settings.closurePeriods) {
+        // 統合・追加では同じIDの休業期間を読み込んだ内容で置き換える
+        const importedIds = new Set(settings.closurePeriods.map(period => period.id));
+        saveClosurePeriods(mode === 'replace'
+            ? settings.closurePeriods
+            : [...closurePeriods.filter(period => !importedIds.has(period.id)), ...settings.closurePeriods]);
+        renderHolidayDependents();
+    }
+
+    if (settings.holidayOverrides) {
+        // 統合・追加では同じ日付の修正を読み込んだ内容で置き換える（検証で後のものが残る）
+        saveHolidayOverrides(mode === 'replace'
+            ? settings.holidayOverrides
+            : validateHolidayOverrides([...holidayOverrides, ...settings.holidayOverrides]).value);
+        renderHolidayDependents();
+    }
+
+    if (settings.holidayList) {
+        saveHolidayList(settings.holidayList);
+        renderHolidayDependents();
+    }
+
+    if (settings.supplierProfiles) {
+        // 統合・追加では同じIDの仕入先を読み込んだ内容で置き換える
+        const importedIds = new Set(settings.supplierProfiles.map(profile => profile.id));
+        saveSupplierProfiles(mode === 'replace'
+            ? settings.supplierProfiles
+            : [...getSupplierProfiles().filter(profile => !importedIds.has(profile.id)), ...settings.supplierProfiles]);
+    }
+
+    if (settings.leaveEntries || settings.leaveSettings || settings.workTimeSettings) {
+        renderLeaveDependents();
+    }
+}
+
+// ========================================
+// データ点検（保存データの検証・修復）
+// ========================================
+
+// 保存されている記録と設定を検証する
+function inspectStoredData() {
+    const recordResult = validateRecords(getTaskRecords());
+    const settingResults = SETTING_VALIDATORS
+        .map(entry => ({ ...entry, stored: dataStore.getSetting(entry.key) }))
+        .filter(entry => entry.stored !== undefined && entry.stored !== null)
+        .map(entry => ({ ...entry, result: entry.validate(entry.stored) }))
+        .filter(entry => entry.result.problems.length > 0);
+
+    const problems = [
+        ...recordResult.problems.map(problem => `記録 ${problem}`),
+        ...settingResults.flatMap(entry => entry.result.value !== null
+            ? entry.result.problems
+            : [...entry.result.problems, `${entry.label}は初期設定に戻します`])
+    ];
+
+    return { recordResult, settingResults, problems };
+}
+
+function openDataCheck() {
+    closeEditModal();
+    const { problems } = inspectStoredData();
+
+    if (problems.length === 0) {
+        alert('問題は見つかりませんでした');
+        return;
+    }
+
+    const modal = document.createElement('div');
+    modal.className = 'edit-modal';
+    modal.innerHTML = `
+        <div class="edit-modal-content">
+            <h3>データ点検</h3>
+            <div class="edit-form">
+                <label>${problems.length}件の問題が見つかりました:</label>
+                <div class="import-problem-list">
+                    ${problems.map(problem => `<div>${escapeHtml(problem)}</div>`).join('')}
+                </div>
+                <div class="edit-buttons">
+                    <button onclick="repairStoredData()" class="save-btn">修復する</button>
+                    <button onclick="closeEditModal()" class="cancel-btn">閉じる</button>
+                </div>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+}
+
+// 見つかった問題を修復（修復できない記録は削除、不正な設定は初期設定に戻す）
+function repairStoredData() {
+    closeEditModal();
+
+    let repairedCount = 0;
+    let removedCount = 0;
+    updateTaskRecords(records => {
+        // 点検後に他のタブで変わっている可能性があるため、最新の記録で検証し直す
+        const result = validateRecords(records);
+        if (!result.value) return;
+        repairedCount = result.problems.length - result.removedCount;
+        removedCount = result.removedCount;
+        records.splice(0, records.length, ...result.value);
+    });
+
+    const { settingResults } = inspectStoredData();
+    settingResults.forEach(({ key, result }) => {
+        if (result.value !== null) {
+            dataStore.setSetting(key, result.value);
+        } else {
+            dataStore.removeSetting(key);
+        }
+    });
+
+    loadWorkTimeSettings();
+    loadClosurePeriods();
+    loadHolidaySettings();
+    loadLeaveEntries();
+    updateWorkTimeDisplay();
+    loadIdleSettings();
+    renderQuickTaskButtons();
+    renderTemplateList();
+    renderTaskRecords();
+    renderPlannedEntries();
+    renderSixMonthCalendar();
+    renderLeaveCounter();
+    renderSupplierOptions();
+
+    alert(`修復しました（記録: 修復 ${repairedCount}件・削除 ${removedCount}件、設定: ${settingResults.length}件）`);
+}
+
+// 起動時に保存データの問題を知らせる
+function notifyStoredDataProblems() {
+    const { problems } = inspectStoredData();
+    if (problems.length > 0) {
+        alert(`保存データに${problems.length}件の問題があります。\n業務記録の「データ点検」から確認・修復できます。`);
+    }
+}
+
+// 記録のリセット
+function clearRecords() {
+    if (!confirm('全ての業務記録を削除しますか？\n※この操作は取り消せません')) {
+        return;
+    }
+
+    // 実行中のタスクを停止
+    if (currentTask) {
+        stopTask();
+    }
+
+    // 記録をクリア
+    saveTaskRecords([]);
+    renderTaskRecords();
+    renderSixMonthCalendar();
+
+    alert('業務記録をリセットしました');
+}
+
+// 記録の検索・フィルタ
+function filterRecords(taskName) {
+    const records = getTaskRecords();
+    return records.filter(record => record.task === taskName);
+}
+
+// 日別集計
+function getDailySummary(dateStr) {
+    const records = getTaskRecords();
+    const targetDate = new Date(dateStr);
+
+    const dayRecords = records.filter(record => {
+        const recordDate = new Date(record.startTime);
+        return recordDate.toDateString() === targetDate.toDateString();
+    });
+
+    // 業務ごとに集計
+    const summary = {};
+    dayRecords.forEach(record => {
+        if (!summary[record.task]) {
+            summary[record.task] = 0;
+        }
+        summary[record.task] += record.duration;
+    });
+
+    return summary;
+}
+
+// 週別集計
+function getWeeklySummary() {
+    const records = getTaskRecords();
+    const now = new Date();
+    const weekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+
+    const weekRecords = records.filter(record => {
+        const recordDate = new Date(record.startTime);
+        return recordDate >= weekAgo && recordDate <= now;
+    });
+
+    const summary = {};
+    weekRecords.forEach(record => {
+        if (!summary[record.task]) {
+            summary[record.task] = 0;
+        }
+        summary[record.task] += record.duration;
+    });
+
+    return summary;
+}
+
+// ========================================
+// 業界・調達情報取得
+// ========================================
+let currentGovSource = 'generator';
+
+function loadGovNews(source) {
+    currentGovSource = source;
+    const container = document.getElementById('gov-news');
+
+    let newsData = [];
+
+    switch(source) {
+        case 'generator':
+            newsData = [
+                {
+                    title: '総務省消防庁 - 予防行政',
+                    description: '非常用発電設備の点検・整備基準、消防法令の最新情報',
+                    link: 'https://www.fdma.go.jp/mission/prevention/index.html',
+                    time: '消防庁'
+                },
+                {
+                    title: '非常用発電設備の点検基準',
+                    description: '負荷運転・内部観察等の点検実施要領',
+                    link: 'https://www.fdma.go.jp/mission/prevention/suisin/items/h30_kaitei.pdf',
+                    time: 'PDF資料'
+                },
+                {
+                    title: '日本内燃力発電設備協会',
+                    description: '非常用発電設備の技術基準・メンテナンス情報',
+                    link: 'https://www.nega.or.jp/',
+                    time: '業界団体'
+                },
+                {
+                    title: '電気設備技術基準・解釈',
+                    description: '自家用発電設備に関する技術基準',
+                    link: 'https://www.meti.go.jp/policy/safety_security/industrial_safety/sangyo/electric/detail/denki_sekkei.html',
+                    time: '経産省'
+                },
+                {
+                    title: 'JIS規格検索（発電設備関連）',
+                    description: 'ディーゼル発電設備等のJIS規格確認',
+                    link: 'https://www.jisc.go.jp/',
+                    time: 'JISC'
+                }
+            ];
+            break;
+        case 'procurement':
+            newsData = [
+                {
+                    title: '経済産業省 - サプライチェーン強靱化',
+                    description: '半導体・部素材のサプライチェーン対策',
+                    link: 'https://www.meti.go.jp/policy/external_economy/toshi/supply_chain/index.html',
+                    time: '経産省'
+                },
+                {
+                    title: '中小企業基盤整備機構 - 調達情報',
+                    description: '官公需・入札情報、調達支援策',
+                    link: 'https://www.smrj.go.jp/',
+                    time: '中小機構'
+                },
+                {
+                    title: '国土交通省 - 物流施策',
+                    description: 'トラック運送業の2024年問題、物流DX',
+                    link: 'https://www.mlit.go.jp/seisakutokatsu/freight/index.html',
+                    time: '国交省'
+                },
+                {
+                    title: 'ジェトロ - 貿易・投資相談',
+                    description: '海外調達、輸出入規制、関税情報',
+                    link: 'https://www.jetro.go.jp/services/advice.html',
+                    time: 'JETRO'
+                },
+                {
+                    title: '調達価格指数（企業物価指数）',
+                    description: '原材料・部品の価格動向（日本銀行）',
+                    link: 'https://www.boj.or.jp/statistics/pi/index.htm',
+                    time: '日銀'
+                }
+            ];
+            break;
+        case 'regulation':
+            newsData = [
+                {
+                    title: '消防法令改正情報',
+                    description: '消防用設備等の技術基準改正・通知',
+                    link: 'https://www.fdma.go.jp/laws/tutatsu/items/tutatsu_main.html',
+                    time: '総務省消防庁'
+                },
+                {
+                    title: '電気事業法関連（自家用電気工作物）',
+                    description: '保安規程、定期点検、主任技術者選任',
+                    link: 'https://www.meti.go.jp/policy/safety_security/industrial_safety/sangyo/electric/index.html',
+                    time: '経産省'
+                },
+                {
+                    title: '建築基準法（非常用の照明装置・予備電源）',
+                    description: '建築設備の定期検査制度',
+                    link: 'https://www.mlit.go.jp/jutakukentiku/build/jutakukentiku_house_tk_000080.html',
+                    time: '国交省'
+                },
+                {
+                    title: '高圧ガス保安法',
+                    description: '圧縮天然ガス、LPガス発電設備の保安基準',
+                    link: 'https://www.khk.or.jp/',
+                    time: '高圧ガス保安協会'
+                },
+                {
+                    title: 'RoHS指令・REACH規則（EU規制）',
+                    description: '電気電子機器の有害物質規制情報',
+                    link: 'https://www.jetro.go.jp/world/europe/eu/business/regulations.html',
+                    time: 'JETRO'
+                }
+            ];
+            break;
+    }
+
+    displayNews(container, newsData);
+}
+
+function displayNews(container, newsArray) {
+    let html = '';
+    newsArray.forEach(news => {
+        html += `
+            <div class="news-item">
+                <h3>${news.title}</h3>
+                <p>${news.description}</p>
+                <a href="${news.link}" target="_blank">続きを読む</a>
+                <p class="news-time">${news.time}</p>
+            </div>
+        `;
+    });
+    container.innerHTML = html;
+}
+
+// ========================================
+// 資材課ツール: 在庫メモ
+// ========================================
+function saveInventoryMemo() {
+    const memo = document.getElementById('inventory-memo').value;
+    dataStore.setSetting('inventory-memo', memo);
+    alert('在庫メモを保存しました！');
+}
+
+function loadInventoryMemo() {
+    const memo = dataStore.getSetting('inventory-memo');
+    if (typeof memo === 'string') {
+        document.getElementById('inventory-memo').value = memo;
+    }
+}
+
+// ========================================
+// 資材課ツール: 発注リスト
+// ========================================
+function addOrderItem() {
+    const input = document.getElementById('new-order-item');
+    const itemText = input.value.trim();
+
+    if (itemText === '') {
+        alert('品目を入力してください');
+        return;
+    }
+
+    const orderList = getOrderList();
+    orderList.push(itemText);
+    saveOrderList(orderList);
+    input.value = '';
+    renderOrderList();
+}
+
+function removeOrderItem(index) {
+    const orderList = getOrderList();
+    orderList.splice(index, 1);
+    saveOrderList(orderList);
+    renderOrderList();
+}
+
+function renderOrderList() {
+    const orderList = getOrderList();
+    const container = document.getElementById('order-items');
+
+    let html = '';
+    orderList.forEach((item, index) => {
+        html += `
+            <li>
+                <span>${item}</span>
+                <button onclick="removeOrderItem(${index})">削除</button>
+            </li>
+        `;
+    });
+
+    container.innerHTML = html;
+}
+
+function getOrderList() {
+    return validateOrderList(dataStore.getSetting('order-list', [])).value || [];
+}
+
+function saveOrderList(list) {
+    dataStore.setSetting('order-list', list);
+}
+
+// ========================================
+// 為替レート取得（参考値）
+// ========================================
+async function loadExchangeRates() {
+    try {
+        const response = await fetch('https://api.exchangerate-api.com/v4/latest/JPY');
+        const data = await response.json();
+
+        if (data && data.rates) {
+            const usdRate = (1 / data.rates.USD).toFixed(2);
+            const eurRate = (1 / data.rates.EUR).toFixed(2);
+            const cnyRate = (1 / data.rates.CNY).toFixed(2);
+
+            document.getElementById('usd-jpy').textContent = `¥${usdRate}`;
+            document.getElementById('eur-jpy').textContent = `¥${eurRate}`;
+            document.getElementById('cny-jpy').textContent = `¥${cnyRate}`;
+        }
+    } catch (error) {
+        console.error('為替レート取得エラー:', error);
+        document.getElementById('usd-jpy').textContent = '取得失敗';
+        document.getElementById('eur-jpy').textContent = '取得失敗';
+        document.getElementById('cny-jpy').textContent = '取得失敗';
+    }
+}
+
+// ========================================
+// 納期計算機（カレンダーヘッダー用）
+// ========================================
+const DELIVERY_DAY_NAMES = ['日', '月', '火', '水', '木', '金', '土'];
+let lastDeliveryResultText = ''; // コピー用に整形した直近の計算結果
+let lastDeliveryExplanation = null; // 直近の計算の内訳（仕入先の計算、期間内の祝日）{ title, steps }
+// 日付を1日ずつ進める・戻すループの上限（休業期間が続いて数える日が見つからないときに止める）
+const DELIVERY_MAX_STEP_DAYS = 3 * 366;
+const DELIVERY_STEP_LIMIT_MESSAGE = '休業期間が長すぎるか、リードタイムが長すぎるため計算できません';
+
+// 営業日（土日祝・休業期間を除く）・祝日考慮（祝日・休業期間のみ除く）で日数に数える日か
+function isDeliveryCountDay(date, rule) {
+    if (isHoliday(date.getFullYear(), date.getMonth(), date.getDate())) return false;
+    if (rule === 'business') {
+        const dayOfWeek = date.getDay();
+        return dayOfWeek !== 0 && dayOfWeek !== 6;
+    }
+    return true;
+}
+
+// 発注日からの納品日。営業日・祝日考慮は発注日の翌日から数え、暦日は納品日が休業期間に当たる場合は休業明けにする
+// DELIVERY_MAX_STEP_DAYS日進めても決まらなければnull
+function addDeliveryDays(orderDate, leadTime, rule) {
+    const date = new Date(orderDate);
+    let steps = 0;
+    if (rule === 'calendar') {
+        date.setDate(date.getDate() + leadTime);
+        while (getClosureName(date.getFullYear(), date.getMonth(), date.getDate())) {
+            if (++steps > DELIVERY_MAX_STEP_DAYS) return null;
+            date.setDate(date.getDate() + 1);
+        }
+        return date;
+    }
+
+    let days = 0;
+    while (days < leadTime) {
+        if (++steps > DELIVERY_MAX_STEP_DAYS) return null;
+        date.setDate(date.getDate() + 1);
+        if (isDeliveryCountDay(date, rule)) days++;
+    }
+    return date;
+}
+
+// 納期に間に合う最も遅い発注日（addDeliveryDaysの結果が納期以前になる最後の日）
+// 営業日・祝日考慮では、発注日も数える日（営業日なら土日祝・休業期間以外）にする
+// DELIVERY_MAX_STEP_DAYS日戻っても決まらなければnull
+function subtractDeliveryDays(targetDate, leadTime, rule) {
+    const date = new Date(targetDate);
+    let steps = 0;
+    if (rule === 'calendar') {
+        // 休業期間中の納期は休業前の最後の日に届くようにする
+        while (getClosureName(date.getFullYear(), date.getMonth(), date.getDate())) {
+            if (++steps > DELIVERY_MAX_STEP_DAYS) return null;
+            date.setDate(date.getDate() - 1);
+        }
+        date.setDate(date.getDate() - leadTime);
+        return date;
+    }
+
+    // 納期から遡ってleadTime日目に数える日より前の、最後の数える日
+    let days = 0;
+    while (true) {
+        if (isDeliveryCountDay(date, rule)) days++;
+        if (days === leadTime) break;
+        if (++steps > DELIVERY_MAX_STEP_DAYS) return null;
+        date.setDate(date.getDate() - 1);
+    }
+    do {
+        if (++steps > DELIVERY_MAX_STEP_DAYS) return null;
+        date.setDate(date.getDate() - 1);
+    } while (!isDeliveryCountDay(date, rule));
+    return date;
+}
+
+// 入力欄の 'YYYY-MM-DD' をローカル日付として解釈（new Date('YYYY-MM-DD')はUTC解釈されるため）
+function parseDeliveryDate(value) {
+    const [y, m, d] = value.split('-').map(Number);
+    return new Date(y, m - 1, d);
+}
+
+function formatDeliveryDate(date) {
+    return `${date.getMonth() + 1}/${date.getDate()}（${DELIVERY_DAY_NAMES[date.getDay()]}）`;
+}
+
+// 発注日→納期、納期→発注日（逆算）、期間の日数の切り替え
+function updateDeliveryMode() {
+    const mode = document.getElementById('calc-mode').value;
+    const between = mode === 'between';
+    document.getElementById('calc-order-date').style.display = mode === 'reverse' ? 'none' : '';
+    document.getElementById('calc-target-date').style.display = mode === 'forward' ? 'none' : '';
+    document.getElementById('calc-range-separator').style.display = between ? '' : 'none';
+    ['calc-supplier', 'calc-supplier-btn', 'calc-lead-time-label', 'calc-lead-time'].forEach(id => {
+        document.getElementById(id).style.display = between ? 'none' : '';
+    });
+    document.querySelector('.calc-result-item.holiday-aware .calc-result-label').textContent = between ? '平日' : '祝日考慮';
+    document.getElementById('calc-result-holidays-item').style.display = between ? '' : 'none';
+    updateSupplierFields();
+    clearDeliveryResults();
+}
+
+function clearDeliveryResults() {
+    ['business', 'holiday-aware', 'calendar', 'supplier', 'holidays'].forEach(rule => {
+        const element = document.getElementById(`calc-result-${rule}`);
+        element.textContent = '-';
+        element.title = '';
+        element.classList.remove('closure-affected', 'calc-past');
+    });
+    lastDeliveryResultText = '';
+    lastDeliveryExplanation = null;
+    document.getElementById('calc-copy-btn').style.display = 'none';
+}
+
+function calculateDelivery() {
+    if (document.getElementById('calc-mode').value === 'between') {
+        calculateDaysBetween();
+        return;
+    }
+
+    const reverse = document.getElementById('calc-mode').value === 'reverse';
+    const dateStr = document.getElementById(reverse ? 'calc-target-date' : 'calc-order-date').value;
+    const leadTime = parseInt(document.getElementById('calc-lead-time').value);
+
+    if (!dateStr) {
+        alert(reverse ? '納期を選択してください' : '発注日を選択してください');
+        return;
+    }
+
+    if (!leadTime || leadTime < 1) {
+        alert('リードタイムを入力してください');
+        return;
+    }
+
+    const baseDate = parseDeliveryDate(dateStr);
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    const rules = [
+        { id: 'business', label: '営業日' },
+        { id: 'holiday-aware', label: '祝日考慮' },
+        { id: 'calendar', label: '暦日' }
+    ];
+    const resultDates = rules.map(rule => reverse
+        ? subtractDeliveryDays(baseDate, leadTime, rule.id)
+        : addDeliveryDays(baseDate, leadTime, rule.id));
+    if (resultDates.includes(null)) {
+        clearDeliveryResults();
+        alert(DELIVERY_STEP_LIMIT_MESSAGE);
+        return;
+    }
+
+    const results = rules.map((rule, index) => {
+        const resultDate = resultDates[index];
+        const orderDate = reverse ? resultDate : baseDate;
+        const deliveryDate = reverse ? baseDate : resultDate;
+
+        // 発注日の翌日から納品日までに掛かった休業期間
+        const closureNames = new Set();
+        for (const date = new Date(orderDate); date < deliveryDate;) {
+            date.setDate(date.getDate() + 1);
+            const closureName = getClosureName(date.getFullYear(), date.getMonth(), date.getDate());
+            if (closureName) closureNames.add(closureName);
+        }
+        return { ...rule, resultDate, closureNames, past: reverse && resultDate < today };
+    });
+
+    results.forEach(({ id, resultDate, closureNames, past }) => {
+        const titles = [];
+        if (past) titles.push('この発注日はすでに過ぎています');
+        if (closureNames.size > 0) titles.push(`休業期間: ${[...closureNames].join('、')}`);
+
+        const element = document.getElementById(`calc-result-${id}`);
+        element.textContent = formatDeliveryDate(resultDate);
+        element.title = titles.join(' / ');
+        element.classList.toggle('closure-affected', closureNames.size > 0);
+        element.classList.toggle('calc-past', past);
+    });
+
+    const resultText = results
+        .map(({ label, resultDate, past }) => `${label} ${formatDeliveryDate(resultDate)}${past ? '※期限切れ' : ''}`)
+        .join(' / ') + showSupplierResult(baseDate, reverse, today);
+    lastDeliveryResultText = reverse
+        ? `納期 ${formatDeliveryDate(baseDate)}・LT${leadTime}日 → 最終発注日: ${resultText}`
+        : `発注日 ${formatDeliveryDate(baseDate)}・LT${leadTime}日 → 納期: ${resultText}`;
+    document.getElementById('calc-copy-btn').style.display = '';
+}
+
+// 選んだ仕入先の条件での結果を表示し、コピー用の文を返す（仕入先なしなら空文字）
+function showSupplierResult(baseDate, reverse, today) {
+    const profile = getSelectedSupplier();
+    lastDeliveryExplanation = null;
+    if (!profile) return '';
+
+    const element = document.getElementById('calc-result-supplier');
+    let resultDate;
+    let steps;
+    if (reverse) {
+        const result = calculateSupplierLatestOrder(profile, baseDate);
+        if (!result) {
+            element.textContent = '-';
+            element.title = '発注日が見つかりません';
+            return '';
+        }
+        resultDate = result.orderDate;
+        steps = result.steps;
+    } else {
+        const timeValue = document.getElementById('calc-order-time').value;
+        const result = calculateSupplierDelivery(profile, baseDate, timeValue ? parseTimeValue(timeValue) : null);
+        if (!result) {
+            element.textContent = '-';
+            element.title = DELIVERY_STEP_LIMIT_MESSAGE;
+            return '';
+        }
+        resultDate = result.arrivalDate;
+        steps = result.steps;
+    }
+
+    const past = reverse && resultDate < today;
+    lastDeliveryExplanation = {
+        title: reverse
+            ? `${profile.name}: 納期${formatDeliveryDate(baseDate)}に間に合う最終発注日 ${formatDeliveryDate(resultDate)}`
+            : `${profile.name}: 納期 ${formatDeliveryDate(resultDate)}`,
+        steps
+    };
+    element.textContent = formatDeliveryDate(resultDate);
+    element.title = [...(past ? ['この発注日はすでに過ぎています'] : []), ...steps].join('\n');
+    element.classList.toggle('calc-past', past);
+    return ` / ${profile.name} ${formatDeliveryDate(resultDate)}${past ? '※期限切れ' : ''}`;
+}
+
+// 開始日の翌日から終了日までの日数（納期計算のリードタイムと同じ数え方）
+// 平日は土日以外、営業日は平日のうち祝日・休業期間以外。holidaysは期間内の祝日・休業期間の日（土日を含む）
+function countDaysBetween(startDate, endDate) {
+    const result = { calendarDays: 0, weekdays: 0, businessDays: 0, holidays: [] };
+    for (const date = new Date(startDate); date < endDate;) {
+        date.setDate(date.getDate() + 1);
+        const dayOfWeek = date.getDay();
+        const holidayName = isHoliday(date.getFullYear(), date.getMonth(), date.getDate());
+        result.calendarDays++;
+        if (dayOfWeek !== 0 && dayOfWeek !== 6) {
+            result.weekdays++;
+            if (!holidayName) result.businessDays++;
+        }
+        if (holidayName) result.holidays.push({ date: new Date(date), name: holidayName });
+    }
+    return result;
+}
+
+function calculateDaysBetween() {
+    const startStr = document.getElementById('calc-order-date').value;
+    const endStr = document.getElementById('calc-target-date').value;
+    if (!startStr || !endStr) {
+        alert('開始日と終了日を選択してください');
+        return;
+    }
+
+    const startDate = parseDeliveryDate(startStr);
+    const endDate = parseDeliveryDate(endStr);
+    if (endDate < startDate) {
+        alert('終了日は開始日以降にしてください');
+        return;
+    }
+
+    const { calendarDays, weekdays, businessDays, holidays: holidayDays } = countDaysBetween(startDate, endDate);
+    const holidayTexts = holidayDays.map(({ date, name }) => `${formatDeliveryDate(date)}${name}`);
+    const values = { business: businessDays, 'holiday-aware': weekdays, calendar: calendarDays, holidays: holidayDays.length };
+    Object.entries(values).forEach(([id, days]) => {
+        const element = document.getElementById(`calc-result-${id}`);
+        element.textContent = `${days}日`;
+        element.title = id === 'business' || id === 'holidays' ? holidayTexts.join('\n') : '';
+        element.classList.remove('closure-affected', 'calc-past');
+    });
+
+    const rangeText = `${formatDeliveryDate(startDate)}～${formatDeliveryDate(endDate)}`;
+    lastDeliveryExplanation = {
+        title: `${rangeText}の祝日・休業日`,
+        steps: [
+            `開始日の翌日から終了日まで: 暦日 ${calendarDays}日 / 平日 ${weekdays}日 / 営業日 ${businessDays}日`,
+            ...(holidayTexts.length > 0 ? holidayTexts : ['期間内に祝日・休業日はありません'])
+        ]
+    };
+    lastDeliveryResultText = `${rangeText}: 暦日 ${calendarDays}日 / 平日 ${weekdays}日 / 営業日 ${businessDays}日` +
+        (holidayTexts.length > 0 ? `（祝日・休業日: ${holidayTexts.join('、')}）` : '');
+    document.getElementById('calc-copy-btn').style.display = '';
+}
+
+function copyDeliveryResult() {
+    if (!lastDeliveryResultText) return;
+
+    copyToClipboard(lastDeliveryResultText, () => {
+        const button = document.getElementById('calc-copy-btn');
+        button.classList.add('copied');
+        setTimeout(() => button.classList.remove('copied'), 1000);
+    });
+}
+
+// ========================================
+// 仕入先（納期計算用のリードタイム・締め時刻・輸送日数・休業日）
+// ========================================
+
+function getSupplierProfiles() {
+    return validateSupplierProfiles(dataStore.getSetting('supplier-profiles', [])).value || [];
+}
+
+function saveSupplierProfiles(profiles) {
+    dataStore.setSetting('supplier-profiles', profiles);
+    renderSupplierOptions();
+}
+
+function getSelectedSupplier() {
+    const id = document.getElementById('calc-supplier').value;
+    return id ? getSupplierProfiles().find(profile => profile.id === id) || null : null;
+}
+
+// 納期計算機の仕入先の選択肢（選択中の仕入先は残す）
+function renderSupplierOptions() {
+    const select = document.getElementById('calc-supplier');
+    if (!select) return;
+
+    const selected = select.value;
+    const profiles = getSupplierProfiles();
+    select.innerHTML = '<option value="">仕入先なし</option>' + profiles
+        .map(profile => `<option value="${profile.id}">${escapeHtml(profile.name)}</option>`)
+        .join('');
+    select.value = profiles.some(profile => profile.id === selected) ? selected : '';
+    updateSupplierFields();
+}
+
+// 仕入先を選んだらリードタイムを合わせ、発注時刻と仕入先の結果欄を表示する
+function onDeliverySupplierChange() {
+    const profile = getSelectedSupplier();
+    if (profile) {
+        document.getElementById('calc-lead-time').value = profile.leadTime;
+    }
+    updateSupplierFields();
+    clearDeliveryResults();
+}
+
+function updateSupplierFields() {
+    const profile = getSelectedSupplier();
+    const mode = document.getElementById('calc-mode').value;
+    document.getElementById('calc-order-time').style.display = profile && profile.cutoff && mode === 'forward' ? '' : 'none';
+    document.getElementById('calc-result-supplier-item').style.display = profile && mode !== 'between' ? '' : 'none';
+    document.getElementById('calc-result-supplier-label').textContent = profile ? profile.name : '仕入先';
+}
+
+// 仕入先が出荷の作業をしない日の理由（作業する日ならnull）
+function getSupplierSkipReason(profile, date) {
+    const dateStr = formatDateKey(date);
+    const closure = profile.closures.find(period => isInClosurePeriod(period, dateStr));
+    if (closure) return `仕入先休業「${closure.name}」`;
+
+    const holidayName = getHolidayName(date.getFullYear(), date.getMonth(), date.getDate());
+    if (holidayName) return holidayName;
+
+    if (date.getDay() === 0) return '日曜';
+    if (date.getDay() === 6) return '土曜';
+    return null;
+}
+
+// 数えなかった日を「12/29（火）～1/3（日）仕入先休業「年末年始」」のように連続した同じ理由でまとめる
+function summarizeSkippedDays(skipped) {
+    const groups = [];
+    skipped.forEach(({ date, reason }) => {
+        const last = groups[groups.length - 1];
+        const previousDay = last ? new Date(last.to) : null;
+        if (previousDay) previousDay.setDate(previousDay.getDate() + 1);
+        if (last && last.reason === reason && previousDay.getTime() === date.getTime()) {
+            last.to = date;
+        } else {
+            groups.push({ from: date, to: date, reason });
+        }
+    });
+    return groups.map(({ from, to, reason }) => from.getTime() === to.getTime()
+        ? `${formatDeliveryDate(from)}${reason}`
+        : `${formatDeliveryDate(from)}～${formatDeliveryDate(to)}${reason}`);
+}
+
+/**
+ * 仕入先の条件で発注日から納品日を計算する
+ * 締め時刻を過ぎた発注は翌営業日の受注とし、リードタイム（営業日または暦日）で出荷日、輸送日数で到着日を求める
+ * 到着日が当社の休業期間に当たる場合は休業明けに受け取るものとする
+ * @param {object} profile - 仕入先
+ * @param {Date} orderDate - 発注日（0時）
+ * @param {number|null} orderMinutes - 発注時刻（0時からの分）。nullなら締め時刻前とみなす
+ * @returns {{ arrivalDate: Date, steps: string[] } | null} 休業が続いて決まらなければnull
+ */
+function calculateSupplierDelivery(profile, orderDate, orderMinutes) {
+    const steps = [];
+    const skipped = [];
+    const date = new Date(orderDate);
+    // 日付を進めた回数（DELIVERY_MAX_STEP_DAYSを超えたら止める）
+    let stepCount = 0;
+    const step = () => {
+        date.setDate(date.getDate() + 1);
+        return ++stepCount <= DELIVERY_MAX_STEP_DAYS;
+    };
+
+    // 受注日（締め時刻を過ぎたら翌営業日）
+    if (profile.cutoff && orderMinutes !== null && orderMinutes > parseTimeValue(profile.cutoff)) {
+        do {
+            if (!step()) return null;
+        } while (getSupplierSkipReason(profile, date));
+        steps.push(`${formatDeliveryDate(orderDate)} ${formatTimeValue(Math.floor(orderMinutes / 60), orderMinutes % 60)}の発注は締め時刻${profile.cutoff}を過ぎているため、${formatDeliveryDate(date)}の受注として計算`);
+    } else if (profile.cutoff) {
+        steps.push(`${formatDeliveryDate(orderDate)} 締め時刻${profile.cutoff}までの発注`);
+    } else {
+        steps.push(`${formatDeliveryDate(orderDate)} 発注`);
+    }
+
+    // 出荷日
+    if (profile.leadTimeUnit === 'calendar') {
+        date.setDate(date.getDate() + profile.leadTime);
+        let reason;
+        while ((reason = getSupplierSkipReason(profile, date))) {
+            skipped.push({ date: new Date(date), reason });
+            if (!step()) return null;
+        }
+        steps.push(`リードタイム ${profile.leadTime}暦日 → ${formatDeliveryDate(date)}出荷` +
+            (skipped.length > 0 ? `（出荷できない日のため繰り下げ: ${summarizeSkippedDays(skipped).join('、')}）` : ''));
+    } else {
+        let days = 0;
+        while (days < profile.leadTime) {
+            if (!step()) return null;
+            const reason = getSupplierSkipReason(profile, date);
+            if (reason) {
+                skipped.push({ date: new Date(date), reason });
+            } else {
+                days++;
+            }
+        }
+        steps.push(`リードタイム ${profile.leadTime}営業日 → ${formatDeliveryDate(date)}出荷` +
+            (skipped.length > 0 ? `（数えない日: ${summarizeSkippedDays(skipped).join('、')}）` : ''));
+    }
+
+    // 到着日
+    if (profile.transitDays > 0) {
+        date.setDate(date.getDate() + profile.transitDays);
+        steps.push(`輸送 ${profile.transitDays}日 → ${formatDeliveryDate(date)}着`);
+    }
+    const closureName = getClosureName(date.getFullYear(), date.getMonth(), date.getDate());
+    if (closureName) {
+        while (getClosureName(date.getFullYear(), date.getMonth(), date.getDate())) {
+            if (!step()) return null;
+        }
+        steps.push(`当社休業「${closureName}」のため${formatDeliveryDate(date)}に受け取り`);
+    }
+
+    return { arrivalDate: date, steps };
+}
+
+// 仕入先の条件で納期に間に合う最も遅い発注日（締め時刻前の発注として探す）
+// リードタイムが営業日なら、発注日も仕入先の営業日にする
+function calculateSupplierLatestOrder(profile, targetDate) {
+    const date = new Date(targetDate);
+    // 納期より後にはならないため、リードタイム・輸送日数と休業期間の分だけ遡れば見つかる
+    for (let i = 0; i < DELIVERY_MAX_STEP_DAYS; i++) {
+        const result = calculateSupplierDelivery(profile, date, null);
+        if (!result) return null;
+        if (result.arrivalDate <= targetDate &&
+            (profile.leadTimeUnit !== 'business' || !getSupplierSkipReason(profile, date))) {
+            return { orderDate: date, steps: result.steps };
+        }
+        date.setDate(date.getDate() - 1);
+    }
+    return null;
+}
+
+function openDeliveryExplanation() {
+    if (!lastDeliveryExplanation) return;
+    closeEditModal();
+
+    const modal = document.createElement('div');
+    modal.className = 'edit-modal';
+    modal.innerHTML = `
+        <div class="edit-modal-content">
+            <h3>${escapeHtml(lastDeliveryExplanation.title)}</h3>
+            <div class="edit-form">
+                <ol class="delivery-explanation">
+                    ${lastDeliveryExplanation.steps.map(step => `<li>${escapeHtml(step)}</li>`).join('')}
+                </ol>
+                <div class="edit-buttons">
+                    <button onclick="closeEditModal()" class="cancel-btn">閉じる</button>
+                </div>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+}
+
+function openSupplierSettings() {
+    closeEditModal();
+
+    const profiles = getSupplierProfiles();
+    const rows = profiles.map(profile => `
+        <div class="supplier-row">
+            <div class="supplier-summary">
+                <strong>${escapeHtml(profile.name)}</strong>
+                <span>LT ${profile.leadTime}${SUPPLIER_LEAD_TIME_UNITS[profile.leadTimeUnit]}${profile.cutoff ? `・締め ${profile.cutoff}` : ''}${profile.transitDays > 0 ? `・輸送 ${profile.transitDays}日` : ''}${profile.closures.length > 0 ? `・休業 ${profile.closures.length}件` : ''}</span>
+            </div>
+            <button onclick="openSupplierEditor('${profile.id}')" class="add-break-btn">編集</button>
+            <button onclick="deleteSupplierProfile('${profile.id}')" class="break-remove-btn" title="削除">✕</button>
+        </div>
+    `).join('');
+
+    const modal = document.createElement('div');
+    modal.className = 'edit-modal';
+    modal.innerHTML = `
+        <div class="edit-modal-content schedule-modal-content">
+            <h3>仕入先</h3>
+            <div class="edit-form">
+                <div class="restore-task-info">
+                    仕入先ごとのリードタイム・受注の締め時刻・輸送日数・休業日を登録すると、納期計算機で仕入先を選んで計算できます。
+                </div>
+                <div class="schedule-rows">${rows || '<div class="supplier-empty">仕入先はまだありません</div>'}</div>
+                <button onclick="openSupplierEditor()" class="add-break-btn">＋ 仕入先を追加</button>
+
+                <div class="edit-buttons">
+                    <button onclick="closeEditModal()" class="cancel-btn">閉じる</button>
+                </div>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+}
+
+function openSupplierEditor(id = null) {
+    const profile = id ? getSupplierProfiles().find(item => item.id === id) : null;
+    closeEditModal();
+
+    const unitOptions = Object.entries(SUPPLIER_LEAD_TIME_UNITS)
+        .map(([unit, label]) => `<option value="${unit}" ${(profile?.leadTimeUnit || 'business') === unit ? 'selected' : ''}>${label}</option>`)
+        .join('');
+
+    const modal = document.createElement('div');
+    modal.className = 'edit-modal';
+    modal.dataset.supplierId = profile ? profile.id : '';
+    modal.innerHTML = `
+        <div class="edit-modal-content schedule-modal-content">
+            <h3>${profile ? '仕入先の編集' : '仕入先の追加'}</h3>
+            <div class="edit-form">
+                <label>名前:</label>
+                <input type="text" id="supplier-name" value="${profile ? escapeHtml(profile.name) : ''}" class="edit-input" placeholder="○○商事">
+
+                <label>リードタイム:</label>
+                <div class="supplier-lead-time">
+                    <input type="number" id="supplier-lead-time" value="${profile ? profile.leadTime : 14}" min="1" max="365" class="time-input">
+                    <select id="supplier-lead-time-unit" class="time-input">${unitOptions}</select>
+                </div>
+
+                <label>受注の締め時刻（過ぎた発注は翌営業日の受注。空欄なら締めなし）:</label>
+                <input type="time" id="supplier-cutoff" value="${profile ? profile.cutoff : ''}" class="edit-input">
+
+                <label>輸送日数（出荷から到着までの暦日）:</label>
+                <input type="number" id="supplier-transit-days" value="${profile ? profile.transitDays : 0}" min="0" max="60" class="edit-input">
+
+                <label>仕入先の休業日（土日祝は自動で除外）:</label>
+                <div id="supplier-closure-rows" class="schedule-rows"></div>
+                <button onclick="addClosureRow(null, 'supplier-closure-rows')" class="add-break-btn">＋ 休業期間を追加</button>
+
+                <div class="edit-buttons">
+                    <button onclick="saveSupplierEditor()" class="save-btn">保存</button>
+                    <button onclick="openSupplierSettings()" class="cancel-btn">キャンセル</button>
+                </div>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+    (profile?.closures || []).forEach(period => addClosureRow(period, 'supplier-closure-rows'));
+}
+
+function saveSupplierEditor() {
+    const closures = readClosureRows('supplier-closure-rows');
+    if (!closures) return;
+
+    const id = document.querySelector('.edit-modal').dataset.supplierId;
+    const profile = {
+        id: id || generateRecordId(),
+        name: document.getElementById('supplier-name').value.trim(),
+        leadTime: Number(document.getElementById('supplier-lead-time').value),
+        leadTimeUnit: document.getElementById('supplier-lead-time-unit').value,
+        cutoff: document.getElementById('supplier-cutoff').value,
+        transitDays: Number(document.getElementById('supplier-transit-days').value || 0),
+        closures
+    };
+
+    const { value, problems } = validateSupplierProfiles([profile]);
+    if (problems.length > 0) {
+        alert(`仕入先を保存できません:\n${problems.join('\n')}`);
+        return;
+    }
+
+    const profiles = getSupplierProfiles();
+    const index = profiles.findIndex(item => item.id === profile.id);
+    if (index >= 0) {
+        profiles[index] = value[0];
+    } else {
+        profiles.push(value[0]);
+    }
+    saveSupplierProfiles(profiles);
+    openSupplierSettings();
+}
+
+function deleteSupplierProfile(id) {
+    const profiles = getSupplierProfiles();
+    const profile = profiles.find(item => item.id === id);
+    if (!profile || !confirm(`仕入先「${profile.name}」を削除しますか？`)) return;
+
+    saveSupplierProfiles(profiles.filter(item => item.id !== id));
+    openSupplierSettings();
+}
+
+// ========================================
+// 納期の一括計算（Excelから貼り付けた表、.xlsxファイル）
+// ========================================
+let pendingDeliveryBatch = null; // 読み取った表 { rows: string[][] }
+
+// 計算に使う列と、見出しから自動で対応づけるための列名
+const DELIVERY_BATCH_FIELDS = [
+    { key: 'orderDate', label: '発注日', required: true, headers: ['発注日', '注文日', '手配日', '日付'] },
+    { key: 'leadTime', label: 'リードタイム', required: false, headers: ['LT', 'リードタイム', '納期日数', '日数'] },
+    { key: 'supplier', label: '仕入先', required: false, headers: ['仕入先', '取引先', 'メーカー'] }
+];
+
+function openDeliveryBatch() {
+    closeEditModal();
+
+    const modal = document.createElement('div');
+    modal.className = 'edit-modal';
+    modal.innerHTML = `
+        <div class="edit-modal-content schedule-modal-content">
+            <h3>納期の一括計算</h3>
+            <div class="edit-form">
+                <div class="restore-task-info">
+                    <div>Excelで発注日・リードタイム・仕入先（任意）の列を含む範囲をコピーして貼り付けるか、.xlsxファイルを読み込みます（最初のシート）。</div>
+                    <div>リードタイムが空欄の行は、仕入先に登録したリードタイムを使います。</div>
+                </div>
+                <textarea id="delivery-batch-input" class="edit-input delivery-batch-input" placeholder="発注日&#9;LT&#9;仕入先&#10;2025/01/31&#9;14&#9;○○商事"></textarea>
+                <button onclick="importDeliveryBatchExcel()" class="add-break-btn">Excelファイルを読み込む</button>
+
+                <div class="edit-buttons">
+                    <button onclick="readDeliveryBatchInput()" class="save-btn">次へ</button>
+                    <button onclick="closeDeliveryBatch()" class="cancel-btn">キャンセル</button>
+                </div>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+    if (pendingDeliveryBatch) {
+        document.getElementById('delivery-batch-input').value = pendingDeliveryBatch.rows.map(row => row.join('\t')).join('\n');
+    }
+}
+
+function closeDeliveryBatch() {
+    pendingDeliveryBatch = null;
+    closeEditModal();
+}
+
+// .xlsxの最初のシートを貼り付け欄にタブ区切りで入れる（日付の書式のセルは YYYY/MM/DD にする）
+function importDeliveryBatchExcel() {
+    if (typeof XLSX === 'undefined') {
+        alert('Excel読み込み用のライブラリ（SheetJS）を読み込めませんでした。\nネットワーク接続を確認してページを再読み込みしてください。');
+        return;
+    }
+
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.xlsx,.xls';
+
+    input.onchange = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            try {
+                const workbook = XLSX.read(event.target.result, { type: 'array', cellNF: true });
+                const sheet = workbook.Sheets[workbook.SheetNames[0]];
+                const rows = readDeliveryBatchSheet(sheet);
+                if (rows.length === 0) {
+                    alert('シートにデータがありません');
+                    return;
+                }
+                document.getElementById('delivery-batch-input').value = rows.map(row => row.join('\t')).join('\n');
+            } catch (error) {
+                alert('ファイルの読み込みに失敗しました');
+                console.error(error);
+            }
+        };
+
+        reader.readAsArrayBuffer(file);
+    };
+
+    input.click();
 }
 
-function loadInventoryMemo() {
-    const memo = localStorage.getItem('inventory-memo');
-    if (memo) {
-        document.getElementById('inventory-memo').value = memo;
+function readDeliveryBatchSheet(sheet) {
+    if (!sheet || !sheet['!ref']) return [];
+
+    const range = XLSX.utils.decode_range(sheet['!ref']);
+    const rows = [];
+    for (let r = range.s.r; r <= range.e.r; r++) {
+        const row = [];
+        for (let c = range.s.c; c <= range.e.c; c++) {
+            const cell = sheet[XLSX.utils.encode_cell({ r, c })];
+            if (!cell || cell.v === undefined || cell.v === null) {
+                row.push('');
+            } else if (cell.t === 'n' && cell.z && XLSX.SSF.is_date(cell.z)) {
+                const { y, m, d } = XLSX.SSF.parse_date_code(cell.v);
+                row.push(`${y}/${String(m).padStart(2, '0')}/${String(d).padStart(2, '0')}`);
+            } else {
+                // 改行・タブはセルの区切りと紛れるため空白にする
+                row.push(String(cell.w ?? cell.v).replace(/[\t\r\n]+/g, ' ').trim());
+            }
+        }
+        rows.push(row);
     }
+    return rows.filter(row => row.some(field => field !== ''));
 }
 
-// ========================================
-// 資材課ツール: 発注リスト
-// ========================================
-function addOrderItem() {
-    const input = document.getElementById('new-order-item');
-    const itemText = input.value.trim();
+function readDeliveryBatchInput() {
+    const rows = document.getElementById('delivery-batch-input').value
+        .split(/\r?\n/)
+        .map(line => line.split('\t').map(field => field.trim()))
+        .filter(row => row.some(field => field !== ''));
 
-    if (itemText === '') {
-        alert('品目を入力してください');
+    if (rows.length === 0) {
+        alert('発注日とリードタイムの表を貼り付けてください');
         return;
     }
 
-    const orderList = getOrderList();
-    orderList.push(itemText);
-    saveOrderList(orderList);
-    input.value = '';
-    renderOrderList();
+    pendingDeliveryBatch = { rows };
+    openDeliveryBatchResult();
 }
 
-function removeOrderItem(index) {
-    const orderList = getOrderList();
-    orderList.splice(index, 1);
-    saveOrderList(orderList);
-    renderOrderList();
+// 発注日「2025/1/31」「2025-01-31」「2025年1月31日」（時刻が付いていても可）をローカル日付にする
+function parseDeliveryBatchDate(text) {
+    const match = text.match(/^(\d{4})[\/\-.年](\d{1,2})[\/\-.月](\d{1,2})日?(?:[ T].*)?$/);
+    if (!match) return null;
+
+    const [, year, month, day] = match.map(Number);
+    const date = new Date(year, month - 1, day);
+    return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
 }
 
-function renderOrderList() {
-    const orderList = getOrderList();
-    const container = document.getElementById('order-items');
+function detectDeliveryBatchMapping(headerFields) {
+    const mapping = {};
+    let hasHeader = false;
 
-    let html = '';
-    orderList.forEach((item, index) => {
-        html += `
-            <li>
-                <span>${item}</span>
-                <button onclick="removeOrderItem(${index})">削除</button>
-            </li>
-        `;
+    DELIVERY_BATCH_FIELDS.forEach(field => {
+        const index = headerFields.findIndex(name => field.headers.includes(name));
+        if (index !== -1) {
+            mapping[field.key] = index;
+            hasHeader = true;
+        }
     });
 
-    container.innerHTML = html;
+    if (!hasHeader) {
+        return { hasHeader: false, mapping: { orderDate: 0, leadTime: 1, supplier: headerFields.length > 2 ? 2 : -1 } };
+    }
+
+    DELIVERY_BATCH_FIELDS.forEach(field => {
+        if (mapping[field.key] === undefined) mapping[field.key] = -1;
+    });
+    if (mapping.orderDate === -1) mapping.orderDate = 0;
+    return { hasHeader: true, mapping };
 }
 
-function getOrderList() {
-    const data = localStorage.getItem('order-list');
-    if (data) {
-        try {
-            return JSON.parse(data);
-        } catch (e) {
-            console.error('発注リストの読み込みに失敗:', e);
-            localStorage.removeItem('order-list');
+/**
+ * 貼り付けた表の各行の納期を計算する
+ * 仕入先の列があればその仕入先の条件（締め時刻前の発注）、なければ営業日（土日祝・休業期間を除く）で数える
+ * @returns {{ header: string[], lines: { fields: string[], orderDate: Date|null, dueDate: Date|null, note: string }[] }}
+ */
+function calculateDeliveryBatch(rows, hasHeader, mapping) {
+    const columnCount = Math.max(...rows.map(row => row.length));
+    const header = hasHeader
+        ? Array.from({ length: columnCount }, (_, index) => rows[0][index] || `列${index + 1}`)
+        : Array.from({ length: columnCount }, (_, index) => `列${index + 1}`);
+    const profiles = getSupplierProfiles();
+
+    const lines = rows.slice(hasHeader ? 1 : 0).map(row => {
+        const fields = Array.from({ length: columnCount }, (_, index) => row[index] || '');
+        const line = { fields, orderDate: null, dueDate: null, note: '' };
+
+        const orderDate = parseDeliveryBatchDate(fields[mapping.orderDate]);
+        if (!orderDate) {
+            line.note = fields[mapping.orderDate] ? `発注日「${fields[mapping.orderDate]}」を解釈できません` : '発注日がありません';
+            return line;
         }
-    }
-    return [];
+        line.orderDate = orderDate;
+
+        const supplierName = mapping.supplier >= 0 ? fields[mapping.supplier] : '';
+        const profile = supplierName ? profiles.find(item => item.name === supplierName) : null;
+        if (supplierName && !profile) {
+            line.note = `仕入先「${supplierName}」が登録されていません`;
+            return line;
+        }
+
+        const leadTimeText = mapping.leadTime >= 0 ? fields[mapping.leadTime] : '';
+        let leadTime = profile ? profile.leadTime : null;
+        if (leadTimeText) {
+            // 仕入先のリードタイムと同じく1～365日の整数（「14日」「1.5」は受け付けない）
+            if (!/^\d+$/.test(leadTimeText.trim())) {
+                line.note = `リードタイム「${leadTimeText}」を解釈できません`;
+                return line;
+            }
+            leadTime = Number(leadTimeText.trim());
+            if (leadTime < 1 || leadTime > 365) {
+                line.note = `リードタイム「${leadTimeText}」は1～365日で指定してください`;
+                return line;
+            }
+        }
+        if (!leadTime) {
+            line.note = 'リードタイムがありません';
+            return line;
+        }
+
+        if (profile) {
+            const result = calculateSupplierDelivery({ ...profile, leadTime }, orderDate, null);
+            if (!result) {
+                line.note = DELIVERY_STEP_LIMIT_MESSAGE;
+                return line;
+            }
+            line.dueDate = result.arrivalDate;
+            line.note = result.steps.slice(1).join(' / ');
+        } else {
+            line.dueDate = addDeliveryDays(orderDate, leadTime, 'business');
+            if (!line.dueDate) line.note = DELIVERY_STEP_LIMIT_MESSAGE;
+        }
+        return line;
+    });
+
+    return { header, lines };
 }
 
-function saveOrderList(list) {
-    localStorage.setItem('order-list', JSON.stringify(list));
+function formatDeliveryBatchDate(date) {
+    return formatDateKey(date).replace(/-/g, '/');
 }
 
-// ========================================
-// 為替レート取得（参考値）
-// ========================================
-async function loadExchangeRates() {
-    try {
-        const response = await fetch('https://api.exchangerate-api.com/v4/latest/JPY');
-        const data = await response.json();
+function openDeliveryBatchResult() {
+    if (!pendingDeliveryBatch) return;
+    closeEditModal();
 
-        if (data && data.rates) {
-            const usdRate = (1 / data.rates.USD).toFixed(2);
-            const eurRate = (1 / data.rates.EUR).toFixed(2);
-            const cnyRate = (1 / data.rates.CNY).toFixed(2);
+    const { rows } = pendingDeliveryBatch;
+    const { hasHeader, mapping } = detectDeliveryBatchMapping(rows[0]);
+    const columnCount = Math.max(...rows.map(row => row.length));
+    const sampleRow = rows[hasHeader ? 1 : 0] || rows[0];
 
-            document.getElementById('usd-jpy').textContent = `¥${usdRate}`;
-            document.getElementById('eur-jpy').textContent = `¥${eurRate}`;
-            document.getElementById('cny-jpy').textContent = `¥${cnyRate}`;
+    const columnLabel = (index) => {
+        const header = hasHeader ? rows[0][index] : '';
+        const sample = sampleRow[index] || '';
+        return `列${index + 1}${header ? `「${header}」` : ''}${sample ? `: ${sample.slice(0, 20)}` : ''}`;
+    };
+
+    const selects = DELIVERY_BATCH_FIELDS.map(field => {
+        let options = field.required ? '' : '<option value="-1">（使わない）</option>';
+        for (let i = 0; i < columnCount; i++) {
+            options += `<option value="${i}" ${mapping[field.key] === i ? 'selected' : ''}>${escapeHtml(columnLabel(i))}</option>`;
         }
-    } catch (error) {
-        console.error('為替レート取得エラー:', error);
-        document.getElementById('usd-jpy').textContent = '取得失敗';
-        document.getElementById('eur-jpy').textContent = '取得失敗';
-        document.getElementById('cny-jpy').textContent = '取得失敗';
-    }
+        return `
+                <label>${field.label}${field.required ? '' : '（任意）'}:</label>
+                <select id="delivery-batch-column-${field.key}" class="edit-input" onchange="renderDeliveryBatchResult()">${options}</select>`;
+    }).join('');
+
+    const modal = document.createElement('div');
+    modal.className = 'edit-modal';
+    modal.innerHTML = `
+        <div class="edit-modal-content delivery-batch-modal-content">
+            <h3>納期の一括計算</h3>
+            <div class="edit-form">
+                <label class="import-settings-option">
+                    <input type="checkbox" id="delivery-batch-has-header" ${hasHeader ? 'checked' : ''} onchange="renderDeliveryBatchResult()">
+                    1行目は見出し
+                </label>
+                ${selects}
+                <div id="delivery-batch-summary" class="restore-task-info"></div>
+                <div class="delivery-batch-table-wrapper"><table id="delivery-batch-table" class="delivery-batch-table"></table></div>
+
+                <div class="edit-buttons">
+                    <button onclick="copyDeliveryBatchTSV()" id="delivery-batch-copy-btn" class="save-btn">TSVをコピー</button>
+                    <button onclick="exportDeliveryBatchExcel()" class="save-btn">Excel出力</button>
+                    <button onclick="openDeliveryBatch()" class="cancel-btn">戻る</button>
+                    <button onclick="closeDeliveryBatch()" class="cancel-btn">閉じる</button>
+                </div>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+    renderDeliveryBatchResult();
 }
 
-// ========================================
-// 納期計算機（カレンダーヘッダー用）
-// ========================================
-function calculateDelivery() {
-    const orderDateStr = document.getElementById('calc-order-date').value;
-    const leadTime = parseInt(document.getElementById('calc-lead-time').value);
+// 列の対応を読み取って計算する
+function getDeliveryBatchResult() {
+    const mapping = {};
+    DELIVERY_BATCH_FIELDS.forEach(field => {
+        mapping[field.key] = Number(document.getElementById(`delivery-batch-column-${field.key}`).value);
+    });
+    const hasHeader = document.getElementById('delivery-batch-has-header').checked;
+    return calculateDeliveryBatch(pendingDeliveryBatch.rows, hasHeader, mapping);
+}
 
-    if (!orderDateStr) {
-        alert('発注日を選択してください');
-        return;
-    }
+function renderDeliveryBatchResult() {
+    const { header, lines } = getDeliveryBatchResult();
+    const errorCount = lines.filter(line => !line.dueDate).length;
+
+    document.getElementById('delivery-batch-summary').textContent = errorCount > 0
+        ? `${lines.length}行中 ${lines.length - errorCount}行を計算しました（計算できない ${errorCount}行は備考に理由を表示）`
+        : `${lines.length}行を計算しました`;
+
+    const headerHtml = [...header, '納期', '備考'].map(name => `<th>${escapeHtml(name)}</th>`).join('');
+    const bodyHtml = lines.map(line => `
+        <tr class="${line.dueDate ? '' : 'delivery-batch-error'}">
+            ${line.fields.map(field => `<td>${escapeHtml(field)}</td>`).join('')}
+            <td class="delivery-batch-due">${line.dueDate ? formatDeliveryBatchDate(line.dueDate) : '-'}</td>
+            <td>${escapeHtml(line.note)}</td>
+        </tr>
+    `).join('');
+    document.getElementById('delivery-batch-table').innerHTML = `<thead><tr>${headerHtml}</tr></thead><tbody>${bodyHtml}</tbody>`;
+}
 
-    if (!leadTime || leadTime < 1) {
-        alert('リードタイムを入力してください');
+// 元の列に「納期」「備考」を加えたタブ区切り（Excelにそのまま貼り付けられる形）
+function copyDeliveryBatchTSV() {
+    const { header, lines } = getDeliveryBatchResult();
+    const text = [
+        [...header, '納期', '備考'],
+        ...lines.map(line => [...line.fields, line.dueDate ? formatDeliveryBatchDate(line.dueDate) : '', line.note])
+    ].map(row => row.join('\t')).join('\n');
+
+    copyToClipboard(text, () => {
+        const button = document.getElementById('delivery-batch-copy-btn');
+        button.textContent = 'コピーしました';
+        setTimeout(() => { button.textContent = 'TSVをコピー'; }, 1000);
+    });
+}
+
+function exportDeliveryBatchExcel() {
+    if (typeof XLSX === 'undefined') {
+        alert('Excel出力用のライブラリ（SheetJS）を読み込めませんでした。\nネットワーク接続を確認してページを再読み込みしてください。');
         return;
     }
 
-    const dayNames = ['日', '月', '火', '水', '木', '金', '土'];
-    // YYYY-MM-DD をローカル日付として解釈（new Date('YYYY-MM-DD')はUTC解釈されるため）
-    const [y, m, d] = orderDateStr.split('-').map(Number);
-    const orderDate = new Date(y, m - 1, d);
+    const { header, lines } = getDeliveryBatchResult();
+    const orderDateColumn = Number(document.getElementById('delivery-batch-column-orderDate').value);
+    const dueColumn = header.length;
+    const rows = [
+        [...header, '納期', '備考'],
+        ...lines.map(line => [...line.fields.map(field => /^\d+(\.\d+)?$/.test(field) ? Number(field) : field), '', line.note])
+    ];
+    const sheet = XLSX.utils.aoa_to_sheet(rows);
 
-    // 営業日計算（土日祝を除外）
-    let businessDate = new Date(orderDate);
-    let businessDays = 0;
-    while (businessDays < leadTime) {
-        businessDate.setDate(businessDate.getDate() + 1);
-        const dayOfWeek = businessDate.getDay();
-        const isHol = isHoliday(businessDate.getFullYear(), businessDate.getMonth(), businessDate.getDate());
-        if (dayOfWeek !== 0 && dayOfWeek !== 6 && !isHol) {
-            businessDays++;
+    // 発注日・納期は日付のセルにする
+    lines.forEach((line, index) => {
+        const row = index + 1;
+        if (line.orderDate) {
+            sheet[XLSX.utils.encode_cell({ r: row, c: orderDateColumn })] = { t: 'n', v: toExcelDate(line.orderDate), z: 'yyyy/mm/dd' };
         }
-    }
-
-    // 祝日考慮計算（土日は含むが祝日のみ除外）
-    let holidayAwareDate = new Date(orderDate);
-    let holidayAwareDays = 0;
-    while (holidayAwareDays < leadTime) {
-        holidayAwareDate.setDate(holidayAwareDate.getDate() + 1);
-        const isHol = isHoliday(holidayAwareDate.getFullYear(), holidayAwareDate.getMonth(), holidayAwareDate.getDate());
-        if (!isHol) {
-            holidayAwareDays++;
+        if (line.dueDate) {
+            sheet[XLSX.utils.encode_cell({ r: row, c: dueColumn })] = { t: 'n', v: toExcelDate(line.dueDate), z: 'yyyy/mm/dd' };
         }
-    }
-
-    // 暦日計算（全ての日を含む）
-    let calendarDate = new Date(orderDate);
-    calendarDate.setDate(calendarDate.getDate() + leadTime);
-
-    const formatResult = (d) => `${d.getMonth() + 1}/${d.getDate()}（${dayNames[d.getDay()]}）`;
+    });
+    sheet['!cols'] = [...header.map(() => ({ wch: 12 })), { wch: 12 }, { wch: 50 }];
 
-    document.getElementById('calc-result-business').textContent = formatResult(businessDate);
-    document.getElementById('calc-result-holiday-aware').textContent = formatResult(holidayAwareDate);
-    document.getElementById('calc-result-calendar').textContent = formatResult(calendarDate);
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, sheet, '納期');
+    XLSX.writeFile(workbook, `納期一括計算_${formatDateKey(new Date()).replace(/-/g, '')}.xlsx`);
 }
 
 // ========================================
@@ -1775,13 +5221,25 @@ function updateCountdownTimer() {
 // ========================================
 // 初期化処理
 // ========================================
-function init() {
+async function init() {
     // デバッグモード（開発時のみ）
     // コンソールで物理演算の詳細を確認したい場合は、以下のコメントを解除してください
     // window.DEBUG_SAND_PHYSICS = true;
 
+    // データストアを開く（初回はlocalStorageから移行）
+    try {
+        await dataStore.open();
+    } catch (error) {
+        console.error(error);
+        alert(`${error.message}\nこのままでは記録が保存されません。`);
+    }
+
     // 勤務時間設定を読み込み
     loadWorkTimeSettings();
+    loadClosurePeriods();
+    loadHolidaySettings();
+    loadLeaveEntries();
+    loadIdleSettings();
 
     // 時計を開始（1秒ごとに更新）
     updateClock();
@@ -1789,10 +5247,18 @@ function init() {
 
     // カレンダー表示
     renderSixMonthCalendar();
+    renderLeaveCounter();
 
     // 業務記録読み込み
     renderQuickTaskButtons();
     renderTaskRecords();
+    renderPlannedEntries();
+
+    // 保存データに壊れた記録・設定があれば知らせる
+    notifyStoredDataProblems();
+
+    // 前回記録中だったタスクの復元確認
+    restoreActiveTask();
 
     // 定型文リスト表示
     renderTemplateList();
@@ -1800,6 +5266,7 @@ function init() {
     // 納期計算機の発注日デフォルト値を今日に設定
     const today = new Date().toISOString().split('T')[0];
     document.getElementById('calc-order-date').value = today;
+    renderSupplierOptions();
 
     // 祝日データの範囲チェック
     checkHolidayDataRange();
@@ -1836,24 +5303,16 @@ const defaultTemplates = [
 
 // 定型文設定の取得
 function getTemplateSettings() {
-    const saved = localStorage.getItem('template-settings');
-    if (saved) {
-        try {
-            return JSON.parse(saved);
-        } catch (e) {
-            console.error('定型文設定の読み込みに失敗:', e);
-            localStorage.removeItem('template-settings');
-        }
-    }
-    return {
+    const stored = dataStore.getSetting('template-settings');
+    return (stored !== undefined && validateTemplateSettings(stored).value) || {
         name: '前田',
-        templates: defaultTemplates
+        templates: [...defaultTemplates]
     };
 }
 
 // 定型文設定の保存
 function saveTemplateSettings(settings) {
-    localStorage.setItem('template-settings', JSON.stringify(settings));
+    dataStore.setSetting('template-settings', settings);
 }
 
 // 今日の日付を取得（YYYY/MM/DD形式）
@@ -1894,20 +5353,22 @@ function copyTemplate(index) {
     const today = getTodayDate();
     const formattedText = `${today}（${settings.name}）${template}`;
 
-    // クリップボードにコピー
+    copyToClipboard(formattedText, () => showCopyFeedback(index));
+}
+
+// クリップボードにコピーし、成功したらonCopiedを呼ぶ
+function copyToClipboard(text, onCopied) {
     if (navigator.clipboard && navigator.clipboard.writeText) {
-        navigator.clipboard.writeText(formattedText).then(() => {
-            showCopyFeedback(index);
-        }).catch(err => {
+        navigator.clipboard.writeText(text).then(onCopied).catch(err => {
             console.error('コピー失敗:', err);
-            fallbackCopy(formattedText, index);
+            fallbackCopy(text, onCopied);
         });
     } else {
-        fallbackCopy(formattedText, index);
+        fallbackCopy(text, onCopied);
     }
 }
 
-function fallbackCopy(text, index) {
+function fallbackCopy(text, onCopied) {
     const textarea = document.createElement('textarea');
     textarea.value = text;
     textarea.style.position = 'fixed';
@@ -1916,7 +5377,7 @@ function fallbackCopy(text, index) {
     textarea.select();
     try {
         document.execCommand('copy');
-        showCopyFeedback(index);
+        onCopied();
     } catch (err) {
         alert('クリップボードへのコピーに失敗しました');
     }
@@ -2497,7 +5958,7 @@ async function processExcelFilesAuto() {
 // ========================================
 
 // 業務詳細ポップアップを開く
-function openWorkDetailModal(year, month, day) {
+async function openWorkDetailModal(year, month, day) {
     const modal = document.getElementById('work-detail-modal');
     const dateHeader = document.getElementById('work-detail-date');
     const totalWorkTime = document.getElementById('total-work-time');
@@ -2507,17 +5968,19 @@ function openWorkDetailModal(year, month, day) {
     // 日付を表示
     const dateStr = `${year}年${month + 1}月${day}日`;
     dateHeader.textContent = dateStr;
+    renderWorkDetailLeave(year, month, day);
 
-    // 業務記録を取得
-    const records = JSON.parse(localStorage.getItem('task-records') || '[]');
-    const targetDate = new Date(year, month, day);
-    const targetDateStr = targetDate.toDateString();
-
-    // その日の業務を抽出
-    const dayRecords = records.filter(record => {
-        const recordDate = new Date(record.startTime);
-        return recordDate.toDateString() === targetDateStr;
-    });
+    // その日の業務を抽出（開始日時のインデックスで検索）
+    const dayStart = new Date(year, month, day);
+    const dayEnd = new Date(year, month, day + 1);
+    let dayRecords;
+    try {
+        dayRecords = getDisplayRecords(await dataStore.getRecordsInRange(dayStart, dayEnd));
+    } catch (error) {
+        alert(error.message);
+        return;
+    }
+    dayRecords.sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
 
     if (dayRecords.length === 0) {
         // 業務がない場合
@@ -2525,13 +5988,10 @@ function openWorkDetailModal(year, month, day) {
         workCount.textContent = '0件';
         workDetailList.innerHTML = '<p class="no-data">この日の業務記録はありません</p>';
     } else {
-        // 総作業時間を計算
+        // 総作業時間を計算（休憩を除いた正味時間）
         let totalMinutes = 0;
         dayRecords.forEach(record => {
-            const start = new Date(record.startTime);
-            const end = new Date(record.endTime);
-            const duration = (end - start) / 1000 / 60; // 分単位
-            totalMinutes += duration;
+            totalMinutes += record.duration / 60; // 分単位
         });
 
         const hours = Math.floor(totalMinutes / 60);
@@ -2542,22 +6002,22 @@ function openWorkDetailModal(year, month, day) {
         // 業務リストを表示
         let html = '';
         dayRecords.forEach(record => {
-            const start = new Date(record.startTime);
-            const end = new Date(record.endTime);
-            const duration = (end - start) / 1000 / 60;
+            const duration = record.duration / 60;
             const durationHours = Math.floor(duration / 60);
             const durationMinutes = Math.floor(duration % 60);
 
-            const startTimeStr = `${String(start.getHours()).padStart(2, '0')}:${String(start.getMinutes()).padStart(2, '0')}`;
-            const endTimeStr = `${String(end.getHours()).padStart(2, '0')}:${String(end.getMinutes()).padStart(2, '0')}`;
+            // 作業区間ごとの時刻（休憩がある場合は区間を並べて表示）
+            const segments = getRecordSegments(record);
+            const breakMinutes = Math.floor(getRecordBreakSeconds(record) / 60);
+            const breakText = breakMinutes > 0 ? `（休憩 ${breakMinutes}分）` : '';
 
             html += `
                 <div class="work-detail-item">
                     <div class="work-item-header">
-                        <span class="work-item-name">${record.task}</span>
+                        <span class="work-item-name">${escapeHtml(record.task)}</span>
                         <span class="work-item-duration">${durationHours}:${String(durationMinutes).padStart(2, '0')}</span>
                     </div>
-                    <div class="work-item-time">${startTimeStr} - ${endTimeStr}</div>
+                    <div class="work-item-time">${formatSegmentRanges(segments)}${breakText}</div>
                 </div>
             `;
         });
@@ -2582,6 +6042,215 @@ document.addEventListener('click', function(e) {
     }
 });
 
+// ========================================
+// 休暇（有給・半休・特別休暇・会社休業）
+// ========================================
+let leaveEntries = []; // [{ date, type, note }]（日付順）
+let leaveEntryMap = new Map(); // 'YYYY-MM-DD' → 休暇（カレンダーのマスごと・毎秒の更新で引くため）
+
+function cacheLeaveEntries(entries) {
+    leaveEntries = entries;
+    leaveEntryMap = new Map(entries.map(entry => [entry.date, entry]));
+}
+
+function loadLeaveEntries() {
+    cacheLeaveEntries(validateLeaveEntries(dataStore.getSetting('leave-entries', [])).value || []);
+}
+
+function getLeaveEntries() {
+    return [...leaveEntries];
+}
+
+function saveLeaveEntries(entries) {
+    cacheLeaveEntries(entries);
+    dataStore.setSetting('leave-entries', entries);
+}
+
+function getLeaveSettings() {
+    const stored = dataStore.getSetting('leave-settings');
+    return (stored && validateLeaveSettings(stored).value) || { ...DEFAULT_LEAVE_SETTINGS };
+}
+
+function getLeaveEntry(date) {
+    return leaveEntryMap.get(formatDateKey(date)) || null;
+}
+
+// 休暇をその日の勤務時間に反映（全休はnull、半休は勤務する側だけ残す）
+// 半休は最初の休憩で午前・午後に分け、休憩がなければ勤務時間の真ん中で分ける
+function applyLeaveToSchedule(schedule, leave) {
+    if (!schedule || !leave) return schedule;
+    if (leave.type !== 'am-half' && leave.type !== 'pm-half') return null;
+
+    const [firstBreak] = schedule.breaks;
+    const middle = Math.round((schedule.startMinutes + schedule.endMinutes) / 2);
+    const morningEnd = firstBreak ? firstBreak.startMinutes : middle;
+    const afternoonStart = firstBreak ? firstBreak.endMinutes : middle;
+
+    if (leave.type === 'am-half') {
+        return {
+            startMinutes: afternoonStart,
+            endMinutes: schedule.endMinutes,
+            breaks: schedule.breaks.filter(item => item.startMinutes >= afternoonStart)
+        };
+    }
+    return {
+        startMinutes: schedule.startMinutes,
+        endMinutes: morningEnd,
+        breaks: schedule.breaks.filter(item => item.endMinutes <= morningEnd)
+    };
+}
+
+// 休暇・日付指定のメモ（勤務表の区分、砂時計の上の表示に使う）
+function getDayNote(date) {
+    const leave = getLeaveEntry(date);
+    return [leave && LEAVE_TYPES[leave.type].label, leave?.note, getScheduleOverride(date)?.note]
+        .filter(Boolean)
+        .join(' ');
+}
+
+// dateを含む休暇の年度（yearStartMonthの1日から1年間）
+function getLeaveYear(date, yearStartMonth) {
+    const startYear = date.getMonth() + 1 >= yearStartMonth ? date.getFullYear() : date.getFullYear() - 1;
+    return {
+        label: yearStartMonth === 1 ? `${startYear}年` : `${startYear}年度`,
+        start: new Date(startYear, yearStartMonth - 1, 1),
+        end: new Date(startYear + 1, yearStartMonth - 1, 1)
+    };
+}
+
+// 年度内の休暇の取得状況（有給は半休を0.5日で数える）
+function getLeaveUsage(date = new Date()) {
+    const settings = getLeaveSettings();
+    const leaveYear = getLeaveYear(date, settings.yearStartMonth);
+    const startKey = formatDateKey(leaveYear.start);
+    const endKey = formatDateKey(leaveYear.end);
+
+    const counts = {};
+    let usedDays = 0;
+    getLeaveEntries()
+        .filter(entry => entry.date >= startKey && entry.date < endKey)
+        .forEach(entry => {
+            counts[entry.type] = (counts[entry.type] || 0) + 1;
+            usedDays += LEAVE_TYPES[entry.type].days;
+        });
+
+    return {
+        label: leaveYear.label,
+        annualDays: settings.annualDays,
+        usedDays,
+        remainingDays: settings.annualDays - usedDays,
+        counts
+    };
+}
+
+function renderLeaveCounter() {
+    const counter = document.getElementById('leave-counter');
+    if (!counter) return;
+
+    const usage = getLeaveUsage();
+    counter.textContent = `有給 ${usage.label}: 取得 ${usage.usedDays}日 / 残り ${usage.remainingDays}日`;
+    counter.title = `${Object.entries(LEAVE_TYPES).map(([type, { label }]) => `${label} ${usage.counts[type] || 0}回`).join('、')}\n（クリックで付与日数を設定）`;
+    counter.classList.toggle('over', usage.remainingDays < 0);
+}
+
+function openLeaveSettings() {
+    closeEditModal();
+
+    const settings = getLeaveSettings();
+    const monthOptions = Array.from({ length: 12 }, (_, index) => index + 1)
+        .map(month => `<option value="${month}" ${month === settings.yearStartMonth ? 'selected' : ''}>${month}月</option>`)
+        .join('');
+
+    const modal = document.createElement('div');
+    modal.className = 'edit-modal';
+    modal.innerHTML = `
+        <div class="edit-modal-content">
+            <h3>有給休暇の設定</h3>
+            <div class="edit-form">
+                <label>年間の付与日数:</label>
+                <input type="number" id="leave-annual-days" value="${settings.annualDays}" min="0" max="366" step="0.5" class="edit-input">
+
+                <label>年度の始まり:</label>
+                <select id="leave-year-start" class="edit-input">${monthOptions}</select>
+
+                <div class="restore-task-info">
+                    有給は1日、午前半休・午後半休は0.5日として数えます。特別休暇・会社休業は有給の日数に含めません。
+                </div>
+
+                <div class="edit-buttons">
+                    <button onclick="saveLeaveSettings()" class="save-btn">保存</button>
+                    <button onclick="closeEditModal()" class="cancel-btn">キャンセル</button>
+                </div>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+}
+
+function saveLeaveSettings() {
+    const settings = {
+        annualDays: Number(document.getElementById('leave-annual-days').value),
+        yearStartMonth: Number(document.getElementById('leave-year-start').value)
+    };
+    if (!validateLeaveSettings(settings).value) {
+        alert('付与日数は0～366日の範囲で、0.5日単位で入力してください');
+        return;
+    }
+
+    dataStore.setSetting('leave-settings', settings);
+    renderLeaveCounter();
+    closeEditModal();
+}
+
+// 業務詳細ポップアップの勤務時間と休暇の欄
+function renderWorkDetailLeave(year, month, day) {
+    const container = document.getElementById('work-detail-leave');
+    if (!container) return;
+
+    const date = new Date(year, month, day);
+    const leave = getLeaveEntry(date);
+    const schedule = getWorkSchedule(date);
+    const typeOptions = Object.entries(LEAVE_TYPES)
+        .map(([type, { label }]) => `<option value="${type}" ${leave?.type === type ? 'selected' : ''}>${label}</option>`)
+        .join('');
+
+    container.innerHTML = `
+        <div class="work-detail-schedule">勤務: ${escapeHtml(schedule ? formatDaySchedule(schedule) : '休み')}</div>
+        <div class="work-detail-leave-form">
+            <select id="work-detail-leave-type">
+                <option value="">休暇なし</option>
+                ${typeOptions}
+            </select>
+            <input type="text" id="work-detail-leave-note" value="${escapeHtml(leave?.note || '')}" placeholder="メモ（理由など）">
+            <button onclick="saveWorkDetailLeave(${year}, ${month}, ${day})" class="time-save-btn">保存</button>
+        </div>
+    `;
+}
+
+function saveWorkDetailLeave(year, month, day) {
+    const type = document.getElementById('work-detail-leave-type').value;
+    const note = document.getElementById('work-detail-leave-note').value.trim();
+    const key = formatDateKey(new Date(year, month, day));
+
+    const entries = getLeaveEntries().filter(entry => entry.date !== key);
+    if (type) {
+        entries.push({ date: key, type, note });
+        entries.sort((a, b) => a.date.localeCompare(b.date));
+    }
+    saveLeaveEntries(entries);
+
+    renderWorkDetailLeave(year, month, day);
+    renderLeaveDependents();
+}
+
+// 休暇の変更を画面に反映（カレンダー・取得日数・砂時計）
+function renderLeaveDependents() {
+    renderSixMonthCalendar();
+    renderLeaveCounter();
+    updateWorkTimeDisplay();
+}
+
 // ========================================
 // 全設定の統合保存・読み込み機能
 // ========================================
@@ -2592,12 +6261,20 @@ function exportAllSettings() {
         version: '1.0',
         exportDate: new Date().toISOString(),
         settings: {
-            workTimeSettings: JSON.parse(localStorage.getItem('work-time-settings') || 'null'),
-            quickTasks: JSON.parse(localStorage.getItem('quick-tasks') || '[]'),
-            taskRecords: JSON.parse(localStorage.getItem('task-records') || '[]'),
-            templateSettings: JSON.parse(localStorage.getItem('template-settings') || 'null'),
-            inventoryMemo: localStorage.getItem('inventory-memo') || '',
-            orderList: JSON.parse(localStorage.getItem('order-list') || '[]')
+            workTimeSettings: dataStore.getSetting('work-time-settings'),
+            quickTasks: dataStore.getSetting('quick-tasks', []),
+            taskRecords: getTaskRecords(),
+            templateSettings: dataStore.getSetting('template-settings'),
+            idleSettings: dataStore.getSetting('idle-settings'),
+            inventoryMemo: dataStore.getSetting('inventory-memo', ''),
+            orderList: dataStore.getSetting('order-list', []),
+            plannedEntries: getPlannedEntries(),
+            leaveEntries: getLeaveEntries(),
+            leaveSettings: dataStore.getSetting('leave-settings'),
+            closurePeriods,
+            holidayOverrides,
+            holidayList: dataStore.getSetting('holiday-list'),
+            supplierProfiles: getSupplierProfiles()
         }
     };
 
@@ -2619,11 +6296,8 @@ function exportAllSettings() {
 }
 
 // 全設定をインポート
+// 業務記録の読み込み方法はインポートウィザードで選ぶ
 function importAllSettings() {
-    if (!confirm('全設定を読み込みますか？\n現在の設定は上書きされます。')) {
-        return;
-    }
-
     const input = document.createElement('input');
     input.type = 'file';
     input.accept = '.json';
@@ -2642,41 +6316,8 @@ function importAllSettings() {
                     return;
                 }
 
-                // 各設定を復元
-                const settings = data.settings;
-
-                if (settings.workTimeSettings) {
-                    localStorage.setItem('work-time-settings', JSON.stringify(settings.workTimeSettings));
-                    loadWorkTimeSettings();
-                }
-
-                if (settings.quickTasks) {
-                    localStorage.setItem('quick-tasks', JSON.stringify(settings.quickTasks));
-                    renderQuickTaskButtons();
-                }
-
-                if (settings.taskRecords) {
-                    localStorage.setItem('task-records', JSON.stringify(settings.taskRecords));
-                    renderTaskRecords();
-                }
-
-                if (settings.templateSettings) {
-                    localStorage.setItem('template-settings', JSON.stringify(settings.templateSettings));
-                    renderTemplateList();
-                }
-
-                if (settings.inventoryMemo !== undefined) {
-                    localStorage.setItem('inventory-memo', settings.inventoryMemo);
-                }
-
-                if (settings.orderList) {
-                    localStorage.setItem('order-list', JSON.stringify(settings.orderList));
-                }
-
-                // カレンダーを再描画（業務記録の反映）
-                renderSixMonthCalendar();
-
-                alert('全設定を読み込みました');
+                const { taskRecords, ...settings } = data.settings;
+                openImportWizard({ records: taskRecords, settings });
             } catch (error) {
                 alert('ファイルの読み込みに失敗しました');
                 console.error(error);
@@ -2695,12 +6336,22 @@ function importAllSettings() {
 
 // ブラウザを閉じる前に警告を表示
 window.addEventListener('beforeunload', function(e) {
+    // 記録中タスクの最終確認時刻を残す
+    saveActiveTask();
+
     // 標準的な警告メッセージ
     e.preventDefault();
     e.returnValue = ''; // Chrome では空文字列を設定する必要がある
     return ''; // 一部のブラウザ向け
 });
 
+// タブが非表示になる時点でも最終確認時刻を残す（タブ破棄・スリープ対策）
+document.addEventListener('visibilitychange', function() {
+    if (document.visibilityState === 'hidden') {
+        saveActiveTask();
+    }
+});
+
 // ========================================
 // 通知音機能
 // ========================================
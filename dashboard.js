@@ -1,56 +1,182 @@
 // ========================================
 // データ取得
 // ========================================
+// 壊れた記録は修復した形で集計し、修復できないものは除く（validation.js）
 function getTaskRecords() {
-    const data = localStorage.getItem('task-records');
-    if (data) {
-        try {
-            return JSON.parse(data);
-        } catch (e) {
-            console.error('業務記録の読み込みに失敗:', e);
-            localStorage.removeItem('task-records');
-        }
+    return dataStore.getRecords().map(record => validateRecord(record).value).filter(Boolean);
+}
+
+// 記録の作業区間を取得（segmentsを持たない記録は開始～終了の1区間として扱う）
+function getRecordSegments(record) {
+    if (Array.isArray(record.segments) && record.segments.length > 0) {
+        return record.segments;
     }
-    return [];
+    return [{ start: record.startTime, end: record.endTime }];
 }
 
 // ========================================
 // 日付フィルタリング
 // ========================================
 let currentPeriod = 'today';
+let customRange = null; // 指定期間 { start, end }（endはその日を含まない翌日0時）
+let compareEnabled = false;
 
-function filterRecordsByPeriod(records, period) {
-    const now = new Date();
-    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+const PERIOD_DAY_NAMES = ['日', '月', '火', '水', '木', '金', '土'];
+
+function startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+function diffDays(start, end) {
+    return Math.round((startOfDay(end) - startOfDay(start)) / 86400000);
+}
+
+// 年度の始まりの月（有給休暇の設定と同じ）
+function getFiscalYearStartMonth() {
+    const stored = dataStore.getSetting('leave-settings');
+    return ((stored && validateLeaveSettings(stored).value) || DEFAULT_LEAVE_SETTINGS).yearStartMonth;
+}
 
-    switch(period) {
+// 進行中の期間は、前の期間も期首から同じ日数までにそろえる（今月1～10日なら先月1～10日）
+function getPreviousRange(start, end, previousStart, now) {
+    const elapsedEnd = now < end ? addDays(now, 1) : end;
+    const previousEnd = addDays(previousStart, diffDays(start, elapsedEnd));
+    return { start: previousStart, end: previousEnd < start ? previousEnd : start };
+}
+
+/**
+ * 期間の範囲と、比較に使う前の期間
+ * @param {string} period - today / week（直近7日）/ days-30 / days-90 / this-week / last-week / month / last-month / quarter / fiscal-year / custom / all
+ * @returns {{ start: Date, end: Date, previous: { start: Date, end: Date } | null } | null} endは含まない。全期間はnull
+ */
+function getPeriodRange(period, now = new Date()) {
+    const today = startOfDay(now);
+    const mondayOffset = (today.getDay() + 6) % 7;
+
+    switch (period) {
         case 'today':
-            return records.filter(record => {
-                const recordDate = new Date(record.startTime);
-                return recordDate >= today;
-            });
+            return { start: today, end: addDays(today, 1), previous: { start: addDays(today, -1), end: today } };
 
         case 'week':
-            const weekAgo = new Date(today);
-            weekAgo.setDate(weekAgo.getDate() - 7);
-            return records.filter(record => {
-                const recordDate = new Date(record.startTime);
-                return recordDate >= weekAgo;
-            });
+        case 'days-30':
+        case 'days-90': {
+            const days = period === 'week' ? 7 : Number(period.slice(5));
+            const start = addDays(today, 1 - days);
+            return { start, end: addDays(today, 1), previous: { start: addDays(start, -days), end: start } };
+        }
 
-        case 'month':
-            const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
-            return records.filter(record => {
-                const recordDate = new Date(record.startTime);
-                return recordDate >= monthStart;
-            });
+        case 'this-week': {
+            const start = addDays(today, -mondayOffset);
+            const end = addDays(start, 7);
+            return { start, end, previous: getPreviousRange(start, end, addDays(start, -7), now) };
+        }
+
+        case 'last-week': {
+            const start = addDays(today, -mondayOffset - 7);
+            return { start, end: addDays(start, 7), previous: { start: addDays(start, -7), end: start } };
+        }
+
+        case 'month': {
+            const start = new Date(now.getFullYear(), now.getMonth(), 1);
+            const end = new Date(now.getFullYear(), now.getMonth() + 1, 1);
+            return { start, end, previous: getPreviousRange(start, end, new Date(now.getFullYear(), now.getMonth() - 1, 1), now) };
+        }
+
+        case 'last-month': {
+            const start = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+            const end = new Date(now.getFullYear(), now.getMonth(), 1);
+            return { start, end, previous: { start: new Date(now.getFullYear(), now.getMonth() - 2, 1), end: start } };
+        }
+
+        // 四半期は年度の始まりから3ヶ月ずつ
+        case 'quarter': {
+            const fiscalStartMonth = getFiscalYearStartMonth() - 1;
+            const monthsIntoQuarter = ((now.getMonth() - fiscalStartMonth) % 3 + 3) % 3;
+            const start = new Date(now.getFullYear(), now.getMonth() - monthsIntoQuarter, 1);
+            const end = new Date(start.getFullYear(), start.getMonth() + 3, 1);
+            return { start, end, previous: getPreviousRange(start, end, new Date(start.getFullYear(), start.getMonth() - 3, 1), now) };
+        }
+
+        case 'fiscal-year': {
+            const fiscalStartMonth = getFiscalYearStartMonth() - 1;
+            const year = now.getMonth() >= fiscalStartMonth ? now.getFullYear() : now.getFullYear() - 1;
+            const start = new Date(year, fiscalStartMonth, 1);
+            const end = new Date(year + 1, fiscalStartMonth, 1);
+            return { start, end, previous: getPreviousRange(start, end, new Date(year - 1, fiscalStartMonth, 1), now) };
+        }
 
-        case 'all':
-            return records;
+        // 指定期間の前の期間は、直前の同じ日数
+        case 'custom': {
+            if (!customRange) return null;
+            const days = diffDays(customRange.start, customRange.end);
+            return { ...customRange, previous: { start: addDays(customRange.start, -days), end: customRange.start } };
+        }
 
         default:
-            return records;
+            return null;
+    }
+}
+
+// 開始時刻が範囲内の記録（範囲がnullなら全件）
+function filterRecordsByRange(records, range) {
+    if (!range) return records;
+    return records.filter(record => {
+        const recordDate = new Date(record.startTime);
+        return recordDate >= range.start && recordDate < range.end;
+    });
+}
+
+function filterRecordsByPeriod(records, period) {
+    return filterRecordsByRange(records, getPeriodRange(period));
+}
+
+// 「2025/1/6（月）～1/12（日）」のような期間の表示（endは含まないため前日まで）
+function formatRange(range) {
+    const last = addDays(range.end, -1);
+    const format = (date, withYear) => `${withYear ? `${date.getFullYear()}/` : ''}${date.getMonth() + 1}/${date.getDate()}（${PERIOD_DAY_NAMES[date.getDay()]}）`;
+    if (diffDays(range.start, last) <= 0) return format(range.start, true);
+    return `${format(range.start, true)}～${format(last, last.getFullYear() !== range.start.getFullYear())}`;
+}
+
+// 比較する前の期間（比較しない・全期間ならnull）
+function getComparisonRange() {
+    if (!compareEnabled) return null;
+    return getPeriodRange(currentPeriod)?.previous || null;
+}
+
+function updatePeriodLabel() {
+    const range = getPeriodRange(currentPeriod);
+    const previous = getComparisonRange();
+    const label = document.getElementById('period-range-label');
+    if (!range) {
+        label.textContent = compareEnabled ? '全期間（前の期間と比較できません）' : '全期間';
+        return;
     }
+    label.textContent = previous ? `${formatRange(range)}　比較: ${formatRange(previous)}` : formatRange(range);
+}
+
+// ========================================
+// 前の期間との比較
+// ========================================
+// 増減「+1時間20分（+25.0%）」。前の期間が0なら割合の代わりに「新規」
+function formatDelta(current, previous, format) {
+    const diff = current - previous;
+    const sign = diff > 0 ? '+' : diff < 0 ? '-' : '±';
+    let percent;
+    if (previous > 0) {
+        const value = (diff / previous) * 100;
+        percent = `${value > 0 ? '+' : ''}${value.toFixed(1)}%`;
+    } else {
+        percent = current > 0 ? '新規' : '-';
+    }
+    return {
+        text: `${sign}${format(Math.abs(diff))}（${percent}）`,
+        className: diff > 0 ? 'delta-up' : diff < 0 ? 'delta-down' : 'delta-even'
+    };
 }
 
 // ========================================
@@ -79,32 +205,125 @@ function aggregateByTask(records) {
 }
 
 // ========================================
-// 日別集計（過去7日間）
+// 期間の推移（日別・週別・月別、業務ごとの積み上げ）
 // ========================================
-function aggregateByDay() {
-    const records = getTaskRecords();
-    const dailyMap = {};
-    const today = new Date();
-
-    // 過去7日間の日付を初期化
-    for (let i = 6; i >= 0; i--) {
-        const date = new Date(today);
-        date.setDate(date.getDate() - i);
-        const dateStr = `${date.getMonth() + 1}/${date.getDate()}`;
-        dailyMap[dateStr] = 0;
+// 範囲が長いときは週・月でまとめる（日数の上限）
+const DAILY_BUCKET_MAX_DAYS = 62;
+const WEEKLY_BUCKET_MAX_DAYS = 182;
+// 積み上げる業務の数（それ以外は「その他」）
+const STACKED_TASK_LIMIT = 7;
+const TASK_COLORS = ['#5a7a5a', '#5a6a8a', '#8a7a4a', '#7a5a8a', '#4a7a7a', '#8a5a5a', '#6a8a4a'];
+const OTHER_TASK_COLOR = '#4a4a4a';
+
+const BUCKET_UNIT_LABELS = { day: '日別', week: '週別', month: '月別' };
+
+function formatDateKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// グラフに使う範囲（全期間は最初の記録から今日まで、記録がなければ直近7日）
+function getChartRange(records) {
+    const range = getPeriodRange(currentPeriod);
+    if (range) return range;
+
+    const today = startOfDay(new Date());
+    if (records.length === 0) return { start: addDays(today, -6), end: addDays(today, 1) };
+    const first = records.reduce((min, record) => Math.min(min, new Date(record.startTime).getTime()), Infinity);
+    return { start: startOfDay(new Date(first)), end: addDays(today, 1) };
+}
+
+function chooseBucketUnit(range) {
+    const days = diffDays(range.start, range.end);
+    if (days <= DAILY_BUCKET_MAX_DAYS) return 'day';
+    if (days <= WEEKLY_BUCKET_MAX_DAYS) return 'week';
+    return 'month';
+}
+
+// 日時が属する区切りの開始日（週は月曜始まり）
+function getBucketStart(date, unit) {
+    const day = startOfDay(date);
+    if (unit === 'week') return addDays(day, -((day.getDay() + 6) % 7));
+    if (unit === 'month') return new Date(day.getFullYear(), day.getMonth(), 1);
+    return day;
+}
+
+function getNextBucketStart(start, unit) {
+    if (unit === 'week') return addDays(start, 7);
+    if (unit === 'month') return new Date(start.getFullYear(), start.getMonth() + 1, 1);
+    return addDays(start, 1);
+}
+
+/**
+ * 範囲内の作業時間を日・週・月ごと、業務ごとに集計する
+ * 作業区間単位で数え（休憩は含めない）、日付をまたぐ区間は日ごとに分割する
+ * @returns {{ key: string, start: Date, totalSeconds: number, byTask: Object<string, number>, records: Object[] }[]} keyは区切りの開始日（YYYY-MM-DD）
+ */
+function aggregateByDay(records, range, unit = 'day') {
+    const buckets = [];
+    const bucketMap = {};
+    for (let start = getBucketStart(range.start, unit); start < range.end; start = getNextBucketStart(start, unit)) {
+        const bucket = { key: formatDateKey(start), start, totalSeconds: 0, byTask: {}, records: [] };
+        buckets.push(bucket);
+        bucketMap[bucket.key] = bucket;
     }
 
-    // 記録を集計
     records.forEach(record => {
-        const recordDate = new Date(record.startTime);
-        const dateStr = `${recordDate.getMonth() + 1}/${recordDate.getDate()}`;
+        getRecordSegments(record).forEach(segment => {
+            let cursor = new Date(Math.max(new Date(segment.start), range.start));
+            const segmentEnd = new Date(Math.min(new Date(segment.end), range.end));
 
-        if (dailyMap.hasOwnProperty(dateStr)) {
-            dailyMap[dateStr] += record.duration;
-        }
+            while (cursor < segmentEnd) {
+                const nextDay = new Date(cursor.getFullYear(), cursor.getMonth(), cursor.getDate() + 1);
+                const sliceEnd = segmentEnd < nextDay ? segmentEnd : nextDay;
+                const bucket = bucketMap[formatDateKey(getBucketStart(cursor, unit))];
+
+                if (bucket) {
+                    const seconds = Math.floor((sliceEnd - cursor) / 1000);
+                    bucket.totalSeconds += seconds;
+                    bucket.byTask[record.task] = (bucket.byTask[record.task] || 0) + seconds;
+                    if (!bucket.records.includes(record)) bucket.records.push(record);
+                }
+                cursor = sliceEnd;
+            }
+        });
     });
 
-    return dailyMap;
+    return buckets;
+}
+
+// 区切りの表示名（日: 12/7、週: 12/7～、月: 2025/12）。年が変わる最初の区切りには年を付ける
+function formatBucketLabel(bucket, unit, previous) {
+    const start = bucket.start;
+    const showYear = !previous || previous.start.getFullYear() !== start.getFullYear();
+    if (unit === 'month') return `${start.getFullYear()}/${start.getMonth() + 1}`;
+    const label = `${showYear ? `${start.getFullYear()}/` : ''}${start.getMonth() + 1}/${start.getDate()}`;
+    return unit === 'week' ? `${label}～` : label;
+}
+
+// 積み上げる業務（期間の合計が多い順）と色。入りきらない業務は「その他」にまとめる
+function getStackedTasks(buckets) {
+    const totals = {};
+    buckets.forEach(bucket => {
+        Object.entries(bucket.byTask).forEach(([task, seconds]) => {
+            totals[task] = (totals[task] || 0) + seconds;
+        });
+    });
+    const ranked = Object.keys(totals).sort((a, b) => totals[b] - totals[a]);
+    const stacked = ranked.slice(0, STACKED_TASK_LIMIT).map((task, index) => ({ task, color: TASK_COLORS[index], seconds: totals[task] }));
+    const others = ranked.slice(STACKED_TASK_LIMIT);
+    if (others.length > 0) {
+        stacked.push({ task: 'その他', color: OTHER_TASK_COLOR, seconds: others.reduce((sum, task) => sum + totals[task], 0), others });
+    }
+    return stacked;
+}
+
+function renderChartLegend(stackedTasks) {
+    const legend = document.getElementById('daily-chart-legend');
+    legend.innerHTML = stackedTasks.map(item => `
+        <span class="chart-legend-item" title="${escapeHtml(item.others ? item.others.join('、') : item.task)}">
+            <span class="chart-legend-color" style="background: ${item.color};"></span>${escapeHtml(item.task)}
+        </span>
+    `).join('');
 }
 
 // ========================================
@@ -128,26 +347,58 @@ function formatDurationForChart(seconds) {
 // ========================================
 // サマリーカード更新
 // ========================================
+// 期間の業務時間・記録のある日の1日平均・最も時間を使った業務・記録数
+function summarizeRecords(records) {
+    const totalSeconds = records.reduce((sum, r) => sum + r.duration, 0);
+    const workDays = new Set(records.map(record => startOfDay(new Date(record.startTime)).getTime())).size;
+    const taskAgg = aggregateByTask(records);
+    return {
+        totalSeconds,
+        averageSeconds: workDays > 0 ? Math.floor(totalSeconds / workDays) : 0,
+        topTask: taskAgg.length > 0 ? taskAgg[0] : null,
+        count: records.length
+    };
+}
+
 function updateSummaryCards() {
     const allRecords = getTaskRecords();
+    const current = summarizeRecords(filterRecordsByRange(allRecords, getPeriodRange(currentPeriod)));
+    const previousRange = getComparisonRange();
+    const previous = previousRange ? summarizeRecords(filterRecordsByRange(allRecords, previousRange)) : null;
 
-    // 今日の合計
-    const todayRecords = filterRecordsByPeriod(allRecords, 'today');
-    const todayTotal = todayRecords.reduce((sum, r) => sum + r.duration, 0);
-    document.getElementById('today-total').textContent = formatDuration(todayTotal);
+    document.getElementById('period-total').textContent = formatDuration(current.totalSeconds);
+    document.getElementById('period-average').textContent = formatDuration(current.averageSeconds);
+    document.getElementById('top-task').textContent = current.topTask ? current.topTask.task : '-';
+    document.getElementById('total-records').textContent = `${current.count}件`;
 
-    // 今週の合計
-    const weekRecords = filterRecordsByPeriod(allRecords, 'week');
-    const weekTotal = weekRecords.reduce((sum, r) => sum + r.duration, 0);
-    document.getElementById('week-total').textContent = formatDuration(weekTotal);
+    const formatCount = (count) => `${count}件`;
+    const setCompare = (id, html) => {
+        const element = document.getElementById(`${id}-compare`);
+        element.style.display = previous ? '' : 'none';
+        element.innerHTML = html;
+    };
+    if (!previous) {
+        ['period-total', 'period-average', 'top-task', 'total-records'].forEach(id => setCompare(id, ''));
+        return;
+    }
 
-    // 最も時間を使った業務（全期間）
-    const taskAgg = aggregateByTask(allRecords);
-    const topTask = taskAgg.length > 0 ? taskAgg[0].task : '-';
-    document.getElementById('top-task').textContent = topTask;
+    const deltaHtml = (currentValue, previousValue, format) => {
+        const delta = formatDelta(currentValue, previousValue, format);
+        return `前: ${format(previousValue)} <span class="${delta.className}">${delta.text}</span>`;
+    };
+    setCompare('period-total', deltaHtml(current.totalSeconds, previous.totalSeconds, formatDuration));
+    setCompare('period-average', deltaHtml(current.averageSeconds, previous.averageSeconds, formatDuration));
+    setCompare('total-records', deltaHtml(current.count, previous.count, formatCount));
+    setCompare('top-task', `前: ${previous.topTask ? escapeHtml(previous.topTask.task) : '-'}`);
+}
 
-    // 総記録数
-    document.getElementById('total-records').textContent = `${allRecords.length}件`;
+function escapeHtml(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
 }
 
 // ========================================
@@ -155,15 +406,30 @@ function updateSummaryCards() {
 // ========================================
 function updateTaskTable() {
     const records = getTaskRecords();
-    const filteredRecords = filterRecordsByPeriod(records, currentPeriod);
+    const filteredRecords = filterRecordsByRange(records, getPeriodRange(currentPeriod));
     const taskAgg = aggregateByTask(filteredRecords);
+    const previousRange = getComparisonRange();
+    const previousAgg = previousRange ? aggregateByTask(filterRecordsByRange(records, previousRange)) : null;
+
+    document.querySelectorAll('.data-table .compare-col').forEach(th => {
+        th.style.display = previousAgg ? '' : 'none';
+    });
+    const columnCount = previousAgg ? 7 : 5;
 
     const tbody = document.getElementById('task-table-body');
 
-    if (taskAgg.length === 0) {
+    // 比較時は前の期間にだけある業務も0として並べる
+    const rows = [...taskAgg];
+    if (previousAgg) {
+        previousAgg.forEach(task => {
+            if (!rows.some(row => row.task === task.task)) rows.push({ task: task.task, count: 0, totalSeconds: 0 });
+        });
+    }
+
+    if (rows.length === 0) {
         tbody.innerHTML = `
             <tr>
-                <td colspan="5" style="text-align: center; color: #606060; padding: 20px;">
+                <td colspan="${columnCount}" style="text-align: center; color: #606060; padding: 20px;">
                     データがありません
                 </td>
             </tr>
@@ -174,17 +440,26 @@ function updateTaskTable() {
     const totalSeconds = taskAgg.reduce((sum, t) => sum + t.totalSeconds, 0);
 
     let html = '';
-    taskAgg.forEach(task => {
-        const avgSeconds = Math.floor(task.totalSeconds / task.count);
-        const percentage = ((task.totalSeconds / totalSeconds) * 100).toFixed(1);
+    rows.forEach(task => {
+        const avgSeconds = task.count > 0 ? Math.floor(task.totalSeconds / task.count) : 0;
+        const percentage = totalSeconds > 0 ? ((task.totalSeconds / totalSeconds) * 100).toFixed(1) : '0.0';
+
+        let compareCells = '';
+        if (previousAgg) {
+            const previousSeconds = previousAgg.find(item => item.task === task.task)?.totalSeconds || 0;
+            const delta = formatDelta(task.totalSeconds, previousSeconds, formatDuration);
+            compareCells = `
+                <td>${formatDuration(previousSeconds)}</td>
+                <td class="${delta.className}">${delta.text}</td>`;
+        }
 
         html += `
             <tr>
-                <td class="task-name">${task.task}</td>
+                <td class="task-name">${escapeHtml(task.task)}</td>
                 <td class="count">${task.count}回</td>
                 <td>${formatDuration(task.totalSeconds)}</td>
                 <td>${formatDuration(avgSeconds)}</td>
-                <td class="percentage">${percentage}%</td>
+                <td class="percentage">${percentage}%</td>${compareCells}
             </tr>
         `;
     });
@@ -195,16 +470,55 @@ function updateTaskTable() {
 // ========================================
 // グラフ描画（シンプルなCanvas実装）
 // ========================================
-let taskChart = null;
-let dailyChart = null;
+// 業務名の幅（これを超える名前は「…」で省略し、ツールチップで全体を表示）
+const TASK_LABEL_MIN_WIDTH = 60;
+const TASK_LABEL_MAX_RATIO = 0.35;
+
+// マウス判定用の領域（canvasのid → [{ key, x, y, width, height, tooltip, onClick }]）
+const chartHitAreas = {};
+// マウスが乗っている領域のkey（canvasのid → key）
+const hoveredChartKeys = {};
+// 最後に集計したグラフのデータ（canvasのid → データ）。マウス操作では集計し直さずに描き直す
+const chartData = {};
+
+// 幅に収まらない文字列を「…」で省略する
+function fitText(ctx, text, maxWidth) {
+    if (ctx.measureText(text).width <= maxWidth) return text;
+    let fitted = text;
+    while (fitted.length > 0 && ctx.measureText(`${fitted}…`).width > maxWidth) {
+        fitted = fitted.slice(0, -1);
+    }
+    return `${fitted}…`;
+}
+
+function formatShare(seconds, totalSeconds) {
+    return totalSeconds > 0 ? `${(seconds / totalSeconds * 100).toFixed(1)}%` : '0%';
+}
+
+// マウスが乗っている領域を枠で強調する
+function drawChartHighlight(ctx, canvasId) {
+    const area = (chartHitAreas[canvasId] || []).find(item => item.key === hoveredChartKeys[canvasId]);
+    if (!area) return;
+    ctx.strokeStyle = '#d8d8d8';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(area.x + 1, area.y + 1, area.width - 2, area.height - 2);
+}
 
 function drawTaskChart() {
     const records = getTaskRecords();
-    const filteredRecords = filterRecordsByPeriod(records, currentPeriod);
-    const taskAgg = aggregateByTask(filteredRecords);
+    const range = getPeriodRange(currentPeriod);
+    const filteredRecords = filterRecordsByRange(records, range);
+    chartData['task-chart'] = { range, taskAgg: aggregateByTask(filteredRecords) };
+    paintTaskChart();
+}
+
+// 集計済みのデータで業務別グラフを描く
+function paintTaskChart() {
+    const { range, taskAgg } = chartData['task-chart'];
 
     const canvas = document.getElementById('task-chart');
     const noDataMsg = document.getElementById('no-data-message');
+    chartHitAreas['task-chart'] = [];
 
     if (taskAgg.length === 0) {
         canvas.style.display = 'none';
@@ -223,30 +537,36 @@ function drawTaskChart() {
     // 上位8件まで表示（コンパクト化）
     const topTasks = taskAgg.slice(0, 8);
     const maxSeconds = Math.max(...topTasks.map(t => t.totalSeconds));
+    const periodSeconds = taskAgg.reduce((sum, task) => sum + task.totalSeconds, 0);
 
-    // 棒グラフ描画（コンパクト化）
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.font = '11px -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif';
+
+    // 棒グラフ描画（コンパクト化）。業務名の幅は名前の長さに合わせる
     const barHeight = 20;
     const barSpacing = 6;
-    const leftMargin = 120;
+    const labelWidth = Math.min(
+        Math.max(...topTasks.map(task => ctx.measureText(task.task).width), TASK_LABEL_MIN_WIDTH),
+        canvas.width * TASK_LABEL_MAX_RATIO
+    );
+    const leftMargin = labelWidth + 16;
     const rightMargin = 80;
     const chartWidth = canvas.width - leftMargin - rightMargin;
 
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
-    ctx.font = '11px -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif';
-
     topTasks.forEach((task, index) => {
         const y = index * (barHeight + barSpacing) + 10;
         const barWidth = (task.totalSeconds / maxSeconds) * chartWidth;
+        const hovered = hoveredChartKeys['task-chart'] === task.task;
 
         // 業務名
-        ctx.fillStyle = '#c8c8c8';
+        ctx.fillStyle = hovered ? '#e8e8e8' : '#c8c8c8';
         ctx.textAlign = 'right';
-        ctx.fillText(task.task, leftMargin - 8, y + barHeight / 2 + 3);
+        ctx.fillText(fitText(ctx, task.task, labelWidth), leftMargin - 8, y + barHeight / 2 + 3);
 
         // バー
         const gradient = ctx.createLinearGradient(leftMargin, 0, leftMargin + barWidth, 0);
-        gradient.addColorStop(0, '#4a5a4a');
-        gradient.addColorStop(1, '#5a7a5a');
+        gradient.addColorStop(0, hovered ? '#5a6a5a' : '#4a5a4a');
+        gradient.addColorStop(1, hovered ? '#6a9a6a' : '#5a7a5a');
         ctx.fillStyle = gradient;
         ctx.fillRect(leftMargin, y, barWidth, barHeight);
 
@@ -254,20 +574,66 @@ function drawTaskChart() {
         ctx.fillStyle = '#d8d8d8';
         ctx.textAlign = 'left';
         ctx.fillText(formatDuration(task.totalSeconds), leftMargin + barWidth + 8, y + barHeight / 2 + 3);
+
+        // 業務名から時間表示までの行全体をマウス判定の対象にする
+        chartHitAreas['task-chart'].push({
+            key: task.task,
+            x: 0,
+            y: y - barSpacing / 2,
+            width: canvas.width,
+            height: barHeight + barSpacing,
+            tooltip: [
+                task.task,
+                `合計 ${formatDuration(task.totalSeconds)}`,
+                `${task.count}件・${formatShare(task.totalSeconds, periodSeconds)}`
+            ].join('\n'),
+            onClick: () => openRecordList(
+                `${task.task}の記録（${range ? formatRange(range) : '全期間'}）`,
+                latestRecords => filterRecordsByRange(latestRecords, range).filter(record => record.task === task.task)
+            )
+        });
     });
+
+    drawChartHighlight(ctx, 'task-chart');
+}
+
+// 区切りの範囲の表示（日: 2025/12/7(日)、週: 2025/12/7～12/13、月: 2025年12月）
+function formatBucketRange(bucket, unit) {
+    const start = bucket.start;
+    const date = `${start.getFullYear()}/${start.getMonth() + 1}/${start.getDate()}`;
+    if (unit === 'month') return `${start.getFullYear()}年${start.getMonth() + 1}月`;
+    if (unit === 'week') {
+        const last = addDays(start, 6);
+        return `${date}～${last.getMonth() + 1}/${last.getDate()}`;
+    }
+    return `${date}(${PERIOD_DAY_NAMES[start.getDay()]})`;
 }
 
 function drawDailyChart() {
-    const dailyData = aggregateByDay();
+    const records = getTaskRecords();
+    const range = getChartRange(records);
+    const unit = chooseBucketUnit(range);
+    const buckets = aggregateByDay(records, range, unit);
+    const stackedTasks = getStackedTasks(buckets);
+    chartData['daily-chart'] = { unit, buckets, stackedTasks };
+
+    document.getElementById('daily-chart-title').textContent = `業務時間の推移（${BUCKET_UNIT_LABELS[unit]}）`;
+    renderChartLegend(stackedTasks);
+    paintDailyChart();
+}
+
+// 集計済みのデータで推移グラフを描く
+function paintDailyChart() {
+    const { unit, buckets, stackedTasks } = chartData['daily-chart'];
+    chartHitAreas['daily-chart'] = [];
+
     const canvas = document.getElementById('daily-chart');
     const ctx = canvas.getContext('2d');
     const container = canvas.parentElement;
     canvas.width = container.clientWidth;
     canvas.height = container.clientHeight;
 
-    const dates = Object.keys(dailyData);
-    const values = Object.values(dailyData);
-    const maxSeconds = Math.max(...values, 1);
+    const maxSeconds = Math.max(...buckets.map(bucket => bucket.totalSeconds), 1);
 
     const leftMargin = 40;
     const rightMargin = 15;
@@ -296,47 +662,857 @@ function drawDailyChart() {
         ctx.fillText(`${hours}h`, leftMargin - 4, y + 3);
     }
 
-    // バー描画
-    const barWidth = chartWidth / dates.length * 0.7;
-    const barSpacing = chartWidth / dates.length;
+    // バー描画（業務ごとに下から積み上げ）
+    const barWidth = chartWidth / buckets.length * 0.7;
+    const barSpacing = chartWidth / buckets.length;
+    // 日付ラベルが重ならないよう間引く（1ラベル約40px）
+    const labelStep = Math.max(1, Math.ceil(40 / barSpacing));
 
-    dates.forEach((date, index) => {
-        const seconds = values[index];
-        const barHeight = (seconds / maxSeconds) * chartHeight;
+    buckets.forEach((bucket, index) => {
         const x = leftMargin + index * barSpacing + (barSpacing - barWidth) / 2;
-        const y = topMargin + chartHeight - barHeight;
+        let y = topMargin + chartHeight;
+        const bucketRange = { start: bucket.start, end: getNextBucketStart(bucket.start, unit) };
 
-        // バー
-        const gradient = ctx.createLinearGradient(0, y, 0, y + barHeight);
-        gradient.addColorStop(0, '#5a7a5a');
-        gradient.addColorStop(1, '#4a5a4a');
-        ctx.fillStyle = gradient;
-        ctx.fillRect(x, y, barWidth, barHeight);
+        stackedTasks.forEach(item => {
+            const tasks = item.others || [item.task];
+            const seconds = tasks.reduce((sum, task) => sum + (bucket.byTask[task] || 0), 0);
+            if (seconds === 0) return;
+
+            const barHeight = (seconds / maxSeconds) * chartHeight;
+            y -= barHeight;
+            ctx.fillStyle = item.color;
+            ctx.fillRect(x, y, barWidth, barHeight);
+
+            // 積み上げた各業務の部分をマウス判定の対象にし、クリックでその区切りの記録を一覧する
+            const count = bucket.records.filter(record => tasks.includes(record.task)).length;
+            chartHitAreas['daily-chart'].push({
+                key: `${bucket.key}|${item.task}`,
+                x,
+                y,
+                width: barWidth,
+                height: barHeight,
+                tooltip: [
+                    `${formatBucketRange(bucket, unit)}　${item.task}`,
+                    `合計 ${formatDuration(seconds)}`,
+                    `${count}件・${formatShare(seconds, bucket.totalSeconds)}（この期間の合計 ${formatDuration(bucket.totalSeconds)}）`
+                ].join('\n'),
+                onClick: () => openRecordList(
+                    `${formatBucketRange(bucket, unit)}の記録`,
+                    latestRecords => filterRecordsByOverlap(latestRecords, bucketRange)
+                )
+            });
+        });
 
         // X軸ラベル（日付）
-        ctx.fillStyle = '#a0a0a0';
-        ctx.textAlign = 'center';
-        ctx.fillText(date, x + barWidth / 2, canvas.height - bottomMargin + 18);
+        if (index % labelStep === 0) {
+            ctx.fillStyle = '#a0a0a0';
+            ctx.textAlign = 'center';
+            ctx.fillText(formatBucketLabel(bucket, unit, buckets[index - labelStep]), x + barWidth / 2, canvas.height - bottomMargin + 18);
+        }
     });
+
+    drawChartHighlight(ctx, 'daily-chart');
+}
+
+// ツールチップをマウス位置の右下に出す。右端では左側に出して、はみ出さないようにする
+function placeChartTooltip(tooltip, canvas, x, y) {
+    const left = canvas.offsetLeft + x + 12;
+    tooltip.style.left = `${left + tooltip.offsetWidth > canvas.offsetLeft + canvas.width ? canvas.offsetLeft + x - tooltip.offsetWidth - 12 : left}px`;
+    tooltip.style.top = `${canvas.offsetTop + y + 12}px`;
+}
+
+// グラフのツールチップ・強調表示・クリックで記録一覧
+// repaintは集計済みのデータで描き直す関数（マウスが乗っている領域が変わるたびに呼ぶ）
+function setupChartInteraction(canvasId, repaint) {
+    const canvas = document.getElementById(canvasId);
+    const tooltip = document.getElementById(`${canvasId}-tooltip`);
+
+    const findArea = event => {
+        const rect = canvas.getBoundingClientRect();
+        const x = event.clientX - rect.left;
+        const y = event.clientY - rect.top;
+        const area = (chartHitAreas[canvasId] || []).find(item =>
+            x >= item.x && x < item.x + item.width && y >= item.y && y < item.y + item.height
+        );
+        return { area, x, y };
+    };
+
+    canvas.addEventListener('mousemove', event => {
+        const { area, x, y } = findArea(event);
+        const key = area ? area.key : null;
+        if (hoveredChartKeys[canvasId] !== key) {
+            hoveredChartKeys[canvasId] = key;
+            repaint();
+        }
+        canvas.style.cursor = area ? 'pointer' : '';
+
+        if (!area) {
+            tooltip.style.display = 'none';
+            return;
+        }
+        tooltip.textContent = area.tooltip;
+        tooltip.style.display = 'block';
+        placeChartTooltip(tooltip, canvas, x, y);
+    });
+
+    canvas.addEventListener('mouseleave', () => {
+        tooltip.style.display = 'none';
+        canvas.style.cursor = '';
+        if (hoveredChartKeys[canvasId]) {
+            hoveredChartKeys[canvasId] = null;
+            repaint();
+        }
+    });
+
+    canvas.addEventListener('click', event => {
+        const { area } = findArea(event);
+        if (area) {
+            tooltip.style.display = 'none';
+            area.onClick();
+        }
+    });
+}
+
+// ========================================
+// 曜日×時間帯ヒートマップ
+// ========================================
+// 行は月曜始まり（getDay()の値の並び）
+const HEATMAP_WEEKDAYS = [1, 2, 3, 4, 5, 6, 0];
+const HEATMAP_EMPTY_COLOR = '#2f2f2f';
+
+let heatmapTask = ''; // 空ならすべての業務
+let heatmapLayout = null; // マウス位置からセルを求めるための描画位置
+
+/**
+ * 作業時間を曜日×時間帯（1時間ごと）に振り分ける
+ * 作業区間単位で数え（休憩は含めない）、時間帯をまたぐ区間は正時で分割する
+ * @param {Object[]} records
+ * @param {{ start: Date, end: Date } | null} range - 範囲外の部分は数えない（nullなら全期間）
+ * @returns {number[][]} [getDay()の値][時] → 秒
+ */
+function aggregateByWeekdayHour(records, range) {
+    const cells = Array.from({ length: 7 }, () => new Array(24).fill(0));
+
+    records.forEach(record => {
+        getRecordSegments(record).forEach(segment => {
+            let cursor = new Date(segment.start);
+            let segmentEnd = new Date(segment.end);
+            if (range) {
+                cursor = new Date(Math.max(cursor, range.start));
+                segmentEnd = new Date(Math.min(segmentEnd, range.end));
+            }
+
+            while (cursor < segmentEnd) {
+                const nextHour = new Date(cursor.getFullYear(), cursor.getMonth(), cursor.getDate(), cursor.getHours() + 1);
+                const sliceEnd = segmentEnd < nextHour ? segmentEnd : nextHour;
+                cells[cursor.getDay()][cursor.getHours()] += Math.floor((sliceEnd - cursor) / 1000);
+                cursor = sliceEnd;
+            }
+        });
+    });
+
+    return cells;
+}
+
+// 業務の選択肢（すべての記録の業務名）。選択中の業務が消えたら「すべて」に戻す
+function updateHeatmapTaskOptions(records) {
+    const select = document.getElementById('heatmap-task');
+    const tasks = [...new Set(records.map(record => record.task))].sort((a, b) => a.localeCompare(b, 'ja'));
+    if (heatmapTask && !tasks.includes(heatmapTask)) heatmapTask = '';
+
+    select.innerHTML = '<option value="">すべての業務</option>' +
+        tasks.map(task => `<option value="${escapeHtml(task)}">${escapeHtml(task)}</option>`).join('');
+    select.value = heatmapTask;
+}
+
+// 0秒は背景に近い色、最大のセルほど明るい緑にする
+function getHeatmapColor(seconds, maxSeconds) {
+    if (seconds === 0) return HEATMAP_EMPTY_COLOR;
+    const ratio = seconds / maxSeconds;
+    const mix = (from, to) => Math.round(from + (to - from) * (0.15 + 0.85 * ratio));
+    return `rgb(${mix(0x2f, 0x7a)}, ${mix(0x2f, 0xaa)}, ${mix(0x2f, 0x7a)})`;
+}
+
+function drawHeatmap() {
+    const records = getTaskRecords();
+    updateHeatmapTaskOptions(records);
+
+    const targetRecords = heatmapTask ? records.filter(record => record.task === heatmapTask) : records;
+    const cells = aggregateByWeekdayHour(targetRecords, getPeriodRange(currentPeriod));
+    const maxSeconds = Math.max(...cells.flat(), 1);
+
+    const canvas = document.getElementById('heatmap-chart');
+    const ctx = canvas.getContext('2d');
+    const container = canvas.parentElement;
+    canvas.width = container.clientWidth;
+    canvas.height = container.clientHeight;
+
+    const leftMargin = 30;
+    const rightMargin = 15;
+    const topMargin = 20;
+    const bottomMargin = 5;
+    const cellWidth = (canvas.width - leftMargin - rightMargin) / 24;
+    const cellHeight = (canvas.height - topMargin - bottomMargin) / 7;
+    heatmapLayout = { leftMargin, topMargin, cellWidth, cellHeight, cells };
+
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.font = '10px -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif';
+
+    // 時間帯ラベル（3時間ごと）
+    ctx.fillStyle = '#808080';
+    ctx.textAlign = 'left';
+    for (let hour = 0; hour < 24; hour += 3) {
+        ctx.fillText(`${hour}時`, leftMargin + hour * cellWidth + 2, topMargin - 6);
+    }
+
+    HEATMAP_WEEKDAYS.forEach((weekday, row) => {
+        const y = topMargin + row * cellHeight;
+
+        // 曜日ラベル
+        ctx.fillStyle = weekday === 0 || weekday === 6 ? '#8a6a6a' : '#a0a0a0';
+        ctx.textAlign = 'right';
+        ctx.fillText(PERIOD_DAY_NAMES[weekday], leftMargin - 8, y + cellHeight / 2 + 3);
+
+        for (let hour = 0; hour < 24; hour++) {
+            ctx.fillStyle = getHeatmapColor(cells[weekday][hour], maxSeconds);
+            ctx.fillRect(leftMargin + hour * cellWidth + 1, y + 1, cellWidth - 2, cellHeight - 2);
+        }
+    });
+}
+
+// マウス位置のセルの作業時間をツールチップで表示する
+function showHeatmapTooltip(event) {
+    const tooltip = document.getElementById('heatmap-tooltip');
+    if (!heatmapLayout) return;
+
+    const canvas = event.currentTarget;
+    const rect = canvas.getBoundingClientRect();
+    const x = event.clientX - rect.left;
+    const y = event.clientY - rect.top;
+    const hour = Math.floor((x - heatmapLayout.leftMargin) / heatmapLayout.cellWidth);
+    const row = Math.floor((y - heatmapLayout.topMargin) / heatmapLayout.cellHeight);
+    if (hour < 0 || hour >= 24 || row < 0 || row >= 7) {
+        tooltip.style.display = 'none';
+        return;
+    }
+
+    const weekday = HEATMAP_WEEKDAYS[row];
+    const seconds = heatmapLayout.cells[weekday][hour];
+    const minutes = Math.round(seconds / 6) / 10;
+    tooltip.textContent = `${PERIOD_DAY_NAMES[weekday]}曜 ${hour}:00～${hour + 1}:00　${minutes}分` +
+        (heatmapTask ? `（${heatmapTask}）` : '');
+    tooltip.style.display = 'block';
+    placeChartTooltip(tooltip, canvas, x, y);
+}
+
+function setupHeatmap() {
+    const canvas = document.getElementById('heatmap-chart');
+    canvas.addEventListener('mousemove', showHeatmapTooltip);
+    canvas.addEventListener('mouseleave', () => {
+        document.getElementById('heatmap-tooltip').style.display = 'none';
+    });
+
+    document.getElementById('heatmap-task').addEventListener('change', function() {
+        heatmapTask = this.value;
+        drawHeatmap();
+    });
+}
+
+// ========================================
+// 記録一覧（グラフからの絞り込み・編集・削除）
+// ========================================
+// 表示中の一覧 { title, filter }。filterは最新の記録から一覧の記録を選ぶ関数
+let recordListView = null;
+
+// 作業区間が範囲に重なる記録（日をまたぐ記録は両方の日に出る）
+function filterRecordsByOverlap(records, range) {
+    return records.filter(record => getRecordSegments(record).some(segment =>
+        new Date(segment.start) < range.end && new Date(segment.end) > range.start
+    ));
+}
+
+function formatClock(date) {
+    return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+// 編集後の記録（業務画面と同じく所要時間は区間の合計、区間が1つならsegmentsを持たない）
+function buildEditedRecord(record, { task, segments }) {
+    const updated = {
+        ...record,
+        task,
+        startTime: segments[0].start,
+        endTime: segments[segments.length - 1].end,
+        duration: segments.reduce((sum, segment) => sum + Math.floor((new Date(segment.end) - new Date(segment.start)) / 1000), 0)
+    };
+    if (segments.length > 1) {
+        updated.segments = segments;
+    } else {
+        delete updated.segments;
+    }
+    return updated;
+}
+
+function openRecordList(title, filter) {
+    recordListView = { title, filter };
+    renderRecordList();
+}
+
+function renderRecordList() {
+    if (!recordListView) return;
+
+    const records = recordListView.filter(getTaskRecords())
+        .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+    const totalSeconds = records.reduce((sum, record) => sum + record.duration, 0);
+
+    const rows = records.map(record => {
+        const start = new Date(record.startTime);
+        const times = getRecordSegments(record)
+            .map(segment => `${formatClock(new Date(segment.start))}-${formatClock(new Date(segment.end))}`)
+            .join(' / ');
+        return `
+            <tr>
+                <td>${start.getFullYear()}/${start.getMonth() + 1}/${start.getDate()}(${PERIOD_DAY_NAMES[start.getDay()]})</td>
+                <td>${times}</td>
+                <td>${escapeHtml(record.task)}</td>
+                <td>${formatDuration(record.duration)}</td>
+                <td class="drilldown-actions">
+                    <button class="drilldown-btn" onclick="editListedRecord('${escapeHtml(record.id)}')">編集</button>
+                    <button class="drilldown-btn delete" onclick="deleteListedRecord('${escapeHtml(record.id)}')">削除</button>
+                </td>
+            </tr>
+        `;
+    }).join('');
+
+    let modal = document.getElementById('drilldown-modal');
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = 'drilldown-modal';
+        modal.className = 'edit-modal';
+        document.body.appendChild(modal);
+    }
+    modal.innerHTML = `
+        <div class="edit-modal-content drilldown-content">
+            <h3>${escapeHtml(recordListView.title)}</h3>
+            <div class="drilldown-summary">${records.length}件・合計 ${formatDuration(totalSeconds)}</div>
+            <div class="drilldown-container">
+                ${records.length === 0 ? '<div class="drilldown-empty">記録がありません</div>' : `
+                <table class="data-table drilldown-table">
+                    <thead>
+                        <tr><th>日付</th><th>時間</th><th>業務名</th><th>所要時間</th><th></th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>`}
+            </div>
+            <div class="edit-buttons">
+                <button onclick="closeRecordList()" class="cancel-btn">閉じる</button>
+            </div>
+        </div>
+    `;
+}
+
+function closeRecordList() {
+    recordListView = null;
+    closeRecordEditor();
+    const modal = document.getElementById('drilldown-modal');
+    if (modal) modal.remove();
+}
+
+function deleteListedRecord(id) {
+    if (!confirm('この記録を削除しますか？')) {
+        return;
+    }
+
+    const records = dataStore.getRecords();
+    const index = records.findIndex(record => record.id === id);
+    if (index > -1) {
+        records.splice(index, 1);
+        dataStore.saveRecords(records);
+    }
+    refreshDashboard();
+}
+
+// 記録の編集（作業区間ごとの時刻。日付は元の区間のものを維持する）
+function editListedRecord(id) {
+    closeRecordEditor();
+    const record = getTaskRecords().find(item => item.id === id);
+    if (!record) return;
+    const segments = getRecordSegments(record);
+
+    const segmentInputs = segments.map((segment, i) => `
+                <div class="edit-segment-row">
+                    <span class="edit-segment-label">${segments.length === 1 ? '時間' : `区間${i + 1}`}</span>
+                    <input type="time" id="list-edit-start-${i}" value="${formatClock(new Date(segment.start))}" class="edit-input">
+                    <span>-</span>
+                    <input type="time" id="list-edit-end-${i}" value="${formatClock(new Date(segment.end))}" class="edit-input">
+                </div>
+    `).join('');
+
+    const modal = document.createElement('div');
+    modal.id = 'record-edit-modal';
+    modal.className = 'edit-modal';
+    modal.innerHTML = `
+        <div class="edit-modal-content">
+            <h3>記録の編集</h3>
+            <div class="edit-form">
+                <label>業務名:</label>
+                <input type="text" id="list-edit-task" value="${escapeHtml(record.task)}" class="edit-input">
+                ${segments.length > 1 ? '<label>作業区間（区間の間は休憩として除外されます）:</label>' : ''}
+                ${segmentInputs}
+                <div class="edit-buttons">
+                    <button onclick="saveListedRecord('${escapeHtml(record.id)}')" class="save-btn">保存</button>
+                    <button onclick="closeRecordEditor()" class="cancel-btn">キャンセル</button>
+                </div>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+}
+
+function saveListedRecord(id) {
+    const records = dataStore.getRecords();
+    const index = records.findIndex(record => record.id === id);
+    if (index === -1) {
+        alert('この記録は他のタブで削除されました');
+        closeRecordEditor();
+        refreshDashboard();
+        return;
+    }
+    const segments = getRecordSegments(records[index]);
+    const times = segments.map((segment, i) => ({
+        start: document.getElementById(`list-edit-start-${i}`).value,
+        end: document.getElementById(`list-edit-end-${i}`).value
+    }));
+    const result = validateRecordEdit(segments, document.getElementById('list-edit-task').value, times);
+    if (!result.value) {
+        alert(result.problems[0]);
+        return;
+    }
+
+    records[index] = buildEditedRecord(records[index], result.value);
+    dataStore.saveRecords(records);
+
+    closeRecordEditor();
+    refreshDashboard();
+}
+
+function closeRecordEditor() {
+    const modal = document.getElementById('record-edit-modal');
+    if (modal) modal.remove();
+}
+
+// ========================================
+// 記録エクスプローラー（検索・並べ替え・一括操作・その場で編集）
+// ========================================
+const EXPLORER_PAGE_SIZE = 50;
+
+// 並べ替えの列（key → 比較に使う値）
+const EXPLORER_SORT_VALUES = {
+    startTime: record => new Date(record.startTime).getTime(),
+    endTime: record => new Date(record.endTime).getTime(),
+    task: record => record.task,
+    breakSeconds: record => getRecordBreakSeconds(record),
+    duration: record => record.duration
+};
+
+const explorerState = {
+    search: '',
+    task: '',
+    start: '', // YYYY-MM-DD（空なら制限なし）
+    end: '',
+    sortKey: 'startTime',
+    sortDirection: 'desc',
+    page: 0,
+    selectedIds: new Set(),
+    editingId: null,
+    editDraft: null // 編集中の入力 { task, times: [{ start, end }] }（再描画で消えないように保持）
+};
+
+// 開始～終了のうち作業区間に含まれない時間（秒）
+function getRecordBreakSeconds(record) {
+    const span = Math.floor((new Date(record.endTime) - new Date(record.startTime)) / 1000);
+    return Math.max(0, span - record.duration);
+}
+
+function parseDateInput(value) {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+// 業務名・メモの全文検索（空白区切りの語をすべて含むもの）と業務・日付の絞り込み
+function filterExplorerRecords(records) {
+    const terms = explorerState.search.toLowerCase().split(/\s+/).filter(Boolean);
+    const start = explorerState.start ? parseDateInput(explorerState.start) : null;
+    const end = explorerState.end ? addDays(parseDateInput(explorerState.end), 1) : null;
+
+    return records.filter(record => {
+        if (explorerState.task && record.task !== explorerState.task) return false;
+
+        const startTime = new Date(record.startTime);
+        if (start && startTime < start) return false;
+        if (end && startTime >= end) return false;
+
+        const text = [record.task, record.note].filter(value => typeof value === 'string').join(' ').toLowerCase();
+        return terms.every(term => text.includes(term));
+    });
+}
+
+function sortExplorerRecords(records) {
+    const getValue = EXPLORER_SORT_VALUES[explorerState.sortKey];
+    const direction = explorerState.sortDirection === 'asc' ? 1 : -1;
+    return [...records].sort((a, b) => {
+        const valueA = getValue(a);
+        const valueB = getValue(b);
+        const order = typeof valueA === 'string' ? valueA.localeCompare(valueB, 'ja') : valueA - valueB;
+        // 同じ値は開始の新しい順
+        return order * direction || new Date(b.startTime) - new Date(a.startTime);
+    });
+}
+
+function formatExplorerDateTime(date) {
+    return `${date.getFullYear()}/${date.getMonth() + 1}/${date.getDate()}(${PERIOD_DAY_NAMES[date.getDay()]}) ${formatClock(date)}`;
+}
+
+// 終了は開始と同じ日なら時刻のみ
+function formatExplorerEnd(record) {
+    const start = new Date(record.startTime);
+    const end = new Date(record.endTime);
+    return start.toDateString() === end.toDateString() ? formatClock(end) : formatExplorerDateTime(end);
+}
+
+function renderExplorerRow(record) {
+    const checked = explorerState.selectedIds.has(record.id) ? 'checked' : '';
+    const id = escapeHtml(record.id);
+    const note = typeof record.note === 'string' && record.note
+        ? `<div class="explorer-note">${escapeHtml(record.note)}</div>`
+        : '';
+
+    if (explorerState.editingId === record.id) {
+        const segments = getRecordSegments(record);
+        const draft = explorerState.editDraft;
+        const segmentInputs = segments.map((segment, i) => `
+            <div class="explorer-segment">
+                <input type="time" id="explorer-edit-start-${i}" value="${escapeHtml(draft?.times[i]?.start ?? formatClock(new Date(segment.start)))}" class="period-date">
+                <span>-</span>
+                <input type="time" id="explorer-edit-end-${i}" value="${escapeHtml(draft?.times[i]?.end ?? formatClock(new Date(segment.end)))}" class="period-date">
+            </div>
+        `).join('');
+        return `
+            <tr class="explorer-editing">
+                <td><input type="checkbox" class="explorer-select" data-id="${id}" ${checked}></td>
+                <td colspan="2">${formatExplorerDateTime(new Date(record.startTime)).split(' ')[0]}${segmentInputs}</td>
+                <td><input type="text" id="explorer-edit-task" data-id="${id}" value="${escapeHtml(draft ? draft.task : record.task)}" class="period-date explorer-task-input">${note}</td>
+                <td>${formatDuration(getRecordBreakSeconds(record))}</td>
+                <td>${formatDuration(record.duration)}</td>
+                <td class="drilldown-actions">
+                    <button class="drilldown-btn" onclick="saveExplorerEdit('${id}')">保存</button>
+                    <button class="drilldown-btn" onclick="cancelExplorerEdit()">キャンセル</button>
+                </td>
+            </tr>
+        `;
+    }
+
+    return `
+        <tr>
+            <td><input type="checkbox" class="explorer-select" data-id="${id}" ${checked}></td>
+            <td>${formatExplorerDateTime(new Date(record.startTime))}</td>
+            <td>${formatExplorerEnd(record)}</td>
+            <td>${escapeHtml(record.task)}${note}</td>
+            <td>${getRecordBreakSeconds(record) >= 60 ? formatDuration(getRecordBreakSeconds(record)) : '-'}</td>
+            <td>${formatDuration(record.duration)}</td>
+            <td class="drilldown-actions">
+                <button class="drilldown-btn" onclick="startExplorerEdit('${id}')">編集</button>
+            </td>
+        </tr>
+    `;
+}
+
+// 表示中の編集欄の入力（編集中の記録の編集欄がなければnull）
+function readExplorerDraft() {
+    const taskInput = document.getElementById('explorer-edit-task');
+    if (!taskInput || taskInput.dataset.id !== explorerState.editingId) return null;
+
+    const times = [];
+    for (let i = 0; document.getElementById(`explorer-edit-start-${i}`); i++) {
+        times.push({
+            start: document.getElementById(`explorer-edit-start-${i}`).value,
+            end: document.getElementById(`explorer-edit-end-${i}`).value
+        });
+    }
+    return { task: taskInput.value, times };
+}
+
+function renderRecordExplorer() {
+    const records = getTaskRecords();
+    // 検索や他のタブの変更で表を作り直しても、編集中の入力は残す
+    if (explorerState.editingId) {
+        explorerState.editDraft = readExplorerDraft() || explorerState.editDraft;
+    }
+
+    // 業務の選択肢と一括変更の候補（すべての記録の業務名）
+    const tasks = [...new Set(records.map(record => record.task))].sort((a, b) => a.localeCompare(b, 'ja'));
+    if (explorerState.task && !tasks.includes(explorerState.task)) explorerState.task = '';
+    const taskSelect = document.getElementById('explorer-task');
+    taskSelect.innerHTML = '<option value="">すべての業務</option>' +
+        tasks.map(task => `<option value="${escapeHtml(task)}">${escapeHtml(task)}</option>`).join('');
+    taskSelect.value = explorerState.task;
+    document.getElementById('explorer-task-list').innerHTML =
+        tasks.map(task => `<option value="${escapeHtml(task)}">`).join('');
+
+    const filtered = sortExplorerRecords(filterExplorerRecords(records));
+
+    // 選択は絞り込み結果に残っている記録だけにする
+    const filteredIds = new Set(filtered.map(record => record.id));
+    explorerState.selectedIds.forEach(id => {
+        if (!filteredIds.has(id)) explorerState.selectedIds.delete(id);
+    });
+
+    const pageCount = Math.max(1, Math.ceil(filtered.length / EXPLORER_PAGE_SIZE));
+    explorerState.page = Math.min(explorerState.page, pageCount - 1);
+    const pageStart = explorerState.page * EXPLORER_PAGE_SIZE;
+    const pageRecords = filtered.slice(pageStart, pageStart + EXPLORER_PAGE_SIZE);
+
+    const tbody = document.getElementById('explorer-body');
+    tbody.innerHTML = pageRecords.length > 0
+        ? pageRecords.map(renderExplorerRow).join('')
+        : `
+            <tr>
+                <td colspan="7" style="text-align: center; color: #606060; padding: 20px;">
+                    該当する記録がありません
+                </td>
+            </tr>
+        `;
+
+    // 見出しの並べ替え表示
+    document.querySelectorAll('#explorer-table th[data-sort]').forEach(th => {
+        const active = th.dataset.sort === explorerState.sortKey;
+        th.classList.toggle('sorted', active);
+        th.dataset.direction = active ? (explorerState.sortDirection === 'asc' ? '▲' : '▼') : '';
+    });
+
+    const totalSeconds = filtered.reduce((sum, record) => sum + record.duration, 0);
+    document.getElementById('explorer-count').textContent = filtered.length > 0
+        ? `${filtered.length}件中 ${pageStart + 1}～${pageStart + pageRecords.length}件（合計 ${formatDuration(totalSeconds)}）`
+        : '0件';
+    document.getElementById('explorer-page').textContent = `${explorerState.page + 1} / ${pageCount}`;
+    document.getElementById('explorer-prev').disabled = explorerState.page === 0;
+    document.getElementById('explorer-next').disabled = explorerState.page >= pageCount - 1;
+
+    updateExplorerSelection();
+}
+
+// 選択件数・全選択・一括操作ボタンの表示（表は作り直さない）
+function updateExplorerSelection() {
+    const checkboxes = [...document.querySelectorAll('#explorer-body .explorer-select')];
+    document.getElementById('explorer-select-all').checked =
+        checkboxes.length > 0 && checkboxes.every(checkbox => checkbox.checked);
+
+    const selectedCount = explorerState.selectedIds.size;
+    document.getElementById('explorer-selected-count').textContent = `${selectedCount}件選択`;
+    document.getElementById('explorer-bulk-delete').disabled = selectedCount === 0;
+    document.getElementById('explorer-bulk-reassign').disabled = selectedCount === 0;
+}
+
+function startExplorerEdit(id) {
+    explorerState.editingId = id;
+    explorerState.editDraft = null;
+    renderRecordExplorer();
+}
+
+function cancelExplorerEdit() {
+    explorerState.editingId = null;
+    explorerState.editDraft = null;
+    renderRecordExplorer();
+}
+
+function saveExplorerEdit(id) {
+    const records = dataStore.getRecords();
+    const index = records.findIndex(record => record.id === id);
+    if (index === -1) {
+        alert('この記録は他のタブで削除されました');
+        explorerState.editingId = null;
+        explorerState.editDraft = null;
+        refreshDashboard();
+        return;
+    }
+
+    const segments = getRecordSegments(records[index]);
+    const times = segments.map((segment, i) => ({
+        start: document.getElementById(`explorer-edit-start-${i}`).value,
+        end: document.getElementById(`explorer-edit-end-${i}`).value
+    }));
+    const result = validateRecordEdit(segments, document.getElementById('explorer-edit-task').value, times);
+    if (!result.value) {
+        alert(result.problems[0]);
+        return;
+    }
+
+    records[index] = buildEditedRecord(records[index], result.value);
+    dataStore.saveRecords(records);
+
+    explorerState.editingId = null;
+    explorerState.editDraft = null;
+    refreshDashboard();
+}
+
+function deleteSelectedRecords() {
+    const count = explorerState.selectedIds.size;
+    if (count === 0 || !confirm(`選択した${count}件の記録を削除しますか？`)) {
+        return;
+    }
+
+    dataStore.saveRecords(dataStore.getRecords().filter(record => !explorerState.selectedIds.has(record.id)));
+    explorerState.selectedIds.clear();
+    refreshDashboard();
+}
+
+// 選択した記録の業務名をまとめて変更する
+function reassignSelectedRecords() {
+    const count = explorerState.selectedIds.size;
+    const task = document.getElementById('explorer-reassign-task').value.trim();
+    if (count === 0) return;
+    if (!task) {
+        alert('変更後の業務名を入力してください');
+        return;
+    }
+    if (!confirm(`選択した${count}件の記録の業務名を「${task}」に変更しますか？`)) {
+        return;
+    }
+
+    dataStore.saveRecords(dataStore.getRecords().map(record =>
+        explorerState.selectedIds.has(record.id) ? { ...record, task } : record
+    ));
+    explorerState.selectedIds.clear();
+    document.getElementById('explorer-reassign-task').value = '';
+    refreshDashboard();
+}
+
+function setupRecordExplorer() {
+    // 絞り込みを変えたら1ページ目から
+    const updateFilter = (key, value) => {
+        explorerState[key] = value;
+        explorerState.page = 0;
+        renderRecordExplorer();
+    };
+    document.getElementById('explorer-search').addEventListener('input', function() {
+        updateFilter('search', this.value);
+    });
+    document.getElementById('explorer-task').addEventListener('change', function() {
+        updateFilter('task', this.value);
+    });
+    document.getElementById('explorer-start').addEventListener('change', function() {
+        updateFilter('start', this.value);
+    });
+    document.getElementById('explorer-end').addEventListener('change', function() {
+        updateFilter('end', this.value);
+    });
+    document.getElementById('explorer-clear').addEventListener('click', () => {
+        ['explorer-search', 'explorer-task', 'explorer-start', 'explorer-end'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        Object.assign(explorerState, { search: '', task: '', start: '', end: '', page: 0 });
+        renderRecordExplorer();
+    });
+
+    // 同じ列をもう一度押すと昇順・降順を切り替える
+    document.querySelectorAll('#explorer-table th[data-sort]').forEach(th => {
+        th.addEventListener('click', () => {
+            if (explorerState.sortKey === th.dataset.sort) {
+                explorerState.sortDirection = explorerState.sortDirection === 'asc' ? 'desc' : 'asc';
+            } else {
+                explorerState.sortKey = th.dataset.sort;
+                explorerState.sortDirection = th.dataset.sort === 'task' ? 'asc' : 'desc';
+            }
+            explorerState.page = 0;
+            renderRecordExplorer();
+        });
+    });
+
+    document.getElementById('explorer-prev').addEventListener('click', () => {
+        explorerState.page--;
+        renderRecordExplorer();
+    });
+    document.getElementById('explorer-next').addEventListener('click', () => {
+        explorerState.page++;
+        renderRecordExplorer();
+    });
+
+    document.getElementById('explorer-body').addEventListener('change', event => {
+        if (!event.target.classList.contains('explorer-select')) return;
+        if (event.target.checked) {
+            explorerState.selectedIds.add(event.target.dataset.id);
+        } else {
+            explorerState.selectedIds.delete(event.target.dataset.id);
+        }
+        updateExplorerSelection();
+    });
+
+    // 全選択は表示中のページのみ
+    document.getElementById('explorer-select-all').addEventListener('change', function() {
+        document.querySelectorAll('#explorer-body .explorer-select').forEach(checkbox => {
+            checkbox.checked = this.checked;
+            if (this.checked) {
+                explorerState.selectedIds.add(checkbox.dataset.id);
+            } else {
+                explorerState.selectedIds.delete(checkbox.dataset.id);
+            }
+        });
+        updateExplorerSelection();
+    });
+
+    document.getElementById('explorer-bulk-delete').addEventListener('click', deleteSelectedRecords);
+    document.getElementById('explorer-bulk-reassign').addEventListener('click', reassignSelectedRecords);
 }
 
 // ========================================
 // 期間選択
 // ========================================
+function selectPeriod(period) {
+    // アクティブ状態を切り替え
+    document.querySelectorAll('.period-btn').forEach(b => b.classList.toggle('active', b.dataset.period === period));
+
+    // 期間を更新
+    currentPeriod = period;
+
+    // データを再描画
+    updatePeriodLabel();
+    updateSummaryCards();
+    updateTaskTable();
+    drawTaskChart();
+    drawDailyChart();
+    drawHeatmap();
+}
+
 function setupPeriodButtons() {
-    document.querySelectorAll('.period-btn').forEach(btn => {
+    document.querySelectorAll('.period-btn[data-period]:not(#range-apply)').forEach(btn => {
         btn.addEventListener('click', function() {
-            // アクティブ状態を切り替え
-            document.querySelectorAll('.period-btn').forEach(b => b.classList.remove('active'));
-            this.classList.add('active');
+            selectPeriod(this.dataset.period);
+        });
+    });
 
-            // 期間を更新
-            currentPeriod = this.dataset.period;
+    // 指定期間（開始日・終了日を含む）
+    document.getElementById('range-apply').addEventListener('click', () => {
+        const startValue = document.getElementById('range-start').value;
+        const endValue = document.getElementById('range-end').value;
+        if (!startValue || !endValue) {
+            alert('開始日と終了日を選択してください');
+            return;
+        }
+        const [startYear, startMonth, startDay] = startValue.split('-').map(Number);
+        const [endYear, endMonth, endDay] = endValue.split('-').map(Number);
+        const start = new Date(startYear, startMonth - 1, startDay);
+        const end = new Date(endYear, endMonth - 1, endDay + 1);
+        if (end <= start) {
+            alert('終了日は開始日以降にしてください');
+            return;
+        }
+        customRange = { start, end };
+        selectPeriod('custom');
+    });
 
-            // データを再描画
-            updateTaskTable();
-            drawTaskChart();
-        });
+    document.getElementById('compare-toggle').addEventListener('change', function() {
+        compareEnabled = this.checked;
+        selectPeriod(currentPeriod);
     });
 }
 
@@ -350,6 +1526,7 @@ function setupResizeHandler() {
         resizeTimer = setTimeout(() => {
             drawTaskChart();
             drawDailyChart();
+            drawHeatmap();
         }, 250);
     });
 }
@@ -357,13 +1534,38 @@ function setupResizeHandler() {
 // ========================================
 // 初期化
 // ========================================
-function init() {
+function refreshDashboard() {
+    updatePeriodLabel();
     updateSummaryCards();
     updateTaskTable();
     drawTaskChart();
     drawDailyChart();
+    drawHeatmap();
+    renderRecordList();
+    renderRecordExplorer();
+}
+
+async function init() {
+    try {
+        await dataStore.open();
+    } catch (error) {
+        console.error(error);
+        alert(error.message);
+    }
+
+    refreshDashboard();
     setupPeriodButtons();
+    setupChartInteraction('task-chart', paintTaskChart);
+    setupChartInteraction('daily-chart', paintDailyChart);
+    setupHeatmap();
+    setupRecordExplorer();
     setupResizeHandler();
+
+    // 他のタブで記録が変わったら再描画
+    dataStore.onChange(change => {
+        // 年度の始まり（有給休暇の設定）が変わると四半期・今年度の範囲も変わる
+        if (change.type === 'records' || change.key === 'leave-settings') refreshDashboard();
+    });
 }
 
 // ページ読み込み時に初期化
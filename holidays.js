@@ -0,0 +1,174 @@
+// ========================================
+// 日本の祝日の計算（国民の祝日に関する法律）
+// ========================================
+
+// 祝日法の施行（1948年7月20日）後、1年を通して祝日がある最初の年
+const HOLIDAY_RULES_MIN_YEAR = 1949;
+// 春分日・秋分日の近似式が使える最後の年
+const HOLIDAY_RULES_MAX_YEAR = 2150;
+
+// 皇室の行事などで一度だけ休日になった日
+const ONE_TIME_HOLIDAYS = {
+    '1959-04-10': '皇太子明仁親王の結婚の儀',
+    '1989-02-24': '昭和天皇の大喪の礼',
+    '1990-11-12': '即位礼正殿の儀',
+    '1993-06-09': '皇太子徳仁親王の結婚の儀',
+    '2019-05-01': '天皇の即位の日',
+    '2019-10-22': '即位礼正殿の儀'
+};
+
+// 東京オリンピック・パラリンピックの特措法で移動した祝日（年 → { 祝日名: [月, 日] }）
+const MOVED_HOLIDAYS = {
+    2020: { '海の日': [7, 23], 'スポーツの日': [7, 24], '山の日': [8, 10] },
+    2021: { '海の日': [7, 22], 'スポーツの日': [7, 23], '山の日': [8, 8] }
+};
+
+function formatHolidayKey(year, month, day) {
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// month月の第n月曜日（monthは1始まり）
+function getNthMonday(year, month, n) {
+    const firstDay = new Date(year, month - 1, 1).getDay();
+    const firstMonday = 1 + (8 - firstDay) % 7;
+    return firstMonday + (n - 1) * 7;
+}
+
+// 春分日・秋分日（国立天文台の公表値に合う近似式。1900～2150年）
+function getEquinoxDay(year, base1900, base1980, base2100) {
+    if (year <= 1979) {
+        return Math.floor(base1900 + 0.242194 * (year - 1980) - Math.trunc((year - 1983) / 4));
+    }
+    const base = year <= 2099 ? base1980 : base2100;
+    return Math.floor(base + 0.242194 * (year - 1980) - Math.floor((year - 1980) / 4));
+}
+
+function getVernalEquinoxDay(year) {
+    return getEquinoxDay(year, 20.8357, 20.8431, 21.8510);
+}
+
+function getAutumnalEquinoxDay(year) {
+    return getEquinoxDay(year, 23.2588, 23.2488, 24.2488);
+}
+
+// 「国民の祝日」そのもの（振替休日・国民の休日を除く）。[[月, 日, 名前], ...]
+function getNationalHolidayDates(year) {
+    const dates = [[1, 1, '元日']];
+
+    dates.push(year >= 2000 ? [1, getNthMonday(year, 1, 2), '成人の日'] : [1, 15, '成人の日']);
+    if (year >= 1967) dates.push([2, 11, '建国記念の日']);
+    if (year >= 2020) dates.push([2, 23, '天皇誕生日']);
+    dates.push([3, getVernalEquinoxDay(year), '春分の日']);
+
+    if (year <= 1988) dates.push([4, 29, '天皇誕生日']);
+    else if (year <= 2006) dates.push([4, 29, 'みどりの日']);
+    else dates.push([4, 29, '昭和の日']);
+
+    dates.push([5, 3, '憲法記念日']);
+    if (year >= 2007) dates.push([5, 4, 'みどりの日']);
+    dates.push([5, 5, 'こどもの日']);
+
+    if (year >= 2003) dates.push([7, getNthMonday(year, 7, 3), '海の日']);
+    else if (year >= 1996) dates.push([7, 20, '海の日']);
+    if (year >= 2016) dates.push([8, 11, '山の日']);
+
+    if (year >= 2003) dates.push([9, getNthMonday(year, 9, 3), '敬老の日']);
+    else if (year >= 1966) dates.push([9, 15, '敬老の日']);
+    dates.push([9, getAutumnalEquinoxDay(year), '秋分の日']);
+
+    if (year >= 2020) dates.push([10, getNthMonday(year, 10, 2), 'スポーツの日']);
+    else if (year >= 2000) dates.push([10, getNthMonday(year, 10, 2), '体育の日']);
+    else if (year >= 1966) dates.push([10, 10, '体育の日']);
+
+    dates.push([11, 3, '文化の日']);
+    dates.push([11, 23, '勤労感謝の日']);
+    if (year >= 1989 && year <= 2018) dates.push([12, 23, '天皇誕生日']);
+
+    const moved = MOVED_HOLIDAYS[year] || {};
+    return dates.map(([month, day, name]) => moved[name] ? [...moved[name], name] : [month, day, name]);
+}
+
+/**
+ * その年の祝日・休日を法律の規定から計算する
+ * 固定日・ハッピーマンデー・春分/秋分・振替休日・国民の休日・一度だけの休日を含む
+ * @param {number} year
+ * @returns {Object<string, string>} 'YYYY-MM-DD' → 祝日名（範囲外の年は空）
+ */
+function generateJapaneseHolidays(year) {
+    if (year < HOLIDAY_RULES_MIN_YEAR || year > HOLIDAY_RULES_MAX_YEAR) return {};
+
+    const result = {};
+    getNationalHolidayDates(year).forEach(([month, day, name]) => {
+        result[formatHolidayKey(year, month, day)] = name;
+    });
+    Object.entries(ONE_TIME_HOLIDAYS).forEach(([key, name]) => {
+        if (key.startsWith(`${year}-`)) result[key] = name;
+    });
+    const nationalKeys = new Set(Object.keys(result));
+
+    // 振替休日（1973年4月12日から）: 日曜の祝日の翌日。2007年からは祝日でない最初の日
+    Object.keys(result).sort().forEach(key => {
+        const [, month, day] = key.split('-').map(Number);
+        const date = new Date(year, month - 1, day);
+        if (date.getDay() !== 0 || key < '1973-04-12') return;
+
+        const next = new Date(date);
+        next.setDate(next.getDate() + 1);
+        if (year >= 2007) {
+            while (result[formatHolidayKey(next.getFullYear(), next.getMonth() + 1, next.getDate())]) {
+                next.setDate(next.getDate() + 1);
+            }
+        }
+        const nextKey = formatHolidayKey(next.getFullYear(), next.getMonth() + 1, next.getDate());
+        if (next.getFullYear() === year && !result[nextKey]) result[nextKey] = '振替休日';
+    });
+
+    // 国民の休日（1985年12月27日から）: 前日と翌日が国民の祝日の日。2006年までは日曜を除く
+    const lastDay = new Date(year, 11, 31);
+    for (const date = new Date(year, 0, 2); date < lastDay; date.setDate(date.getDate() + 1)) {
+        const key = formatHolidayKey(year, date.getMonth() + 1, date.getDate());
+        if (result[key] || key < '1985-12-27' || (year <= 2006 && date.getDay() === 0)) continue;
+
+        const previous = new Date(year, date.getMonth(), date.getDate() - 1);
+        const next = new Date(year, date.getMonth(), date.getDate() + 1);
+        if (nationalKeys.has(formatHolidayKey(year, previous.getMonth() + 1, previous.getDate())) &&
+            nationalKeys.has(formatHolidayKey(year, next.getMonth() + 1, next.getDate()))) {
+            result[key] = '国民の休日';
+        }
+    }
+
+    return result;
+}
+
+/**
+ * 内閣府の「syukujitsu.csv」（YYYY/M/D,名称）を祝日の一覧にする
+ * 見出し行と空行は読み飛ばし、日付として解釈できない行は問題として返す
+ * @param {{ line: number, fields: string[], problem?: string }[]} rows - parseCSVの結果
+ * @returns {{ holidays: Object<string, string>, problems: string[] }}
+ */
+function parseHolidayCSVRows(rows) {
+    const result = {};
+    const problems = [];
+
+    rows.forEach(({ line, fields, problem }, index) => {
+        const dateText = (fields[0] || '').trim();
+        const name = (fields[1] || '').trim();
+        if (!dateText && !name) return;
+        if (problem) problems.push(`${line}行目: ${problem}`);
+
+        const match = dateText.match(/^(\d{4})[\/-](\d{1,2})[\/-](\d{1,2})$/);
+        if (!match) {
+            if (index > 0) problems.push(`${line}行目: 日付「${dateText}」を解釈できません`);
+            return;
+        }
+        const [, year, month, day] = match.map(Number);
+        const date = new Date(year, month - 1, day);
+        if (date.getMonth() !== month - 1 || date.getDate() !== day || !name) {
+            problems.push(`${line}行目: 日付または名称が不正です`);
+            return;
+        }
+        result[formatHolidayKey(year, month, day)] = name;
+    });
+
+    return { holidays: result, problems };
+}
@@ -0,0 +1,616 @@
+// ========================================
+// iCalendar（.ics）の読み書き
+// ========================================
+
+// 日時は「壁時計の時刻」と「タイムゾーン」の組で扱う
+// - wall: その地域の年月日時分秒をDate.UTCで数値化したもの（日付計算はgetUTC系で行う）
+// - tz: 'UTC'（末尾Z） / null（タイムゾーンなし=端末の時刻） / TZID
+// 繰り返し（RRULE）は壁時計の時刻で展開し、最後に実際の時刻へ変換する
+
+const ICS_DAY_MS = 24 * 60 * 60 * 1000;
+const ICS_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const ICS_MAX_OCCURRENCES = 5000; // 終わりのない繰り返しの展開上限（1件の予定あたり）
+const ICS_SEGMENTS_PROPERTY = 'X-MAEDATIMETOOL-SEGMENTS'; // 休憩を含む記録の作業区間（このツール同士でのみ使用）
+
+// Outlookが出力するWindowsのタイムゾーン名（よく使うもののみ）
+const WINDOWS_TIME_ZONES = {
+    'Tokyo Standard Time': 'Asia/Tokyo',
+    'Korea Standard Time': 'Asia/Seoul',
+    'China Standard Time': 'Asia/Shanghai',
+    'Taipei Standard Time': 'Asia/Taipei',
+    'Singapore Standard Time': 'Asia/Singapore',
+    'SE Asia Standard Time': 'Asia/Bangkok',
+    'India Standard Time': 'Asia/Kolkata',
+    'GMT Standard Time': 'Europe/London',
+    'W. Europe Standard Time': 'Europe/Berlin',
+    'Romance Standard Time': 'Europe/Paris',
+    'Eastern Standard Time': 'America/New_York',
+    'Central Standard Time': 'America/Chicago',
+    'Mountain Standard Time': 'America/Denver',
+    'Pacific Standard Time': 'America/Los_Angeles',
+    'AUS Eastern Standard Time': 'Australia/Sydney',
+    'UTC': 'UTC'
+};
+
+// ----------------------------------------
+// 書き出し
+// ----------------------------------------
+
+// TEXT値のエスケープ（\ ; , 改行）
+function escapeICSText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// 1行75オクテットを超える行を折り返す（マルチバイト文字の途中では切らない）
+function foldICSLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+
+    for (const char of line) {
+        const bytes = encoder.encode(char).length;
+        const limit = parts.length === 0 ? 75 : 74; // 継続行は先頭の空白1文字分を引く
+        if (currentBytes + bytes > limit) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += bytes;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+// UTCの「20250131T000000Z」形式
+function formatICSDateTime(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * VEVENTの一覧からiCalendarの文字列を作る
+ * @param {{ uid: string, summary: string, start: Date, end: Date, description?: string, segments?: { start: Date, end: Date }[] }[]} events
+ * @returns {string}
+ */
+function buildICS(events) {
+    const stamp = formatICSDateTime(new Date());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//maedatimetool//業務記録//JA',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH'
+    ];
+
+    events.forEach(event => {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${event.uid}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART:${formatICSDateTime(event.start)}`,
+            `DTEND:${formatICSDateTime(event.end)}`,
+            `SUMMARY:${escapeICSText(event.summary)}`
+        );
+        if (event.description) {
+            lines.push(`DESCRIPTION:${escapeICSText(event.description)}`);
+        }
+        if (event.segments && event.segments.length > 1) {
+            const periods = event.segments.map(segment => `${formatICSDateTime(segment.start)}/${formatICSDateTime(segment.end)}`);
+            lines.push(`${ICS_SEGMENTS_PROPERTY}:${periods.join(',')}`);
+        }
+        lines.push('END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldICSLine).join('\r\n') + '\r\n';
+}
+
+// ----------------------------------------
+// 読み込み
+// ----------------------------------------
+
+function unescapeICSText(text) {
+    return text.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N') ? '\n' : char);
+}
+
+// 折り返しを戻して「名前;パラメータ:値」に分解
+function parseICSLines(text) {
+    const rawLines = text.replace(/\r\n?/g, '\n').split('\n');
+    const lines = [];
+
+    rawLines.forEach((raw, index) => {
+        if ((raw.startsWith(' ') || raw.startsWith('\t')) && lines.length > 0) {
+            lines[lines.length - 1].raw += raw.slice(1);
+        } else if (raw.trim() !== '') {
+            lines.push({ raw, line: index + 1 });
+        }
+    });
+
+    return lines.map(({ raw, line }) => {
+        // パラメータ値はダブルクォート内にコロンを含むことがある
+        let colonIndex = -1;
+        let inQuotes = false;
+        for (let i = 0; i < raw.length; i++) {
+            if (raw[i] === '"') inQuotes = !inQuotes;
+            if (raw[i] === ':' && !inQuotes) {
+                colonIndex = i;
+                break;
+            }
+        }
+        if (colonIndex === -1) return null;
+
+        const [name, ...paramParts] = raw.slice(0, colonIndex).split(';');
+        const params = {};
+        paramParts.forEach(part => {
+            const [key, value = ''] = part.split('=');
+            params[key.toUpperCase()] = value.replace(/^"|"$/g, '');
+        });
+
+        return { name: name.toUpperCase(), params, value: raw.slice(colonIndex + 1), line };
+    }).filter(Boolean);
+}
+
+// 「20250131T090000(Z)」「20250131」を壁時計の時刻に
+function parseICSDateValue(value, params) {
+    const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+    if (!match) return null;
+
+    const [, year, month, day, hours, minutes, seconds, utc] = match;
+    const allDay = params.VALUE === 'DATE' || hours === undefined;
+    const wall = Date.UTC(Number(year), Number(month) - 1, Number(day),
+        Number(hours || 0), Number(minutes || 0), Number(seconds || 0));
+
+    return { wall, tz: utc ? 'UTC' : (params.TZID || null), allDay };
+}
+
+// 「P1DT2H30M」「PT45M」「P1W」をミリ秒に
+function parseICSDuration(value) {
+    const match = value.trim().match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+    if (!match) return null;
+
+    const [, sign, weeks, days, hours, minutes, seconds] = match;
+    const ms = ((Number(weeks || 0) * 7 + Number(days || 0)) * 24 * 3600 +
+        Number(hours || 0) * 3600 + Number(minutes || 0) * 60 + Number(seconds || 0)) * 1000;
+    return sign === '-' ? -ms : ms;
+}
+
+// 「FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=...」を解釈
+function parseRRule(value, params) {
+    const rule = {};
+    value.split(';').forEach(part => {
+        const [key, val] = part.split('=');
+        if (key && val !== undefined) rule[key.toUpperCase()] = val;
+    });
+
+    if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(rule.FREQ)) return null;
+
+    return {
+        freq: rule.FREQ,
+        interval: Math.max(1, parseInt(rule.INTERVAL) || 1),
+        count: rule.COUNT ? parseInt(rule.COUNT) : null,
+        until: rule.UNTIL ? parseICSDateValue(rule.UNTIL, params) : null,
+        byDay: rule.BYDAY ? rule.BYDAY.split(',').map(day => {
+            const match = day.trim().match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+            return match ? { ordinal: match[1] ? parseInt(match[1]) : null, weekday: ICS_WEEKDAYS.indexOf(match[2]) } : null;
+        }).filter(Boolean) : null,
+        byMonthDay: rule.BYMONTHDAY ? rule.BYMONTHDAY.split(',').map(Number).filter(Number.isInteger) : null,
+        byMonth: rule.BYMONTH ? rule.BYMONTH.split(',').map(Number).filter(Number.isInteger) : null,
+        weekStart: ICS_WEEKDAYS.indexOf(rule.WKST || 'MO'),
+        unsupported: ['BYSETPOS', 'BYWEEKNO', 'BYYEARDAY', 'BYHOUR', 'BYMINUTE'].filter(key => rule[key] !== undefined)
+    };
+}
+
+/**
+ * iCalendarの文字列からVEVENTとVTIMEZONEを取り出す
+ * @param {string} text
+ * @returns {{ events: object[], timeZones: object, problems: string[] }}
+ */
+function parseICS(text) {
+    const events = [];
+    const timeZones = {};
+    const problems = [];
+    const stack = [];
+    let event = null;
+    let timeZone = null;
+    let zoneRule = null;
+
+    parseICSLines(text).forEach(({ name, params, value, line }) => {
+        if (name === 'BEGIN') {
+            stack.push(value.toUpperCase());
+            if (value.toUpperCase() === 'VEVENT') {
+                event = { line, summary: '', exdates: [] };
+            } else if (value.toUpperCase() === 'VTIMEZONE') {
+                timeZone = { id: null, standardOffset: null, daylightOffset: null };
+            } else if (timeZone && (value.toUpperCase() === 'STANDARD' || value.toUpperCase() === 'DAYLIGHT')) {
+                zoneRule = value.toUpperCase();
+            }
+            return;
+        }
+
+        if (name === 'END') {
+            const component = stack.pop();
+            if (component === 'VEVENT' && event) {
+                events.push(event);
+                event = null;
+            } else if (component === 'VTIMEZONE' && timeZone) {
+                if (timeZone.id) timeZones[timeZone.id] = timeZone;
+                timeZone = null;
+            } else if (component === 'STANDARD' || component === 'DAYLIGHT') {
+                zoneRule = null;
+            }
+            return;
+        }
+
+        // VEVENT内のVALARMなどは読み飛ばす
+        if (event && stack[stack.length - 1] === 'VEVENT') {
+            switch (name) {
+                case 'UID':
+                    event.uid = value.trim();
+                    break;
+                case 'SUMMARY':
+                    event.summary = unescapeICSText(value).trim();
+                    break;
+                case 'STATUS':
+                    event.status = value.trim().toUpperCase();
+                    break;
+                case 'DTSTART':
+                    event.start = parseICSDateValue(value, params);
+                    if (!event.start) problems.push(`${line}行目: 開始日時「${value}」を解釈できません`);
+                    break;
+                case 'DTEND':
+                    event.end = parseICSDateValue(value, params);
+                    break;
+                case 'DURATION':
+                    event.duration = parseICSDuration(value);
+                    break;
+                case 'RRULE':
+                    event.rrule = parseRRule(value, params);
+                    if (!event.rrule) problems.push(`${line}行目: 繰り返し「${value}」には対応していません（初回のみ読み込みます）`);
+                    break;
+                case 'EXDATE':
+                    value.split(',').forEach(part => {
+                        const date = parseICSDateValue(part, params);
+                        if (date) event.exdates.push(date);
+                    });
+                    break;
+                case 'RECURRENCE-ID':
+                    event.recurrenceId = parseICSDateValue(value, params);
+                    break;
+                case ICS_SEGMENTS_PROPERTY:
+                    event.segments = value.split(',').map(period => {
+                        const [start, end] = period.split('/').map(part => parseICSDateValue(part, {}));
+                        return start && end && start.tz === 'UTC' && end.tz === 'UTC'
+                            ? { start: new Date(start.wall), end: new Date(end.wall) }
+                            : null;
+                    });
+                    if (event.segments.includes(null)) event.segments = null;
+                    break;
+            }
+        } else if (timeZone) {
+            if (name === 'TZID' && !zoneRule) {
+                timeZone.id = value.trim();
+            } else if (name === 'TZOFFSETTO' && zoneRule) {
+                const offset = parseUTCOffset(value);
+                if (zoneRule === 'STANDARD') timeZone.standardOffset = offset;
+                else timeZone.daylightOffset = offset;
+            }
+        }
+    });
+
+    return { events, timeZones, problems };
+}
+
+// 「+0900」をミリ秒に
+function parseUTCOffset(value) {
+    const match = value.trim().match(/^([+-])(\d{2})(\d{2})(\d{2})?$/);
+    if (!match) return null;
+    const ms = (Number(match[2]) * 3600 + Number(match[3]) * 60 + Number(match[4] || 0)) * 1000;
+    return match[1] === '-' ? -ms : ms;
+}
+
+// ----------------------------------------
+// タイムゾーン
+// ----------------------------------------
+
+function isKnownTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// 指定のタイムゾーンでの、ある時刻のUTCからのずれ（ミリ秒）
+function getTimeZoneOffset(ms, timeZone) {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit'
+    });
+    const parts = {};
+    formatter.formatToParts(new Date(ms)).forEach(part => { parts[part.type] = Number(part.value); });
+    const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUTC - Math.floor(ms / 1000) * 1000;
+}
+
+/**
+ * 壁時計の時刻を実際の時刻に変換する関数を作る
+ * TZIDはIANA名 → Windows名 → ファイル内のVTIMEZONE（標準時のずれ）の順で解決する
+ * @param {object} timeZones - parseICSのtimeZones
+ * @param {string[]} problems - 解決できなかったタイムゾーンの報告先
+ * @returns {Function} ({ wall, tz }) => Date
+ */
+function createICSTimeResolver(timeZones, problems) {
+    const reported = new Set();
+
+    return ({ wall, tz }) => {
+        if (tz === 'UTC') return new Date(wall);
+
+        const wallDate = new Date(wall);
+        const localDate = () => new Date(wallDate.getUTCFullYear(), wallDate.getUTCMonth(), wallDate.getUTCDate(),
+            wallDate.getUTCHours(), wallDate.getUTCMinutes(), wallDate.getUTCSeconds());
+
+        if (!tz) return localDate();
+
+        const ianaZone = isKnownTimeZone(tz) ? tz : WINDOWS_TIME_ZONES[tz];
+        if (ianaZone) {
+            // 夏時間の切り替わりをまたぐ場合に備えて2回合わせる
+            const firstOffset = getTimeZoneOffset(wall, ianaZone);
+            const secondOffset = getTimeZoneOffset(wall - firstOffset, ianaZone);
+            return new Date(wall - secondOffset);
+        }
+
+        const zone = timeZones[tz];
+        if (zone && zone.standardOffset !== null) {
+            return new Date(wall - zone.standardOffset);
+        }
+
+        if (!reported.has(tz)) {
+            reported.add(tz);
+            problems.push(`タイムゾーン「${tz}」が不明なため、この端末の時刻として読み込みます`);
+        }
+        return localDate();
+    };
+}
+
+// ----------------------------------------
+// 繰り返しの展開
+// ----------------------------------------
+
+function daysInMonthUTC(year, month) {
+    return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+// 月内の「第n ○曜日」（nが負なら最終から数える）。nがnullなら該当する曜日すべて
+function monthDaysForWeekday(year, month, weekday, ordinal) {
+    const days = [];
+    const lastDay = daysInMonthUTC(year, month);
+    for (let day = 1; day <= lastDay; day++) {
+        if (new Date(Date.UTC(year, month, day)).getUTCDay() === weekday) days.push(day);
+    }
+    if (ordinal === null) return days;
+    const day = ordinal > 0 ? days[ordinal - 1] : days[days.length + ordinal];
+    return day ? [day] : [];
+}
+
+// 1つの月について、ルールに合う日を返す
+function expandMonthDays(rule, year, month, startDay) {
+    const lastDay = daysInMonthUTC(year, month);
+    let days;
+
+    if (rule.byMonthDay) {
+        days = rule.byMonthDay
+            .map(day => day > 0 ? day : lastDay + day + 1)
+            .filter(day => day >= 1 && day <= lastDay);
+    } else if (rule.byDay) {
+        days = rule.byDay.flatMap(({ weekday, ordinal }) => monthDaysForWeekday(year, month, weekday, ordinal));
+    } else {
+        days = startDay <= lastDay ? [startDay] : []; // 31日始まりは31日のない月を飛ばす
+    }
+
+    return [...new Set(days)].sort((a, b) => a - b);
+}
+
+// COUNTのない繰り返しで、期間の始まりより前を読み飛ばすときの最初の期間
+// 週の始まりのずれなどを考えて1つ手前の期間から展開する
+function getFirstRRulePeriod(startWall, rule, rangeStartWall) {
+    if (rangeStartWall <= startWall) return 0;
+    const start = new Date(startWall);
+    const rangeStart = new Date(rangeStartWall);
+    let units;
+    if (rule.freq === 'DAILY') {
+        units = Math.floor((rangeStartWall - startWall) / ICS_DAY_MS);
+    } else if (rule.freq === 'WEEKLY') {
+        units = Math.floor((rangeStartWall - startWall) / (7 * ICS_DAY_MS));
+    } else if (rule.freq === 'MONTHLY') {
+        units = (rangeStart.getUTCFullYear() - start.getUTCFullYear()) * 12 + rangeStart.getUTCMonth() - start.getUTCMonth();
+    } else {
+        units = rangeStart.getUTCFullYear() - start.getUTCFullYear();
+    }
+    return Math.max(0, Math.floor(units / rule.interval) - 1) * rule.interval;
+}
+
+/**
+ * 繰り返しを壁時計の時刻の一覧に展開する
+ * rangeStartWallより前の回は返さない（COUNTがある場合は回数には数える）
+ * @param {number} startWall - 初回の壁時計の時刻
+ * @param {object} rule - parseRRuleの結果
+ * @param {number} rangeStartWall - これより前は返さない（壁時計の時刻）
+ * @param {number} limitWall - これより後は展開しない（壁時計の時刻）
+ * @param {Function} isBeforeUntil - (wall) => UNTIL以前か
+ * @returns {{ walls: number[], truncated: boolean }} truncated: 展開の上限に達して打ち切ったか
+ */
+function expandRRule(startWall, rule, rangeStartWall, limitWall, isBeforeUntil) {
+    const start = new Date(startWall);
+    const timeOfDay = startWall - Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate());
+    const occurrences = [];
+    let count = 0;
+    let truncated = false;
+
+    // 期間ごとの候補日（壁時計の0時）を時刻順に受け取り、COUNT・UNTILを適用する
+    const accept = (dayWalls) => {
+        for (const dayWall of dayWalls) {
+            const wall = dayWall + timeOfDay;
+            if (wall < startWall) continue;
+            if (!isBeforeUntil(wall)) return false;
+            if (rule.count !== null && count >= rule.count) return false;
+            count++;
+            if (wall > limitWall) return false;
+            if (wall < rangeStartWall) continue;
+            if (occurrences.length >= ICS_MAX_OCCURRENCES) {
+                truncated = true;
+                return false;
+            }
+            occurrences.push(wall);
+        }
+        return true;
+    };
+
+    const startDay = Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate());
+    const firstPeriod = rule.count === null ? getFirstRRulePeriod(startWall, rule, rangeStartWall) : 0;
+
+    for (let period = firstPeriod; ; period += rule.interval) {
+        let dayWalls = [];
+
+        if (rule.freq === 'DAILY') {
+            const dayWall = startDay + period * ICS_DAY_MS;
+            const date = new Date(dayWall);
+            const weekdayOk = !rule.byDay || rule.byDay.some(({ weekday }) => weekday === date.getUTCDay());
+            const monthOk = !rule.byMonth || rule.byMonth.includes(date.getUTCMonth() + 1);
+            if (weekdayOk && monthOk) dayWalls = [dayWall];
+            if (dayWall > limitWall) break;
+        } else if (rule.freq === 'WEEKLY') {
+            // 週の始まり（WKST）から数えた週
+            const offset = (start.getUTCDay() - rule.weekStart + 7) % 7;
+            const weekStart = startDay - offset * ICS_DAY_MS + period * 7 * ICS_DAY_MS;
+            const weekdays = rule.byDay ? rule.byDay.map(({ weekday }) => weekday) : [start.getUTCDay()];
+            dayWalls = weekdays
+                .map(weekday => weekStart + ((weekday - rule.weekStart + 7) % 7) * ICS_DAY_MS)
+                .sort((a, b) => a - b);
+            if (weekStart > limitWall) break;
+        } else {
+            // MONTHLYは1か月、YEARLYは1年（BYMONTHの各月）ごと
+            const months = [];
+            if (rule.freq === 'MONTHLY') {
+                const monthDate = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + period, 1));
+                if (!rule.byMonth || rule.byMonth.includes(monthDate.getUTCMonth() + 1)) {
+                    months.push([monthDate.getUTCFullYear(), monthDate.getUTCMonth()]);
+                }
+            } else {
+                const year = start.getUTCFullYear() + period;
+                (rule.byMonth ? rule.byMonth.map(month => month - 1) : [start.getUTCMonth()])
+                    .forEach(month => months.push([year, month]));
+            }
+
+            months.forEach(([year, month]) => {
+                expandMonthDays(rule, year, month, start.getUTCDate())
+                    .forEach(day => dayWalls.push(Date.UTC(year, month, day)));
+            });
+            dayWalls.sort((a, b) => a - b);
+
+            // 候補のない期間が続いても、上限の時刻を過ぎたら終える
+            const periodStart = rule.freq === 'MONTHLY'
+                ? Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + period, 1)
+                : Date.UTC(start.getUTCFullYear() + period, 0, 1);
+            if (periodStart > limitWall) break;
+        }
+
+        if (!accept(dayWalls)) break;
+    }
+
+    return { walls: occurrences, truncated };
+}
+
+/**
+ * VEVENTを期間内の予定（実際の時刻）に展開する
+ * 終日の予定・キャンセルされた予定は除き、RECURRENCE-IDによる個別の変更とEXDATEを反映する
+ * @param {{ events: object[], timeZones: object, problems: string[] }} calendar - parseICSの結果
+ * @param {Date} rangeStart
+ * @param {Date} rangeEnd
+ * @returns {{ occurrences: { uid: string, summary: string, start: Date, end: Date, segments?: object[] }[], problems: string[] }}
+ */
+function expandICSEvents(calendar, rangeStart, rangeEnd) {
+    const problems = [...calendar.problems];
+    const resolve = createICSTimeResolver(calendar.timeZones, problems);
+    const occurrences = [];
+    let allDayCount = 0;
+
+    // 繰り返しの一部を変更・キャンセルしたもの（UID＋元の開始時刻）
+    const overridden = new Set();
+    calendar.events
+        .filter(event => event.recurrenceId && event.uid)
+        .forEach(event => overridden.add(`${event.uid}\u0000${resolve(event.recurrenceId).getTime()}`));
+
+    // 壁時計の時刻で比較できるよう、期間の終わりに前後1日の余裕を持たせる
+    const limitWall = rangeEnd.getTime() + 2 * ICS_DAY_MS;
+
+    calendar.events.forEach(event => {
+        if (!event.start) return;
+        if (event.start.allDay) {
+            allDayCount++;
+            return;
+        }
+        if (event.status === 'CANCELLED') return;
+
+        const firstStart = resolve(event.start);
+        let durationMs;
+        if (event.end && !event.end.allDay) {
+            durationMs = resolve(event.end) - firstStart;
+        } else if (event.duration !== undefined && event.duration !== null) {
+            durationMs = event.duration;
+        } else {
+            durationMs = 0;
+        }
+        if (durationMs < 0) {
+            problems.push(`${event.line}行目「${event.summary}」: 終了が開始より前のため読み込みません`);
+            return;
+        }
+
+        const recurring = Boolean(event.rrule && !event.recurrenceId);
+        let walls = [event.start.wall];
+        if (recurring) {
+            if (event.rrule.unsupported.length > 0) {
+                problems.push(`${event.line}行目「${event.summary}」: 繰り返しの${event.rrule.unsupported.join('・')}には対応していないため、無視して展開します`);
+            }
+            const until = event.rrule.until ? resolve({ ...event.rrule.until, tz: event.rrule.until.tz || event.start.tz }) : null;
+            // 期間の始まりより前に始まって期間内に終わる回も含める（壁時計の時刻のため前後1日の余裕を持たせる）
+            const rangeStartWall = rangeStart.getTime() - durationMs - 2 * ICS_DAY_MS;
+            const expanded = expandRRule(event.start.wall, event.rrule, rangeStartWall, limitWall,
+                wall => !until || resolve({ wall, tz: event.start.tz }) <= until);
+            walls = expanded.walls;
+            if (expanded.truncated) {
+                problems.push(`${event.line}行目「${event.summary}」: 繰り返しが${ICS_MAX_OCCURRENCES}回を超えるため、以降は読み込みません`);
+            }
+        }
+
+        const excluded = new Set(event.exdates.map(date => resolve({ ...date, tz: date.tz || event.start.tz }).getTime()));
+
+        walls.forEach(wall => {
+            const start = resolve({ wall, tz: event.start.tz });
+            if (excluded.has(start.getTime())) return;
+            if (!event.recurrenceId && event.uid && overridden.has(`${event.uid}\u0000${start.getTime()}`)) return;
+
+            const end = new Date(start.getTime() + durationMs);
+            if (start < rangeEnd && end > rangeStart) {
+                const occurrence = { uid: event.uid || '', summary: event.summary, start, end };
+                // 作業区間は繰り返しのない予定のみ（このツールが出力した記録）
+                if (event.segments && !recurring) occurrence.segments = event.segments;
+                occurrences.push(occurrence);
+            }
+        });
+    });
+
+    if (allDayCount > 0) {
+        problems.push(`終日の予定${allDayCount}件は読み込みません`);
+    }
+
+    occurrences.sort((a, b) => a.start - b.start);
+    return { occurrences, problems };
+}
@@ -0,0 +1,382 @@
+// ========================================
+// データストア（IndexedDB）
+// ========================================
+
+/**
+ * 保存処理の失敗を表すエラー
+ * 画面にはmessageをそのまま表示できるよう日本語で原因を持たせる
+ */
+class StorageError extends Error {
+    constructor(message, cause) {
+        super(message);
+        this.name = 'StorageError';
+        this.cause = cause;
+    }
+}
+
+/**
+ * 業務データをIndexedDBに保存するストア
+ *
+ * - 業務記録は records ストアに1件ずつ保存（開始日時・業務名のインデックス付き）
+ * - 設定類（クイック業務・定型文・勤務時間など）は settings ストアにキーごとに保存
+ * - 起動時に全データをメモリへ読み込み、画面からは同期的に参照する
+ * - 書き込みは変更された記録だけをIndexedDBへ反映し、他のタブへ通知する
+ * - 初回起動時に従来のlocalStorageのデータを移行する
+ *
+ * 記録中タスク（active-task）はページを閉じる直前に同期的に書く必要があるため
+ * 引き続きlocalStorageに保存する。
+ */
+class TaskDataStore {
+    constructor() {
+        this.DB_NAME = 'maedatimetool';
+        // スキーマを変更する場合はバージョンを上げ、upgradeSchemaに移行処理を追加する
+        this.DB_VERSION = 1;
+
+        // localStorageから移行する設定キー（値はJSON、inventory-memoのみ文字列）
+        this.LEGACY_SETTING_KEYS = [
+            'work-time-settings',
+            'quick-tasks',
+            'template-settings',
+            'idle-settings',
+            'order-list',
+            'inventory-memo'
+        ];
+
+        this.db = null;
+        this.records = [];
+        this.recordSnapshots = new Map(); // id → 保存済みJSON（差分検出用）
+        this.settings = {};
+        this.listeners = [];
+        this.channel = 'BroadcastChannel' in window ? new BroadcastChannel('maedatimetool-data') : null;
+
+        if (this.channel) {
+            this.channel.onmessage = (e) => this.handleRemoteChange(e.data);
+        }
+    }
+
+    /**
+     * データベースを開き、移行とメモリへの読み込みを行う
+     * @returns {Promise<void>}
+     */
+    async open() {
+        if (!('indexedDB' in window)) {
+            throw new StorageError('このブラウザはIndexedDBに対応していないため、データを保存できません');
+        }
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+            request.onupgradeneeded = (e) => this.upgradeSchema(request.result, e.oldVersion);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(new StorageError('データベースを開けませんでした', request.error));
+            request.onblocked = () => reject(new StorageError('別のタブが古いバージョンのデータベースを使用中です。他のタブを閉じてから再読み込みしてください'));
+        });
+
+        // 他のタブがスキーマを更新する場合は接続を閉じる
+        this.db.onversionchange = () => {
+            this.db.close();
+            alert('データ形式が更新されました。ページを再読み込みしてください');
+        };
+
+        await this.migrateFromLocalStorage();
+        await this.loadAll();
+    }
+
+    /**
+     * スキーマの作成・更新
+     * @param {IDBDatabase} db
+     * @param {number} oldVersion - 更新前のバージョン（新規作成時は0）
+     */
+    upgradeSchema(db, oldVersion) {
+        if (oldVersion < 1) {
+            const records = db.createObjectStore('records', { keyPath: 'id' });
+            records.createIndex('startTime', 'startTime');
+            records.createIndex('task', 'task');
+            db.createObjectStore('settings', { keyPath: 'key' });
+            db.createObjectStore('meta', { keyPath: 'key' });
+        }
+    }
+
+    /**
+     * 従来のlocalStorageのデータをIndexedDBへ移行（1回だけ）
+     * 移行済みかどうかの確認と書き込みを同じトランザクションで行い、複数タブでの二重移行を防ぐ
+     */
+    async migrateFromLocalStorage() {
+        const legacyRecords = this.readLegacyJSON('task-records') || [];
+        const legacySettings = {};
+        this.LEGACY_SETTING_KEYS.forEach(key => {
+            const value = key === 'inventory-memo' ? localStorage.getItem(key) : this.readLegacyJSON(key);
+            if (value !== null && value !== undefined) {
+                legacySettings[key] = value;
+            }
+        });
+
+        const migrated = await this.runTransaction(['records', 'settings', 'meta'], 'readwrite', (tx, done) => {
+            const metaRequest = tx.objectStore('meta').get('migratedFromLocalStorage');
+            metaRequest.onsuccess = () => {
+                if (metaRequest.result) {
+                    done(false);
+                    return;
+                }
+
+                legacyRecords.forEach(record => {
+                    if (!record.id) record.id = generateRecordId();
+                    tx.objectStore('records').put(record);
+                });
+                Object.entries(legacySettings).forEach(([key, value]) => {
+                    tx.objectStore('settings').put({ key, value });
+                });
+                tx.objectStore('meta').put({ key: 'migratedFromLocalStorage', value: new Date().toISOString() });
+                done(true);
+            };
+        }, 'localStorageからのデータ移行に失敗しました');
+
+        if (migrated) {
+            localStorage.removeItem('task-records');
+            this.LEGACY_SETTING_KEYS.forEach(key => localStorage.removeItem(key));
+        }
+    }
+
+    readLegacyJSON(key) {
+        const data = localStorage.getItem(key);
+        if (!data) return null;
+        try {
+            return JSON.parse(data);
+        } catch (e) {
+            console.error(`${key} の移行に失敗（JSON不正のため破棄）:`, e);
+            return null;
+        }
+    }
+
+    /**
+     * IndexedDBの内容をメモリに読み込む（記録は開始日時の新しい順）
+     */
+    async loadAll() {
+        const [records, settings] = await Promise.all([
+            this.getAllFromStore('records'),
+            this.getAllFromStore('settings')
+        ]);
+
+        records.sort((a, b) => new Date(b.startTime) - new Date(a.startTime));
+        this.records = records;
+        this.recordSnapshots = new Map(records.map(record => [record.id, JSON.stringify(record)]));
+
+        this.settings = {};
+        settings.forEach(entry => {
+            this.settings[entry.key] = entry.value;
+        });
+    }
+
+    getAllFromStore(storeName) {
+        return this.runTransaction([storeName], 'readonly', (tx, done) => {
+            const request = tx.objectStore(storeName).getAll();
+            request.onsuccess = () => done(request.result);
+        }, 'データの読み込みに失敗しました');
+    }
+
+    /**
+     * トランザクションを実行し、完了（コミット）後に結果を返す
+     * @param {string[]} storeNames
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} work - (tx, done) => void。doneに渡した値がPromiseの結果になる
+     * @param {string} errorMessage - 失敗時のStorageErrorのメッセージ
+     * @returns {Promise<*>}
+     */
+    runTransaction(storeNames, mode, work, errorMessage) {
+        return new Promise((resolve, reject) => {
+            let result;
+            let tx;
+            try {
+                tx = this.db.transaction(storeNames, mode);
+            } catch (e) {
+                reject(new StorageError(errorMessage, e));
+                return;
+            }
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(new StorageError(this.describeError(errorMessage, tx.error), tx.error));
+            tx.onabort = () => reject(new StorageError(this.describeError(errorMessage, tx.error), tx.error));
+            try {
+                work(tx, (value) => { result = value; });
+            } catch (e) {
+                // 保存できない値など、リクエスト作成時の例外
+                tx.abort();
+                reject(new StorageError(this.describeError(errorMessage, e), e));
+            }
+        });
+    }
+
+    describeError(message, error) {
+        if (error && error.name === 'QuotaExceededError') {
+            return `${message}（ディスクの空き容量が不足しています）`;
+        }
+        return error ? `${message}（${error.name}）` : message;
+    }
+
+    // ========================================
+    // 業務記録
+    // ========================================
+
+    /**
+     * 業務記録の一覧（新しい順）
+     * 呼び出し側で変更してもストアに影響しないよう、各記録は複製して返す
+     * @returns {object[]}
+     */
+    getRecords() {
+        return this.records.map(record => ({ ...record }));
+    }
+
+    /**
+     * 業務記録の一覧を保存
+     * 前回保存時から変わった記録だけを書き込み、無くなった記録は削除する
+     * @param {object[]} records
+     * @returns {Promise<boolean>} 保存できたかどうか
+     */
+    saveRecords(records) {
+        const puts = [];
+        const nextSnapshots = new Map();
+
+        records.forEach(record => {
+            if (!record.id) record.id = generateRecordId();
+            const json = JSON.stringify(record);
+            nextSnapshots.set(record.id, json);
+            if (this.recordSnapshots.get(record.id) !== json) {
+                puts.push(record);
+            }
+        });
+        const deletes = [...this.recordSnapshots.keys()].filter(id => !nextSnapshots.has(id));
+
+        this.records = records.map(record => ({ ...record }));
+        this.recordSnapshots = nextSnapshots;
+
+        if (puts.length === 0 && deletes.length === 0) {
+            return Promise.resolve(true);
+        }
+
+        return this.write(['records'], (tx) => {
+            const store = tx.objectStore('records');
+            puts.forEach(record => store.put(record));
+            deletes.forEach(id => store.delete(id));
+        }, '業務記録の保存に失敗しました', { type: 'records' });
+    }
+
+    /**
+     * 開始日時が範囲内の記録をインデックスから取得
+     * @param {Date} start - 範囲の開始（含む）
+     * @param {Date} end - 範囲の終了（含まない）
+     * @returns {Promise<object[]>}
+     */
+    getRecordsInRange(start, end) {
+        const range = IDBKeyRange.bound(start.toISOString(), end.toISOString(), false, true);
+        return this.runTransaction(['records'], 'readonly', (tx, done) => {
+            const request = tx.objectStore('records').index('startTime').getAll(range);
+            request.onsuccess = () => done(request.result);
+        }, '業務記録の読み込みに失敗しました');
+    }
+
+    /**
+     * 業務名が一致する記録をインデックスから取得
+     * @param {string} task
+     * @returns {Promise<object[]>}
+     */
+    getRecordsByTask(task) {
+        return this.runTransaction(['records'], 'readonly', (tx, done) => {
+            const request = tx.objectStore('records').index('task').getAll(task);
+            request.onsuccess = () => done(request.result);
+        }, '業務記録の読み込みに失敗しました');
+    }
+
+    // ========================================
+    // 設定
+    // ========================================
+
+    /**
+     * 設定値を取得（未保存ならfallback）
+     * @param {string} key
+     * @param {*} fallback
+     * @returns {*}
+     */
+    getSetting(key, fallback = null) {
+        if (!(key in this.settings)) return fallback;
+        return structuredClone(this.settings[key]);
+    }
+
+    /**
+     * 設定値を保存
+     * @param {string} key
+     * @param {*} value
+     * @returns {Promise<boolean>} 保存できたかどうか
+     */
+    setSetting(key, value) {
+        this.settings[key] = structuredClone(value);
+        return this.write(['settings'], (tx) => {
+            tx.objectStore('settings').put({ key, value });
+        }, '設定の保存に失敗しました', { type: 'setting', key });
+    }
+
+    /**
+     * 設定値を削除
+     * @param {string} key
+     * @returns {Promise<boolean>} 保存できたかどうか
+     */
+    removeSetting(key) {
+        delete this.settings[key];
+        return this.write(['settings'], (tx) => {
+            tx.objectStore('settings').delete(key);
+        }, '設定の削除に失敗しました', { type: 'setting', key });
+    }
+
+    // ========================================
+    // 書き込み・通知
+    // ========================================
+
+    /**
+     * 書き込みを実行し、成功したら他のタブへ通知する
+     * 失敗した場合は画面にエラーを表示し、メモリの内容をIndexedDBから読み直す
+     * @returns {Promise<boolean>} 保存できたかどうか
+     */
+    async write(storeNames, work, errorMessage, change) {
+        try {
+            await this.runTransaction(storeNames, 'readwrite', work, errorMessage);
+        } catch (error) {
+            console.error(error.message, error.cause);
+            alert(`${error.message}\n直前の変更は保存されていません。`);
+            await this.loadAll().catch(e => console.error('データの再読み込みに失敗:', e));
+            this.notifyListeners(change);
+            return false;
+        }
+
+        if (this.channel) {
+            this.channel.postMessage(change);
+        }
+        return true;
+    }
+
+    // 他のタブで変更されたデータを読み直して画面に反映
+    async handleRemoteChange(change) {
+        try {
+            await this.loadAll();
+        } catch (error) {
+            console.error('他のタブの変更の読み込みに失敗:', error);
+            return;
+        }
+        this.notifyListeners(change);
+    }
+
+    /**
+     * 他のタブ（または保存失敗）によるデータ変更の通知を受け取る
+     * @param {Function} listener - ({ type: 'records' | 'setting', key }) => void
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notifyListeners(change) {
+        this.listeners.forEach(listener => listener(change));
+    }
+}
+
+// タブ間で一意な記録ID
+function generateRecordId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+const dataStore = new TaskDataStore();
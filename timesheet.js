@@ -0,0 +1,290 @@
+// ========================================
+// 勤務表（月次）の集計とExcel出力
+// ========================================
+
+const TIMESHEET_DAY_SECONDS = 24 * 60 * 60;
+const TIMESHEET_WEEKDAYS = ['日', '月', '火', '水', '木', '金', '土'];
+
+// 区間の和集合（重なる記録の時間を二重に数えない）
+function mergeIntervals(intervals) {
+    const sorted = [...intervals].sort((a, b) => a.start - b.start);
+    const merged = [];
+    sorted.forEach(interval => {
+        const last = merged[merged.length - 1];
+        if (last && interval.start <= last.end) {
+            last.end = Math.max(last.end, interval.end);
+        } else {
+            merged.push({ ...interval });
+        }
+    });
+    return merged;
+}
+
+// 勤務日の勤務時間から休憩を除いた区間（ミリ秒）。夜勤は翌日に掛かる
+function getScheduledIntervals(schedule, dayStart) {
+    const intervals = [];
+    let cursor = schedule.startMinutes;
+    schedule.breaks.forEach(item => {
+        if (item.startMinutes > cursor) intervals.push({ start: cursor, end: item.startMinutes });
+        cursor = Math.max(cursor, item.endMinutes);
+    });
+    if (schedule.endMinutes > cursor) intervals.push({ start: cursor, end: schedule.endMinutes });
+    return intervals.map(interval => ({ start: dayStart + interval.start * 60000, end: dayStart + interval.end * 60000 }));
+}
+
+// 区間と[from, to)の重なり（ミリ秒）
+function overlapMs(intervals, from, to) {
+    return intervals.reduce((sum, interval) => {
+        return sum + Math.max(0, Math.min(interval.end, to) - Math.max(interval.start, from));
+    }, 0);
+}
+
+/**
+ * 月の日ごとの勤務実績を集計する
+ * 日をまたぐ作業区間は0時で分けて、それぞれの日に計上する
+ * 勤務時間（休憩を除く）の外の作業は、勤務日なら時間外、休みの日なら休日労働とする
+ * 前日からの夜勤の0時以降は、前日の勤務時間として扱う
+ * @param {object[]} records - 業務記録
+ * @param {number} year
+ * @param {number} month - 0始まり
+ * @param {object} options
+ * @param {Function} options.getSchedule - (Date) => { startMinutes, endMinutes, breaks } | null（休日はnull）
+ * @param {Function} options.getHolidayName - (Date) => 祝日名 | undefined
+ * @param {Function} [options.getNote] - (Date) => 区分に添えるメモ | undefined
+ * @returns {{ days: object[], tasks: object[] }}
+ */
+function buildTimesheet(records, year, month, { getSchedule, getHolidayName, getNote = () => undefined }) {
+    const daysInMonth = new Date(year, month + 1, 0).getDate();
+    const monthStart = new Date(year, month, 1).getTime();
+    const monthEnd = new Date(year, month + 1, 1).getTime();
+
+    // 月内に掛かる作業区間（業務名付き）
+    const intervals = [];
+    records.forEach(record => {
+        getRecordSegments(record).forEach(segment => {
+            const start = Math.max(new Date(segment.start).getTime(), monthStart);
+            const end = Math.min(new Date(segment.end).getTime(), monthEnd);
+            if (end > start) intervals.push({ start, end, task: record.task });
+        });
+    });
+
+    const days = [];
+    for (let day = 1; day <= daysInMonth; day++) {
+        const date = new Date(year, month, day);
+        const dayStart = date.getTime();
+        const dayEnd = new Date(year, month, day + 1).getTime();
+
+        const dayIntervals = intervals
+            .filter(interval => interval.end > dayStart && interval.start < dayEnd)
+            .map(interval => ({
+                start: Math.max(interval.start, dayStart),
+                end: Math.min(interval.end, dayEnd),
+                task: interval.task
+            }));
+        const merged = mergeIntervals(dayIntervals);
+        const workMs = merged.reduce((sum, interval) => sum + interval.end - interval.start, 0);
+
+        const holidayName = getHolidayName(date);
+        const schedule = getSchedule(date);
+        const previousSchedule = getSchedule(new Date(year, month, day - 1));
+
+        // この日に掛かる勤務時間（当日分と前日からの夜勤）
+        const scheduledIntervals = [
+            ...(previousSchedule ? getScheduledIntervals(previousSchedule, new Date(year, month, day - 1).getTime()) : []),
+            ...(schedule ? getScheduledIntervals(schedule, dayStart) : [])
+        ];
+        const regularMs = scheduledIntervals.reduce((sum, interval) => {
+            return sum + overlapMs(merged, Math.max(interval.start, dayStart), Math.min(interval.end, dayEnd));
+        }, 0);
+
+        let overtimeMs = 0;
+        let holidayWorkMs = 0;
+        if (schedule) {
+            overtimeMs = workMs - regularMs;
+        } else {
+            holidayWorkMs = workMs - regularMs;
+        }
+
+        const firstStart = merged.length > 0 ? merged[0].start : null;
+        const lastEnd = merged.length > 0 ? merged[merged.length - 1].end : null;
+
+        days.push({
+            date,
+            weekday: date.getDay(),
+            holidayName,
+            note: getNote(date),
+            isWorkday: Boolean(schedule),
+            schedule,
+            firstStart: firstStart !== null ? new Date(firstStart) : null,
+            lastEnd: lastEnd !== null ? new Date(lastEnd) : null,
+            workSeconds: Math.round(workMs / 1000),
+            breakSeconds: firstStart !== null ? Math.round((lastEnd - firstStart - workMs) / 1000) : 0,
+            overtimeSeconds: Math.round(overtimeMs / 1000),
+            holidayWorkSeconds: Math.round(holidayWorkMs / 1000),
+            tasks: [...new Set(dayIntervals.map(interval => interval.task))]
+        });
+    }
+
+    // 業務別の内訳（業務ごとの合計なので、重なる記録はそれぞれに計上する）
+    const taskTotals = {};
+    intervals.forEach(interval => {
+        if (!taskTotals[interval.task]) {
+            taskTotals[interval.task] = { task: interval.task, seconds: 0, dayCount: 0 };
+        }
+        taskTotals[interval.task].seconds += Math.round((interval.end - interval.start) / 1000);
+    });
+    days.forEach(day => day.tasks.forEach(task => taskTotals[task].dayCount++));
+    const tasks = Object.values(taskTotals).sort((a, b) => b.seconds - a.seconds);
+
+    return { days, tasks };
+}
+
+// ----------------------------------------
+// Excel（SheetJS）
+// ----------------------------------------
+
+// Excelの日付シリアル値（1900年始まり）
+function toExcelDate(date) {
+    return Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / 86400000 + 25569;
+}
+
+// 時刻・時間をExcelの「1日=1」の値に
+function toExcelTime(seconds) {
+    return seconds / TIMESHEET_DAY_SECONDS;
+}
+
+function secondsOfDay(date, dayStart) {
+    return (date.getTime() - dayStart.getTime()) / 1000;
+}
+
+function formatMinutesOfDay(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// 勤務日の0時からの分（24時以降は「翌」を付ける）
+function formatShiftMinutes(minutes) {
+    return minutes >= 24 * 60 ? `翌${formatMinutesOfDay(minutes - 24 * 60)}` : formatMinutesOfDay(minutes);
+}
+
+function formatBreakRange(item) {
+    return `${formatShiftMinutes(item.startMinutes)}-${formatShiftMinutes(item.endMinutes)}`;
+}
+
+// 勤務時間の表示（例: 08:30-17:30 休憩12:00-13:00）
+function formatDaySchedule(schedule) {
+    const range = `${formatShiftMinutes(schedule.startMinutes)}-${formatShiftMinutes(schedule.endMinutes)}`;
+    return schedule.breaks.length > 0 ? `${range} 休憩${schedule.breaks.map(formatBreakRange).join('・')}` : range;
+}
+
+/**
+ * 勤務表のワークブックを作る（1枚目: 日別、2枚目: 業務別）
+ * 読み込んでいるSheetJS（Community Edition）は表示形式しか書き出せないため、
+ * 休日・土日・休暇の行は色ではなく「区分」列の文字で示す（塗りつぶし・太字・ウィンドウ枠の固定は付けない）
+ * @param {{ days: object[], tasks: object[] }} timesheet - buildTimesheetの結果
+ * @param {object} info
+ * @param {number} info.year
+ * @param {number} info.month - 0始まり
+ * @param {string} info.name - 氏名
+ * @param {string} info.scheduleText - 所定時間の表示
+ * @returns {object} SheetJSのワークブック
+ */
+function buildTimesheetWorkbook(timesheet, { year, month, name, scheduleText }) {
+    const { encode_cell, encode_range } = XLSX.utils;
+    const durationFormat = '[h]:mm';
+
+    // ---- 1枚目: 勤務表 ----
+    const headers = ['日付', '曜日', '区分', '所定', '出勤', '退勤', '作業時間', '休憩', '時間外', '休日労働', '業務'];
+    const sheet = {};
+    const headerRow = 3;
+    const firstDataRow = headerRow + 1;
+    const lastDataRow = firstDataRow + timesheet.days.length - 1;
+    const totalRow = lastDataRow + 1;
+
+    const setCell = (target, row, col, cell) => {
+        target[encode_cell({ r: row, c: col })] = cell;
+    };
+
+    setCell(sheet, 0, 0, { t: 's', v: `勤務表 ${year}年${month + 1}月` });
+    setCell(sheet, 1, 0, { t: 's', v: `氏名: ${name}` });
+    setCell(sheet, 1, 4, { t: 's', v: `所定: ${scheduleText}` });
+    headers.forEach((header, col) => setCell(sheet, headerRow, col, { t: 's', v: header }));
+
+    timesheet.days.forEach((day, index) => {
+        const row = firstDataRow + index;
+        let category = '';
+        if (day.holidayName) category = day.holidayName;
+        else if (day.weekday === 0) category = '日曜';
+        else if (day.weekday === 6) category = '土曜';
+        else if (!day.isWorkday) category = '休日';
+        if (day.note) category = category ? `${category} ${day.note}` : day.note;
+
+        setCell(sheet, row, 0, { t: 'n', v: toExcelDate(day.date), z: 'm/d' });
+        setCell(sheet, row, 1, { t: 's', v: TIMESHEET_WEEKDAYS[day.weekday] });
+        setCell(sheet, row, 2, { t: 's', v: category });
+        setCell(sheet, row, 3, { t: 's', v: day.schedule ? formatDaySchedule(day.schedule) : '休み' });
+
+        if (day.firstStart) {
+            setCell(sheet, row, 4, { t: 'n', v: toExcelTime(secondsOfDay(day.firstStart, day.date)), z: 'hh:mm' });
+            // 翌0時までの記録は「24:00」と表示する
+            setCell(sheet, row, 5, { t: 'n', v: toExcelTime(secondsOfDay(day.lastEnd, day.date)), z: '[hh]:mm' });
+        }
+
+        [day.workSeconds, day.breakSeconds, day.overtimeSeconds, day.holidayWorkSeconds].forEach((seconds, offset) => {
+            if (day.firstStart) {
+                setCell(sheet, row, 6 + offset, { t: 'n', v: toExcelTime(seconds), z: durationFormat });
+            }
+        });
+
+        setCell(sheet, row, 10, { t: 's', v: day.tasks.join('、') });
+    });
+
+    // 合計行（値は計算済み、Excelで編集した場合に備えて数式も入れる）
+    const workDayCount = timesheet.days.filter(day => day.workSeconds > 0).length;
+    setCell(sheet, totalRow, 0, { t: 's', v: '合計' });
+    setCell(sheet, totalRow, 2, { t: 's', v: `出勤 ${workDayCount}日` });
+    ['workSeconds', 'breakSeconds', 'overtimeSeconds', 'holidayWorkSeconds'].forEach((key, offset) => {
+        const col = 6 + offset;
+        const total = timesheet.days.reduce((sum, day) => sum + day[key], 0);
+        const range = encode_range({ s: { r: firstDataRow, c: col }, e: { r: lastDataRow, c: col } });
+        setCell(sheet, totalRow, col, { t: 'n', v: toExcelTime(total), f: `SUM(${range})`, z: durationFormat });
+    });
+
+    sheet['!ref'] = encode_range({ s: { r: 0, c: 0 }, e: { r: totalRow, c: headers.length - 1 } });
+    sheet['!merges'] = [{ s: { r: 0, c: 0 }, e: { r: 0, c: headers.length - 1 } }];
+    sheet['!cols'] = [{ wch: 7 }, { wch: 5 }, { wch: 12 }, { wch: 24 }, { wch: 7 }, { wch: 7 }, { wch: 9 }, { wch: 8 }, { wch: 8 }, { wch: 9 }, { wch: 40 }];
+    sheet['!autofilter'] = { ref: encode_range({ s: { r: headerRow, c: 0 }, e: { r: lastDataRow, c: headers.length - 1 } }) };
+
+    // ---- 2枚目: 業務別 ----
+    const taskSheet = {};
+    const taskHeaders = ['業務', '日数', '作業時間', '割合'];
+    const totalSeconds = timesheet.tasks.reduce((sum, task) => sum + task.seconds, 0);
+
+    setCell(taskSheet, 0, 0, { t: 's', v: `業務別内訳 ${year}年${month + 1}月` });
+    taskHeaders.forEach((header, col) => setCell(taskSheet, 2, col, { t: 's', v: header }));
+
+    timesheet.tasks.forEach((task, index) => {
+        const row = 3 + index;
+        setCell(taskSheet, row, 0, { t: 's', v: task.task });
+        setCell(taskSheet, row, 1, { t: 'n', v: task.dayCount });
+        setCell(taskSheet, row, 2, { t: 'n', v: toExcelTime(task.seconds), z: durationFormat });
+        setCell(taskSheet, row, 3, { t: 'n', v: totalSeconds > 0 ? task.seconds / totalSeconds : 0, z: '0.0%' });
+    });
+
+    const taskTotalRow = 3 + timesheet.tasks.length;
+    setCell(taskSheet, taskTotalRow, 0, { t: 's', v: '合計' });
+    if (timesheet.tasks.length > 0) {
+        const range = encode_range({ s: { r: 3, c: 2 }, e: { r: taskTotalRow - 1, c: 2 } });
+        setCell(taskSheet, taskTotalRow, 2, { t: 'n', v: toExcelTime(totalSeconds), f: `SUM(${range})`, z: durationFormat });
+    } else {
+        setCell(taskSheet, taskTotalRow, 2, { t: 'n', v: 0, z: durationFormat });
+    }
+
+    taskSheet['!ref'] = encode_range({ s: { r: 0, c: 0 }, e: { r: taskTotalRow, c: taskHeaders.length - 1 } });
+    taskSheet['!merges'] = [{ s: { r: 0, c: 0 }, e: { r: 0, c: taskHeaders.length - 1 } }];
+    taskSheet['!cols'] = [{ wch: 30 }, { wch: 6 }, { wch: 10 }, { wch: 8 }];
+
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, sheet, '勤務表');
+    XLSX.utils.book_append_sheet(workbook, taskSheet, '業務別');
+    return workbook;
+}
@@ -0,0 +1,726 @@
+// ========================================
+// データ検証・修復
+// ========================================
+
+// 各検証関数は { value, problems } を返す
+// - value: 修復済みの値（修復できない場合はnull）
+// - problems: 見つかった問題（画面にそのまま表示する日本語の文）
+
+// 日時として解釈できればDateを返す
+function parseValidDate(value) {
+    if (typeof value !== 'string' && typeof value !== 'number') return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim() !== '';
+}
+
+// generateRecordId()の形式か（IDは画面のonclickにそのまま埋め込むため、ほかの文字を含むIDは使わない）
+function isRecordId(value) {
+    return typeof value === 'string' && /^[0-9a-z]+-[0-9a-z]+$/.test(value);
+}
+
+// 日付指定・休暇などの日付（YYYY-MM-DD）
+function isDateKey(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && parseValidDate(`${value}T00:00:00`) !== null;
+}
+
+// 作業区間の検証（開始順に並び、重ならないこと）
+function validateSegments(segments) {
+    if (!Array.isArray(segments) || segments.length === 0) return null;
+
+    const normalized = [];
+    for (const segment of segments) {
+        const start = parseValidDate(segment?.start);
+        const end = parseValidDate(segment?.end);
+        if (!start || !end || end < start) return null;
+
+        const previous = normalized[normalized.length - 1];
+        if (previous && start < new Date(previous.end)) return null;
+
+        normalized.push({ start: start.toISOString(), end: end.toISOString() });
+    }
+    return normalized;
+}
+
+/**
+ * 業務記録1件を検証し、可能なら修復する
+ * 終了時刻・所要時間が欠けている場合は作業区間や開始時刻から補完する
+ * @param {object} record
+ * @returns {{ value: object|null, problems: string[] }}
+ */
+function validateRecord(record) {
+    const problems = [];
+    const fail = (message) => ({ value: null, problems: [...problems, message] });
+
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        return fail('記録の形式ではありません');
+    }
+
+    const repaired = { ...record };
+
+    if (!isNonEmptyString(record.task)) {
+        return fail('業務名がありません');
+    }
+
+    if (record.id !== undefined && !isRecordId(record.id)) {
+        problems.push('IDが不正です（新しいIDを付け直します）');
+        delete repaired.id;
+    }
+
+    let segments = null;
+    if (record.segments !== undefined) {
+        segments = validateSegments(record.segments);
+        if (segments) {
+            repaired.segments = segments;
+        } else {
+            problems.push('作業区間が不正です（作業区間を削除します）');
+            delete repaired.segments;
+        }
+    }
+
+    let start = parseValidDate(record.startTime);
+    if (!start) {
+        const reason = record.startTime === undefined || record.startTime === null ? 'ありません' : '不正です';
+        if (!segments) return fail(`開始時刻が${reason}`);
+        start = new Date(segments[0].start);
+        problems.push(`開始時刻が${reason}（作業区間から補完します）`);
+    }
+
+    let duration = null;
+    if (typeof record.duration === 'number' && Number.isFinite(record.duration) && record.duration >= 0) {
+        duration = record.duration;
+    } else if (typeof record.duration === 'string' && record.duration.trim() !== '' &&
+               Number.isFinite(Number(record.duration)) && Number(record.duration) >= 0) {
+        duration = Number(record.duration);
+        problems.push('所要時間が数値ではありません（数値に変換します）');
+    }
+
+    let end = parseValidDate(record.endTime);
+    if (!end) {
+        const reason = record.endTime === undefined || record.endTime === null ? 'ありません' : '不正です';
+        if (segments) {
+            end = new Date(segments[segments.length - 1].end);
+            problems.push(`終了時刻が${reason}（作業区間から補完します）`);
+        } else if (duration !== null) {
+            end = new Date(start.getTime() + duration * 1000);
+            problems.push(`終了時刻が${reason}（開始時刻と所要時間から補完します）`);
+        } else {
+            return fail(`終了時刻が${reason}`);
+        }
+    }
+
+    if (end < start) {
+        return fail('終了時刻が開始時刻より前です');
+    }
+
+    if (segments && (new Date(segments[0].start) < start || new Date(segments[segments.length - 1].end) > end)) {
+        problems.push('作業区間が開始～終了の範囲外です（作業区間を削除します）');
+        segments = null;
+        delete repaired.segments;
+    }
+
+    // 所要時間は休憩を除いた正味時間なので、開始～終了を超えることはない
+    const elapsedSeconds = Math.floor((end - start) / 1000);
+    const netSeconds = segments
+        ? segments.reduce((sum, segment) => sum + Math.floor((new Date(segment.end) - new Date(segment.start)) / 1000), 0)
+        : elapsedSeconds;
+
+    if (duration === null) {
+        problems.push(record.duration === undefined ? '所要時間がありません（再計算します）' : '所要時間が不正です（再計算します）');
+        duration = netSeconds;
+    } else if (duration > elapsedSeconds + 1) {
+        problems.push('所要時間が開始～終了の時間を超えています（再計算します）');
+        duration = netSeconds;
+    }
+
+    repaired.task = record.task.trim();
+    repaired.startTime = start.toISOString();
+    repaired.endTime = end.toISOString();
+    repaired.duration = duration;
+
+    return { value: repaired, problems };
+}
+
+/**
+ * 業務記録の一覧を検証する
+ * 修復できない記録は除外し、問題は「n件目」（CSVなどでは行番号）付きで返す
+ * @param {object[]} records
+ * @param {Function} [getLabel] - 位置の表示 (index) => string
+ * @returns {{ value: object[]|null, problems: string[], removedCount: number }}
+ */
+function validateRecords(records, getLabel = index => `${index + 1}件目`) {
+    if (!Array.isArray(records)) {
+        return { value: null, problems: ['業務記録の形式が不正です'], removedCount: 0 };
+    }
+
+    const value = [];
+    const problems = [];
+    let removedCount = 0;
+
+    records.forEach((record, index) => {
+        const result = validateRecord(record);
+        if (result.value) {
+            value.push(result.value);
+        } else {
+            removedCount++;
+        }
+        if (result.problems.length > 0) {
+            const label = isNonEmptyString(record?.task) ? `${getLabel(index)}「${record.task}」` : getLabel(index);
+            const suffix = result.value ? '' : '（この記録は除外されます）';
+            problems.push(`${label}: ${result.problems.join('、')}${suffix}`);
+        }
+    });
+
+    return { value, problems, removedCount };
+}
+
+/**
+ * 記録の編集画面の入力（業務名と区間ごとの時刻）を検証する
+ * 時刻だけを置き換え、日付は元の作業区間のものを維持する
+ * @param {{ start: string, end: string }[]} segments - 元の作業区間
+ * @param {string} task
+ * @param {{ start: string, end: string }[]} times - 区間ごとの時刻（HH:MM）
+ * @returns {{ value: { task: string, segments: object[] } | null, problems: string[] }} 問題は最初の1件のみ
+ */
+function validateRecordEdit(segments, task, times) {
+    const fail = (message) => ({ value: null, problems: [message] });
+
+    const trimmedTask = typeof task === 'string' ? task.trim() : '';
+    if (!trimmedTask) {
+        return fail('業務名を入力してください');
+    }
+
+    const newSegments = [];
+    for (let i = 0; i < segments.length; i++) {
+        const [startHour, startMin] = String(times[i]?.start ?? '').split(':').map(Number);
+        const [endHour, endMin] = String(times[i]?.end ?? '').split(':').map(Number);
+
+        if (isNaN(startHour) || isNaN(startMin) || isNaN(endHour) || isNaN(endMin)) {
+            return fail('無効な時刻形式です');
+        }
+
+        const newStart = new Date(segments[i].start);
+        newStart.setHours(startHour, startMin, 0, 0);
+
+        const newEnd = new Date(segments[i].end);
+        newEnd.setHours(endHour, endMin, 0, 0);
+
+        if (newEnd <= newStart) {
+            return fail('終了時刻は開始時刻より後にしてください');
+        }
+
+        if (i > 0 && newStart < new Date(newSegments[i - 1].end)) {
+            return fail(`区間${i + 1}の開始時刻は区間${i}の終了時刻以降にしてください`);
+        }
+
+        newSegments.push({ start: newStart.toISOString(), end: newEnd.toISOString() });
+    }
+
+    return { value: { task: trimmedTask, segments: newSegments }, problems: [] };
+}
+
+// 文字列の一覧（業務項目・発注リスト）を検証
+function validateStringList(list, label) {
+    if (!Array.isArray(list)) {
+        return { value: null, problems: [`${label}の形式が不正です`] };
+    }
+
+    const problems = [];
+    const value = [];
+    list.forEach((item, index) => {
+        if (!isNonEmptyString(item)) {
+            problems.push(`${label} ${index + 1}件目: 空または文字列ではありません（削除します）`);
+        } else if (value.includes(item)) {
+            problems.push(`${label} ${index + 1}件目「${item}」: 重複しています（削除します）`);
+        } else {
+            value.push(item);
+        }
+    });
+    return { value, problems };
+}
+
+function validateQuickTasks(quickTasks) {
+    return validateStringList(quickTasks, '業務項目');
+}
+
+function validateOrderList(orderList) {
+    return validateStringList(orderList, '発注リスト');
+}
+
+function validateTemplateSettings(settings) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        return { value: null, problems: ['定型文設定の形式が不正です'] };
+    }
+
+    const problems = [];
+    const value = { ...settings };
+
+    if (typeof settings.name !== 'string') {
+        problems.push('定型文設定: 名前が文字列ではありません（空欄にします）');
+        value.name = '';
+    }
+
+    const templates = validateStringList(settings.templates, '定型文');
+    problems.push(...templates.problems);
+    value.templates = templates.value || [];
+
+    return { value, problems };
+}
+
+// 勤務時間の曜日（0=日曜）ごとの既定: 平日は標準の勤務時間、土日は休み
+const DEFAULT_WEEKLY_SCHEDULE = ['off', 'standard', 'standard', 'standard', 'standard', 'standard', 'off'];
+const WEEKDAY_LABELS = ['日曜', '月曜', '火曜', '水曜', '木曜', '金曜', '土曜'];
+
+/**
+ * 勤務時間1つ分（開始・終了・休憩）を検証する
+ * overnightがtrueなら終了は翌日の時刻（終了は開始より前）
+ * 休憩は勤務時間内に収まり、重ならないこと（夜勤では開始より前の時刻を翌日とみなす）
+ * @param {object} shift - { startHour, startMinute, endHour, endMinute, overnight?, breaks? }
+ * @param {string} label - 問題の表示に付ける名前
+ * @returns {{ value: object|null, problems: string[] }}
+ */
+function validateShift(shift, label) {
+    if (!shift || typeof shift !== 'object' || Array.isArray(shift)) {
+        return { value: null, problems: [`${label}の形式が不正です`] };
+    }
+
+    const isHour = (value) => Number.isInteger(value) && value >= 0 && value <= 23;
+    const isMinute = (value) => Number.isInteger(value) && value >= 0 && value <= 59;
+    const isTime = (hour, minute) => isHour(hour) && isMinute(minute);
+
+    if (!isTime(shift.startHour, shift.startMinute) || !isTime(shift.endHour, shift.endMinute)) {
+        return { value: null, problems: [`${label}: 時刻が不正です`] };
+    }
+
+    const overnight = shift.overnight === true;
+    const workStart = shift.startHour * 60 + shift.startMinute;
+    let workEnd = shift.endHour * 60 + shift.endMinute;
+    if (overnight) {
+        if (workEnd >= workStart) {
+            return { value: null, problems: [`${label}: 翌日までの勤務は終了時刻を開始時刻より前にしてください`] };
+        }
+        workEnd += 24 * 60;
+    } else if (workStart >= workEnd) {
+        return { value: null, problems: [`${label}: 終了時刻が開始時刻より前です`] };
+    }
+
+    // 休憩（breaksのない旧形式は休憩なし）
+    const base = { ...shift, overnight };
+    if (shift.breaks === undefined) {
+        return { value: { ...base, breaks: [] }, problems: [] };
+    }
+    if (!Array.isArray(shift.breaks)) {
+        return { value: { ...base, breaks: [] }, problems: [`${label}: 休憩の形式が不正です（休憩なしにします）`] };
+    }
+
+    const toShiftMinutes = (hour, minute) => {
+        const minutes = hour * 60 + minute;
+        return overnight && minutes < workStart ? minutes + 24 * 60 : minutes;
+    };
+
+    const problems = [];
+    const breaks = [];
+    shift.breaks.forEach((item, index) => {
+        const breakLabel = `${label}: 休憩 ${index + 1}件目`;
+        if (!item || !isTime(item.startHour, item.startMinute) || !isTime(item.endHour, item.endMinute)) {
+            problems.push(`${breakLabel}の時刻が不正です（削除します）`);
+            return;
+        }
+        const start = toShiftMinutes(item.startHour, item.startMinute);
+        const end = toShiftMinutes(item.endHour, item.endMinute);
+        if (start >= end || start < workStart || end > workEnd) {
+            problems.push(`${breakLabel}が勤務時間内にありません（削除します）`);
+            return;
+        }
+        if (breaks.some(other => start < other.end && other.start < end)) {
+            problems.push(`${breakLabel}がほかの休憩と重なっています（削除します）`);
+            return;
+        }
+        breaks.push({ start, end, item });
+    });
+    breaks.sort((a, b) => a.start - b.start);
+
+    const value = {
+        ...base,
+        breaks: breaks.map(({ item }) => ({
+            startHour: item.startHour,
+            startMinute: item.startMinute,
+            endHour: item.endHour,
+            endMinute: item.endMinute
+        }))
+    };
+    return { value, problems };
+}
+
+// 曜日・日付ごとの勤務: 'standard'（標準の勤務時間）、'off'（休み）、または勤務時間
+function validateDaySchedule(schedule, label) {
+    if (schedule === 'standard' || schedule === 'off') {
+        return { value: schedule, problems: [] };
+    }
+    return validateShift(schedule, label);
+}
+
+function validateWorkTimeSettings(settings) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        return { value: null, problems: ['勤務時間設定の形式が不正です'] };
+    }
+
+    // 最上位の開始・終了・休憩が標準の勤務時間
+    const standard = validateShift(settings, '勤務時間設定');
+    if (!standard.value) return standard;
+
+    const problems = [...standard.problems];
+    const value = { ...standard.value };
+
+    // 曜日別（weeklyのない旧形式は平日のみ勤務）
+    if (settings.weekly === undefined) {
+        value.weekly = [...DEFAULT_WEEKLY_SCHEDULE];
+    } else if (!Array.isArray(settings.weekly) || settings.weekly.length !== 7) {
+        problems.push('勤務時間設定: 曜日別の形式が不正です（平日のみ勤務にします）');
+        value.weekly = [...DEFAULT_WEEKLY_SCHEDULE];
+    } else {
+        value.weekly = settings.weekly.map((schedule, weekday) => {
+            const result = validateDaySchedule(schedule, `勤務時間設定: ${WEEKDAY_LABELS[weekday]}`);
+            problems.push(...result.problems);
+            if (result.value) return result.value;
+            problems.push(`勤務時間設定: ${WEEKDAY_LABELS[weekday]}を${DEFAULT_WEEKLY_SCHEDULE[weekday] === 'off' ? '休み' : '標準の勤務時間'}にします`);
+            return DEFAULT_WEEKLY_SCHEDULE[weekday];
+        });
+    }
+
+    // 日付指定（早退・特別出勤など）
+    if (settings.overrides === undefined) {
+        value.overrides = [];
+    } else if (!Array.isArray(settings.overrides)) {
+        problems.push('勤務時間設定: 日付指定の形式が不正です（削除します）');
+        value.overrides = [];
+    } else {
+        const overrides = [];
+        settings.overrides.forEach((override, index) => {
+            const label = `勤務時間設定: 日付指定 ${index + 1}件目`;
+            const date = override?.date;
+            if (!isDateKey(date)) {
+                problems.push(`${label}の日付が不正です（削除します）`);
+                return;
+            }
+            if (overrides.some(other => other.date === date)) {
+                problems.push(`${label}（${date}）が重複しています（削除します）`);
+                return;
+            }
+            const result = validateDaySchedule(override.schedule, `${label}（${date}）`);
+            problems.push(...result.problems);
+            if (!result.value) {
+                problems.push(`${label}（${date}）を削除します`);
+                return;
+            }
+            overrides.push({
+                date,
+                schedule: result.value,
+                note: typeof override.note === 'string' ? override.note : ''
+            });
+        });
+        value.overrides = overrides.sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    return { value, problems };
+}
+
+function validateIdleSettings(settings) {
+    if (!settings || typeof settings !== 'object' ||
+        !Number.isInteger(settings.thresholdMinutes) || settings.thresholdMinutes < 0) {
+        return { value: null, problems: ['離席検出設定が不正です'] };
+    }
+    return { value: settings, problems: [] };
+}
+
+function validateInventoryMemo(memo) {
+    if (typeof memo !== 'string') {
+        return { value: null, problems: ['在庫メモが文字列ではありません'] };
+    }
+    return { value: memo, problems: [] };
+}
+
+// iCalendarから読み込んだ予定 [{ id, uid, task, startTime, endTime }]
+function validatePlannedEntries(entries) {
+    if (!Array.isArray(entries)) {
+        return { value: null, problems: ['予定の形式が不正です'] };
+    }
+
+    const problems = [];
+    const value = [];
+    entries.forEach((entry, index) => {
+        const start = parseValidDate(entry?.startTime);
+        const end = parseValidDate(entry?.endTime);
+        if (!isNonEmptyString(entry?.task) || !start || !end || end < start) {
+            problems.push(`予定 ${index + 1}件目: 件名・日時が不正です（削除します）`);
+            return;
+        }
+        const id = isRecordId(entry.id) && !value.some(other => other.id === entry.id) ? entry.id : generateRecordId();
+        value.push(id === entry.id ? entry : { ...entry, id });
+    });
+    return { value, problems };
+}
+
+// 休暇の種類（daysは有給休暇として消化する日数）
+const LEAVE_TYPES = {
+    paid: { label: '有給', short: '有', days: 1 },
+    'am-half': { label: '午前半休', short: '前', days: 0.5 },
+    'pm-half': { label: '午後半休', short: '後', days: 0.5 },
+    special: { label: '特別休暇', short: '特', days: 0 },
+    closure: { label: '会社休業', short: '休', days: 0 }
+};
+
+// 休暇 [{ date: 'YYYY-MM-DD', type, note }]（1日に1件）
+function validateLeaveEntries(entries) {
+    if (!Array.isArray(entries)) {
+        return { value: null, problems: ['休暇の形式が不正です'] };
+    }
+
+    const problems = [];
+    const value = [];
+    entries.forEach((entry, index) => {
+        const label = `休暇 ${index + 1}件目`;
+        if (!isDateKey(entry?.date) || !Object.prototype.hasOwnProperty.call(LEAVE_TYPES, entry?.type)) {
+            problems.push(`${label}: 日付・種類が不正です（削除します）`);
+            return;
+        }
+        if (value.some(other => other.date === entry.date)) {
+            problems.push(`${label}（${entry.date}）: 同じ日の休暇が重複しています（削除します）`);
+            return;
+        }
+        value.push({ date: entry.date, type: entry.type, note: typeof entry.note === 'string' ? entry.note : '' });
+    });
+    value.sort((a, b) => a.date.localeCompare(b.date));
+    return { value, problems };
+}
+
+// 有給休暇の設定の既定値（年度の始まりはダッシュボードの「今年度」にも使う）
+const DEFAULT_LEAVE_SETTINGS = { annualDays: 10, yearStartMonth: 4 };
+
+// 有給休暇の年間付与日数と年度の始まりの月
+function validateLeaveSettings(settings) {
+    if (!settings || typeof settings !== 'object' ||
+        typeof settings.annualDays !== 'number' || !Number.isFinite(settings.annualDays) ||
+        settings.annualDays < 0 || settings.annualDays > 366 || (settings.annualDays * 2) % 1 !== 0 ||
+        !Number.isInteger(settings.yearStartMonth) || settings.yearStartMonth < 1 || settings.yearStartMonth > 12) {
+        return { value: null, problems: ['有給休暇の設定が不正です'] };
+    }
+    return { value: settings, problems: [] };
+}
+
+// 毎年の期間（月日 'MM-DD'）が平年のすべての日を含むか（2月29日だけ空く期間も1年中とみなす）
+function coversWholeYear(start, end) {
+    for (const date = new Date(2001, 0, 1); date.getFullYear() === 2001; date.setDate(date.getDate() + 1)) {
+        const monthDay = `${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+        const covered = start <= end
+            ? monthDay >= start && monthDay <= end
+            : monthDay >= start || monthDay <= end;
+        if (!covered) return false;
+    }
+    return true;
+}
+
+/**
+ * 休業期間（年末年始・お盆・棚卸など）[{ id, name, start, end, yearly }]
+ * yearlyがtrueなら毎年同じ月日（年をまたぐ期間は開始の月日が終了より後）
+ */
+function validateClosurePeriods(periods) {
+    if (!Array.isArray(periods)) {
+        return { value: null, problems: ['休業期間の形式が不正です'] };
+    }
+
+    const problems = [];
+    const value = [];
+    periods.forEach((period, index) => {
+        const label = isNonEmptyString(period?.name) ? `休業期間 ${index + 1}件目「${period.name}」` : `休業期間 ${index + 1}件目`;
+        if (!isNonEmptyString(period?.name) || !isDateKey(period?.start) || !isDateKey(period?.end)) {
+            problems.push(`${label}: 名前・日付が不正です（削除します）`);
+            return;
+        }
+        const yearly = period.yearly === true;
+        if (!yearly && period.start > period.end) {
+            problems.push(`${label}: 終了日が開始日より前です（削除します）`);
+            return;
+        }
+        // 1年中休業になる毎年の期間では、納期計算で数える日が見つからない
+        if (yearly && coversWholeYear(period.start.slice(5), period.end.slice(5))) {
+            problems.push(`${label}: 毎年の期間が1年中になっています（削除します）`);
+            return;
+        }
+        const id = isNonEmptyString(period.id) && !value.some(other => other.id === period.id) ? period.id : generateRecordId();
+        value.push({ id, name: period.name.trim(), start: period.start, end: period.end, yearly });
+    });
+    return { value, problems };
+}
+
+/**
+ * 祝日の手入力の修正 [{ date, name }]
+ * nameがあればその日を祝日に、空文字ならその日を祝日から外す。同じ日付は後のものを使う
+ */
+function validateHolidayOverrides(overrides) {
+    if (!Array.isArray(overrides)) {
+        return { value: null, problems: ['祝日の修正の形式が不正です'] };
+    }
+
+    const problems = [];
+    const byDate = new Map();
+    overrides.forEach((override, index) => {
+        if (!isDateKey(override?.date) || typeof override?.name !== 'string') {
+            problems.push(`祝日の修正 ${index + 1}件目: 日付・名前が不正です（削除します）`);
+            return;
+        }
+        byDate.set(override.date, { date: override.date, name: override.name.trim() });
+    });
+    const value = [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+    return { value, problems };
+}
+
+/**
+ * 読み込んだ祝日一覧（内閣府のCSV）{ fileName, importedAt, holidays: { 'YYYY-MM-DD': 名称 } }
+ */
+function validateHolidayList(list) {
+    if (!list || typeof list !== 'object' || Array.isArray(list) ||
+        !list.holidays || typeof list.holidays !== 'object' || Array.isArray(list.holidays)) {
+        return { value: null, problems: ['祝日一覧の形式が不正です'] };
+    }
+
+    const problems = [];
+    const holidays = {};
+    Object.entries(list.holidays).forEach(([date, name]) => {
+        if (!isDateKey(date) || !isNonEmptyString(name)) {
+            problems.push(`祝日一覧「${date}」: 日付・名称が不正です（削除します）`);
+            return;
+        }
+        holidays[date] = name.trim();
+    });
+    return {
+        value: {
+            fileName: typeof list.fileName === 'string' ? list.fileName : '',
+            importedAt: typeof list.importedAt === 'string' ? list.importedAt : '',
+            holidays
+        },
+        problems
+    };
+}
+
+// 仕入先のリードタイムの数え方
+const SUPPLIER_LEAD_TIME_UNITS = {
+    business: '営業日',
+    calendar: '暦日'
+};
+
+/**
+ * 仕入先（納期計算用）[{ id, name, leadTime, leadTimeUnit, cutoff, transitDays, closures }]
+ * cutoffは受注の締め時刻（'HH:MM'、空文字なら締めなし）、closuresは仕入先の休業期間（validateClosurePeriodsの形式）
+ */
+function validateSupplierProfiles(profiles) {
+    if (!Array.isArray(profiles)) {
+        return { value: null, problems: ['仕入先の形式が不正です'] };
+    }
+
+    const problems = [];
+    const value = [];
+    profiles.forEach((profile, index) => {
+        const label = isNonEmptyString(profile?.name) ? `仕入先 ${index + 1}件目「${profile.name}」` : `仕入先 ${index + 1}件目`;
+        if (!isNonEmptyString(profile?.name)) {
+            problems.push(`${label}: 名前がありません（削除します）`);
+            return;
+        }
+        if (!Number.isInteger(profile.leadTime) || profile.leadTime < 1 || profile.leadTime > 365) {
+            problems.push(`${label}: リードタイムは1～365日で指定してください（削除します）`);
+            return;
+        }
+
+        const leadTimeUnit = profile.leadTimeUnit in SUPPLIER_LEAD_TIME_UNITS ? profile.leadTimeUnit : 'business';
+        if (profile.leadTimeUnit !== leadTimeUnit) {
+            problems.push(`${label}: リードタイムの数え方が不正です（営業日にします）`);
+        }
+
+        let cutoff = '';
+        if (isNonEmptyString(profile.cutoff)) {
+            const match = profile.cutoff.match(/^(\d{1,2}):(\d{2})$/);
+            if (match && Number(match[1]) <= 23 && Number(match[2]) <= 59) {
+                cutoff = `${match[1].padStart(2, '0')}:${match[2]}`;
+            } else {
+                problems.push(`${label}: 締め時刻が不正です（締めなしにします）`);
+            }
+        }
+
+        let transitDays = 0;
+        if (profile.transitDays !== undefined) {
+            if (Number.isInteger(profile.transitDays) && profile.transitDays >= 0 && profile.transitDays <= 60) {
+                transitDays = profile.transitDays;
+            } else {
+                problems.push(`${label}: 輸送日数は0～60日で指定してください（0日にします）`);
+            }
+        }
+
+        const closureResult = validateClosurePeriods(profile.closures ?? []);
+        problems.push(...closureResult.problems.map(problem => `${label}: ${problem}`));
+
+        const id = isRecordId(profile.id) && !value.some(other => other.id === profile.id) ? profile.id : generateRecordId();
+        value.push({
+            id,
+            name: profile.name.trim(),
+            leadTime: profile.leadTime,
+            leadTimeUnit,
+            cutoff,
+            transitDays,
+            closures: closureResult.value || []
+        });
+    });
+    return { value, problems };
+}
+
+// 設定の保存キー・エクスポート時の名前・検証関数の対応
+const SETTING_VALIDATORS = [
+    { key: 'quick-tasks', exportKey: 'quickTasks', label: '業務項目', validate: validateQuickTasks },
+    { key: 'template-settings', exportKey: 'templateSettings', label: '定型文設定', validate: validateTemplateSettings },
+    { key: 'work-time-settings', exportKey: 'workTimeSettings', label: '勤務時間', validate: validateWorkTimeSettings },
+    { key: 'idle-settings', exportKey: 'idleSettings', label: '離席検出', validate: validateIdleSettings },
+    { key: 'inventory-memo', exportKey: 'inventoryMemo', label: '在庫メモ', validate: validateInventoryMemo },
+    { key: 'order-list', exportKey: 'orderList', label: '発注リスト', validate: validateOrderList },
+    { key: 'planned-entries', exportKey: 'plannedEntries', label: '予定', validate: validatePlannedEntries },
+    { key: 'leave-entries', exportKey: 'leaveEntries', label: '休暇', validate: validateLeaveEntries },
+    { key: 'leave-settings', exportKey: 'leaveSettings', label: '有給休暇の設定', validate: validateLeaveSettings },
+    { key: 'closure-periods', exportKey: 'closurePeriods', label: '休業期間', validate: validateClosurePeriods },
+    { key: 'holiday-overrides', exportKey: 'holidayOverrides', label: '祝日の修正', validate: validateHolidayOverrides },
+    { key: 'holiday-list', exportKey: 'holidayList', label: '祝日一覧', validate: validateHolidayList },
+    { key: 'supplier-profiles', exportKey: 'supplierProfiles', label: '仕入先', validate: validateSupplierProfiles }
+];
+
+/**
+ * インポートするデータ（記録＋エクスポート名の設定）を検証する
+ * 不正な設定は読み込み対象から外し、記録は修復できたものだけを残す
+ * recordLabelsがあれば記録の位置として使い、problems（読み込み時の問題）は先頭に加える
+ * @param {{ records: object[], settings: object, recordLabels?: string[], problems?: string[] }} importData
+ * @returns {{ records: object[], settings: object, problems: string[] }}
+ */
+function validateImportData(importData) {
+    const recordResult = importData.records === undefined || importData.records === null
+        ? { value: [], problems: [] }
+        : validateRecords(importData.records, index => importData.recordLabels?.[index] ?? `${index + 1}件目`);
+    const problems = [
+        ...(importData.problems || []),
+        ...recordResult.problems.map(problem => `記録 ${problem}`)
+    ];
+    const settings = {};
+
+    SETTING_VALIDATORS.forEach(({ exportKey, label, validate }) => {
+        const value = importData.settings[exportKey];
+        if (value === undefined || value === null) return;
+
+        const result = validate(value);
+        problems.push(...result.problems);
+        if (result.value !== null) {
+            settings[exportKey] = result.value;
+        } else {
+            problems.push(`${label}は読み込みません`);
+        }
+    });
+
+    return { records: recordResult.value || [], settings, problems };
+}